@@ -7,8 +7,10 @@ import { Label } from "@/components/ui/label";
 import { Slider } from "@/components/ui/slider";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Checkbox } from "@/components/ui/checkbox";
-import { Download, FileUp, Image as ImageIcon, BarChart3, ChevronLeft, ChevronRight, RotateCcw } from "lucide-react";
-import { ResponsiveContainer, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, LineChart, Line } from "recharts";
+import { Download, FileUp, Image as ImageIcon, BarChart3, ChevronLeft, ChevronRight, RotateCcw, Undo2, Redo2, History, Code, ZoomIn, ZoomOut, Maximize2, Square, Columns, X, ImageOff, Trash2, FolderOpen, Archive, Wand2, Scissors } from "lucide-react";
+import { ResponsiveContainer, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, LineChart, Line, ScatterChart, Scatter, ReferenceLine } from "recharts";
+import katex from "katex";
+import "katex/dist/katex.min.css";
 
 /**
  * RLHF 多轮图文数据集打分网页
@@ -17,10 +19,13 @@ import { ResponsiveContainer, BarChart, Bar, XAxis, YAxis, CartesianGrid, Toolti
  * - 两类评分：
  *   1) 无极分数滚动（continuous）：[-1, 100]，-1 表示有害（harmful）。
  *   2) 单选（categorical）：{-1, 0, 1, 2, 3}。
- * - 维度（criteria）：评判标准1~4，支持“整体（overall）”与“逐轮（per-turn）”。
- * - 本地持久化：localStorage。
- * - 可视化：Recharts 展示分布与极值统计。
- * - 一键导出：JSON 结果与 Markdown 报告。
+ * - 维度（criteria）：由评分标准（rubric）定义，默认为评判标准1~4，支持“整体（overall）”与“逐轮（per-turn）”。
+ *   rubric 可单独加载，或在数据文件中以 {"rubric": {...}, "items": [...]} 内嵌；格式见 rubric_example.json。
+ * - 标注者：填写后记录在每条评分与导出文件中；多人结果的一致性分析与裁决见 index.html 的“一致性”视图。
+ * - 本地持久化：localStorage；设置 SERVER_URL 后可从 server/server.js 领取任务，评分同时保存到服务器。
+ * - 对话内容：按 Markdown（代码高亮、表格、KaTeX 公式）渲染，原文一律先转义，不执行其中的 HTML；可切换为原文显示。
+ * - 可视化：Recharts 展示分布、轮次趋势、维度相关性与极值统计，可按元信息分组。
+ * - 一键导出：JSON 结果，以及与 index.html 相同的 HTML / PDF 报告（图表、有害率、最低分样本、评分标准）。
  *
  * 期望 JSON 数据格式（示例）：
  * [
@@ -29,31 +34,384 @@ import { ResponsiveContainer, BarChart, Bar, XAxis, YAxis, CartesianGrid, Toolti
  *     "meta": {"source": "xxx", "notes": "optional"},
  *     "rounds": [
  *       {"user": "问题1", "assistant": "回答1", "image": "Figures/img_001.png"},
- *       {"user": "问题2", "assistant": "回答2", "image": "Figures/img_001_b.png"}
+ *       {"user": "问题2", "assistant": "回答2", "image": ["Figures/img_001_b.png", "Figures/img_001_c.png"]}
  *     ]
  *   },
  *   ...
  * ]
+ *
+ * 其他格式（index.html 的 turns、ShareGPT 的 conversations、LLaVA 的 <image> 占位）及 JSONL 会自动识别并转换为上述格式，
+ * 加载前先显示字段映射预览与逐条错误（行号、缺失字段），确认后跳过无效记录。
+ *
+ * 偏好比较：某轮以 "assistants": ["候选A", "候选B", ...] 代替 "assistant" 时进入比较模式，
+ * 标注者选择 A/B/持平 或拖拽完整排序，导出时生成 (prompt, chosen, rejected, margin) 记录。
+ *
+ * 图片：image 可为字符串或数组（也可用 images 数组），点击放大后可缩放、平移、并排查看回答，并画框标注区域
+ * （说明 + 幻觉标记）；框坐标按图片原始尺寸归一化到 0–1，保存在 scores[id].regions，随 JSON 导出。
+ *
+ * 安全评估：每轮（比较轮次除外）可标记有害，选择有害类别（rubric.harmCategories）并填写必填理由，
+ * 在回答中选中文字标记问题片段；结果保存在 scores[id].safety[轮次]，随 JSON 导出。
+ *
+ * 修订回答：每轮回答可写出修订版本（原回答保留，可查看逐词差异），保存在 scores[id].revisions[轮次]，
+ * 导出为 DPO 偏好对（chosen = 修订后，rejected = 原回答）并作为 SFT 回答。问题有误或超出范围的轮次可在打分区标记
+ * （scores[id].questionFlags[轮次]），该轮不计入完成度，也不导出为训练数据。
+ *
+ * 编辑历史：每个样本记录带时间戳的事件日志（打开、离开、每次修改、清空、撤销/重做），
+ * 以及累计用时（空闲超过 2 分钟与页面隐藏的时间不计）和编辑次数，与评分分开保存，导出时写入 scores[id] 的
+ * events / timeSpentMs / editCount（与 index.html 相同）。清空本条评分等修改都可撤销（Ctrl+Z / Ctrl+Shift+Z）。
+ *
+ * 金标准题：带 gold 字段的样本（格式同 index.html，如 {"overall": {"c1": [2, 3]}, "harmful": [0], "note": "…"}）
+ * 按 id 哈希打散混入队列，界面上不作区分。勾选标注者名称旁的"质检员"后，统计区才显示"金标准质检"（准确率、
+ * 未通过的题目），可开启校准模式即时对照参考答案（培训用，开启后对该浏览器中的标注者生效）；质检员导出 JSON 时
+ * 默认不含金标准题，质检报告可单独导出，标注者的导出总是包含金标准题。
+ *
+ * 训练数据："训练数据"按钮导出与 index.html 相同的 CSV / TSV（每个样本、轮次、维度一行）、逐轮 JSONL（对话前缀 + 0–1 分数）、
+ * SFT 与 DPO JSONL；每种格式的筛选条件与列映射分别保存在 localStorage。
+ *
+ * 统计分析：各维度、各作用范围的分数分布，按轮次的平均分，整体分与逐轮平均分的对比，维度相关矩阵；
+ * 所有图表可按 meta 字段（默认 source）分组。点击柱或点后，样本导航的上一条 / 下一条只在对应样本间切换。
+ *
+ * 模型对比："模型对比"按钮加载多个模型在同一批问题上的输出（每个模型一个文件，按样本 id 与轮次对齐），
+ * 每个（样本, 模型）作为一个样本打分，id 为"样本 id::模型名称"，同一样本各模型的回答并排显示；可开启盲评隐藏模型名称。
+ * 统计区的"模型对比"显示胜率、两两胜率与各维度平均分（含 95% 置信区间）及有害轮次占比。
+ *
+ * 数据包："打开文件夹"、加载 zip 或把文件夹拖入页面，数据文件与图片一起读入，图片路径按数据包内的文件解析为 object URL
+ * （也可在 JSON 中直接写 data URI 或 base64）；导入预览列出缺失与无法解码的图片。"导出数据包"生成 dataset.json、
+ * results.json 与引用的图片，重新打开即恢复评分；与 index.html 的数据包互通。
+ *
+ * 预打分："预打分"按钮把样本按提示词模板（评分标准、维度量表与对话内容）发给 OpenAI 兼容的 chat/completions 接口，
+ * 按并发数分批请求，失败自动重试，可随时取消；返回的分数与理由保存在 scores[id].judge（与 index.html 相同），
+ * 在打分区显示为建议，点击采纳或自行打分。统计区按维度显示人工与模型的一致率、平均分差与相关系数。
+ *
+ * 数据工具："数据工具"按钮把数据集拆分为 N 批（随机，或按轮数 / meta 字段分层）并打包为 zip，按种子可复现地抽样复核，
+ * 按 id 或内容（规范化后相同或相近）去重，并把各批次导出的结果合并为一个文件、列出冲突字段；
+ * 拆分与抽样输出的样本在 meta.provenance 中记录来源文件、种子与批次序号（与 index.html 相同）。
  */
 
 // ---- 类型定义 ----
-const CRITERIA = [
-  { key: "c1", label: "评判标准1" },
-  { key: "c2", label: "评判标准2" },
-  { key: "c3", label: "评判标准3" },
-  { key: "c4", label: "评判标准4" },
-] as const;
-
 const CATEGORICAL_OPTIONS = [-1, 0, 1, 2, 3] as const; // -1 harmful
 const CONTINUOUS_MIN = -1;
 const CONTINUOUS_MAX = 100;
 
+// 默认评分标准；维度未指定 scale.type 时跟随“评分类型”选择器
+const DEFAULT_RUBRIC = {
+  name: "默认评分标准",
+  version: "default-1",
+  dimensions: [
+    { id: "c1", name: "评判标准1" },
+    { id: "c2", name: "评判标准2" },
+    { id: "c3", name: "评判标准3" },
+    { id: "c4", name: "评判标准4" },
+  ],
+};
+
+// 偏好比较
+const CANDIDATE_LABELS = ["A", "B", "C", "D", "E", "F", "G", "H"];
+const PREFERENCE_MARGINS = [
+  { value: "much", label: "明显更好", weight: 2 },
+  { value: "slightly", label: "略好", weight: 1 },
+] as const;
+
+// 有害内容分类：rubric.harmCategories 可替换（与 index.html 一致）
+const DEFAULT_HARM_CATEGORIES = [
+  { id: "misinformation", name: "错误信息", description: "与事实不符或误导性的内容" },
+  { id: "dangerous_advice", name: "危险建议", description: "可能造成人身、财产或健康损害的建议" },
+  { id: "toxicity", name: "冒犯攻击", description: "辱骂、仇恨、骚扰或贬低性的表达" },
+  { id: "bias", name: "偏见歧视", description: "针对群体的刻板印象或歧视" },
+  { id: "privacy", name: "隐私泄露", description: "泄露或索取个人敏感信息" },
+  { id: "illegal", name: "违法违规", description: "协助违法活动或违反使用规范" },
+  { id: "other", name: "其他", description: "其他有害情形，请在理由中说明" },
+];
+const EMPTY_SAFETY = { harmful: false, categories: [], rationale: "", spans: [] };
+
+// 问题标记（与 index.html 相同）：标记后该轮不计入完成度，也不导出为训练数据
+const QUESTION_FLAG_REASONS = [
+  { value: "malformed", label: "问题表述有误" },
+  { value: "out_of_scope", label: "超出标注范围" },
+];
+const DIFF_MAX_CELLS = 4000000; // 逐词比较的规模上限，超过时按行比较
+
+// 编辑历史与用时（与 index.html 一致）
+const EDIT_MERGE_DELAY = 1000; // 同一处在该间隔内的连续修改（拖动滑块、输入理由）合并为一次编辑
+const EDIT_HISTORY_LIMIT = 100; // 每个样本最多可撤销的步数
+const IDLE_TIMEOUT = 2 * 60 * 1000; // 超过该时间没有任何操作，之后的时间不计入用时
+const RUSHED_SAMPLE_MS = 5000; // 完成用时低于该值视为过快
+const EDIT_EVENT_TYPES = ["score", "preference", "safety", "revision", "flag", "region", "reset", "mode", "undo", "redo"];
+const SCORE_KEYS = ["overall", "turns", "preferences", "safety", "revisions", "questionFlags", "regions"];
+
 // localStorage keys
 const LS_DATASET_KEY = "rlhf_dataset_cache_v1";
 const LS_SCORES_KEY = "rlhf_scores_cache_v1";
+const LS_RUBRIC_KEY = "rlhf_rubric_cache_v1";
+const LS_ANNOTATOR_KEY = "rlhf_annotator";
+const LS_ACTIVITY_KEY = "rlhf_activity_cache_v1";
+const LS_CALIBRATION_KEY = "rlhf_calibration_mode"; // 与 index.html 共用
+const LS_REVIEWER_KEY = "rlhf_reviewer_mode"; // 与 index.html 共用
+const GOLD_PASS_RATE = 0.8; // 准确率低于该值的标注者标红
+
+// 多人标注服务器（server/server.js）地址，例如 "http://localhost:8787"；留空时只保存在 localStorage
+const SERVER_URL = "";
+const SERVER_BATCH_SIZE = 20;
+const SERVER_SYNC_DELAY = 500;
 
 function clamp(v, lo, hi) { return Math.min(hi, Math.max(lo, v)); }
 
+// localStorage 写入失败的说明（配额不足时提示导出）
+function describeStorageError(e, what) {
+  console.warn(`persist ${what} error`, e);
+  const quota = e && (e.name === "QuotaExceededError" || e.name === "NS_ERROR_DOM_QUOTA_REACHED");
+  return quota
+    ? `本地存储空间不足，${what}未能自动保存。请及时导出 JSON 结果，避免刷新页面后丢失。`
+    : `${what}自动保存失败：${e?.message ?? e}`;
+}
+
+// 读取 localStorage 中保存的 JSON；内容损坏时返回说明，由调用方提示后忽略该项
+function readStoredJSON(key, what) {
+  try {
+    return { value: JSON.parse(localStorage.getItem(key) || "null"), error: null };
+  } catch (e) {
+    console.warn(`restore ${what} error`, e);
+    return { value: null, error: `保存的${what}无法读取，已忽略：${e?.message ?? e}` };
+  }
+}
+
+// 某轮的候选回答（字符串或 {text, model}）；少于 2 个时不是比较轮次
+function getCandidates(round) {
+  if (!round || !Array.isArray(round.assistants)) return [];
+  return round.assistants.map((a, i) => ({
+    key: CANDIDATE_LABELS[i] ?? String(i + 1),
+    text: typeof a === "string" ? a : (a?.text ?? ""),
+    model: typeof a === "object" && a ? (a.model ?? null) : null,
+  }));
+}
+function isComparisonRound(round) { return getCandidates(round).length >= 2; }
+
+// 样本或轮次的图片：image 可为字符串或数组，也可使用 images 数组
+function getImages(owner) {
+  return [owner?.image, owner?.images].flat().filter(p => typeof p === "string" && p.trim());
+}
+
+// 调用标注服务器 API，非 2xx 时抛出带 status 的错误
+async function serverRequest(method, path, body = null) {
+  const res = await fetch(`${SERVER_URL}/api${path}`, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : {},
+    body: body ? JSON.stringify(body) : null,
+  });
+  const isJSON = (res.headers.get("Content-Type") || "").includes("application/json");
+  const data = isJSON ? await res.json() : await res.text();
+  if (!res.ok) throw Object.assign(new Error(data?.error || `请求失败（${res.status}）`), { status: res.status });
+  return data;
+}
+
+// 样本是否已打完：整体维度与每轮（比较轮次需给出排序）都已填写，标记为有害的轮次需填写理由；问题有误的轮次跳过
+function isSampleComplete(sample, sc, rubric) {
+  if (!sc) return false;
+  const filled = (criteria, dims) => dims.every(d => typeof criteria?.[d.key] === "number");
+  if (!filled(sc.overall?.criteria, criteriaFor(rubric, "overall"))) return false;
+  return (sample.rounds || []).every((r, t) => isTurnFlagged(sc, t) || (isComparisonRound(r)
+    ? !!sc.preferences?.[t]?.ranking
+    : filled(sc.turns?.[t]?.criteria, criteriaFor(rubric, "turn")) && isSafetyComplete(sc.safety?.[t])));
+}
+
+// ---- 安全评估：{ harmful, categories, rationale, spans: [{ start, end, text, category }] }，与质量分数中的 -1 分开 ----
+function isSafetyComplete(safety) { return !safety?.harmful || !!safety.rationale?.trim(); }
+
+function normalizeSafety(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  return {
+    harmful: !!raw.harmful,
+    categories: Array.isArray(raw.categories) ? raw.categories.map(String) : [],
+    rationale: typeof raw.rationale === "string" ? raw.rationale : "",
+    spans: (Array.isArray(raw.spans) ? raw.spans : [])
+      .filter(sp => sp && typeof sp.text === "string" && Number.isInteger(sp.start) && Number.isInteger(sp.end))
+      .map(sp => ({ start: sp.start, end: sp.end, text: sp.text, category: sp.category ?? null })),
+  };
+}
+
+// ---- 修订回答与问题标记：revisions { [轮次]: { text, editedAt } }，questionFlags { [轮次]: { reason, note } } ----
+function isTurnFlagged(sc, t) { return !!sc?.questionFlags?.[t]?.reason; }
+
+// 某轮修订后的回答（没有修订时为 null）
+function revisionText(sc, t) {
+  const rv = sc?.revisions?.[t];
+  return typeof rv?.text === "string" ? rv.text : null;
+}
+
+function normalizeRevision(raw) {
+  return raw && typeof raw.text === "string" ? { text: raw.text, editedAt: raw.editedAt || null } : null;
+}
+
+function normalizeQuestionFlag(raw) {
+  return raw && QUESTION_FLAG_REASONS.some(r => r.value === raw.reason) ? { reason: raw.reason, note: typeof raw.note === "string" ? raw.note : "" } : null;
+}
+
+// 逐词差异（中文按字，其他按词与空白切分）：[{ type: same | add | del, text }]
+function tokenizeForDiff(text) {
+  return String(text ?? "").match(/[\u3400-\u9fff\uf900-\ufaff]|\s+|[^\s\u3400-\u9fff\uf900-\ufaff]+/g) || [];
+}
+
+// 最长公共子序列；文本过长时改为按行比较，避免占用过多内存
+function diffTokens(a, b, byLine = false) {
+  if (a.length * b.length > DIFF_MAX_CELLS) {
+    const lines = (tokens) => tokens.join("").split(/(?<=\n)/);
+    if (!byLine) return diffTokens(lines(a), lines(b), true);
+    return [{ type: "del", text: a.join("") }, { type: "add", text: b.join("") }];
+  }
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+  }
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.text += text; else parts.push({ type, text });
+  };
+  let i = 0, j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { push("same", a[i]); i++; j++; }
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) push("del", a[i++]);
+    else push("add", b[j++]);
+  }
+  while (i < a.length) push("del", a[i++]);
+  while (j < b.length) push("add", b[j++]);
+  return parts;
+}
+
+// ---- 评分标准（rubric） ----
+// 维度字段：id, name, description, scope (overall | turn | both), scale {type, min, max, options}, anchors {分数: 说明}
+function normalizeRubric(raw) {
+  return {
+    name: raw.name || "未命名评分标准",
+    version: String(raw.version ?? "未标注版本"),
+    dimensions: raw.dimensions.map(d => ({
+      key: String(d.id),
+      label: d.name,
+      description: d.description || "",
+      scope: d.scope || "both",
+      anchors: d.anchors || {},
+      scale: {
+        type: d.scale?.type || null,
+        min: d.scale?.min ?? CONTINUOUS_MIN,
+        max: d.scale?.max ?? CONTINUOUS_MAX,
+        options: d.scale?.options || [...CATEGORICAL_OPTIONS],
+      },
+    })),
+    harmCategories: (raw.harmCategories || DEFAULT_HARM_CATEGORIES).map(h => ({ id: String(h.id), name: h.name, description: h.description || "" })),
+  };
+}
+
+function validateRubric(raw) {
+  if (!raw || typeof raw !== "object") return ["评分标准应为 JSON 对象"];
+  if (!Array.isArray(raw.dimensions) || !raw.dimensions.length) return ["dimensions 应为非空数组"];
+  const errors = [];
+  const seen = new Set();
+  raw.dimensions.forEach((d, i) => {
+    const where = `dimensions[${i}]`;
+    if (d.id === undefined || d.id === null || d.id === "") errors.push(`${where} 缺少 id`);
+    else if (seen.has(String(d.id))) errors.push(`${where} 的 id "${d.id}" 重复`);
+    seen.add(String(d.id));
+    if (!d.name) errors.push(`${where} 缺少 name`);
+    if (d.scope && !["overall", "turn", "both"].includes(d.scope)) errors.push(`${where}.scope 应为 overall / turn / both`);
+    const sc = d.scale || {};
+    if (sc.type && !["continuous", "categorical"].includes(sc.type)) errors.push(`${where}.scale.type 应为 continuous 或 categorical`);
+    if (sc.min !== undefined && sc.max !== undefined && !(sc.min < sc.max)) errors.push(`${where}.scale 的 min 应小于 max`);
+    if (sc.options && (!Array.isArray(sc.options) || !sc.options.length || sc.options.some(o => typeof o !== "number"))) errors.push(`${where}.scale.options 应为非空数字数组`);
+  });
+  if (raw.harmCategories !== undefined) {
+    if (!Array.isArray(raw.harmCategories) || !raw.harmCategories.length) errors.push("harmCategories 应为非空数组");
+    else {
+      const seenCat = new Set();
+      raw.harmCategories.forEach((h, i) => {
+        if (!h || h.id === undefined || h.id === null || h.id === "") errors.push(`harmCategories[${i}] 缺少 id`);
+        else if (seenCat.has(String(h.id))) errors.push(`harmCategories[${i}] 的 id "${h.id}" 重复`);
+        else seenCat.add(String(h.id));
+        if (h && !h.name) errors.push(`harmCategories[${i}] 缺少 name`);
+      });
+    }
+  }
+  return errors;
+}
+
+function criteriaFor(rubric, scope) { return rubric.dimensions.filter(d => d.scope === "both" || d.scope === scope); }
+
+// 取不大于该分数的最近锚点
+function anchorText(dim, value) {
+  if (typeof value !== "number") return "";
+  const levels = Object.keys(dim.anchors).map(Number).filter(l => l <= value).sort((a, b) => b - a);
+  return levels.length ? dim.anchors[levels[0]] : "";
+}
+
+// ---- 编辑历史与用时：{ events: [{ type, at, ... }], timeSpentMs, editCount }，按样本 id 与评分分开保存 ----
+
+// 追加一条事件并返回新的记录；同一分数 / 同一轮安全评估 / 区域标注在 EDIT_MERGE_DELAY 内的连续修改合并，分数保留最初的 from
+function appendEvent(activity, type, details = {}) {
+  const cur = activity || { events: [], timeSpentMs: 0, editCount: 0 };
+  const now = new Date();
+  const last = cur.events[cur.events.length - 1];
+  if (last && ["score", "safety", "region"].includes(type) && last.type === type && last.turn === details.turn &&
+    String(last.criterion) === String(details.criterion) && now - new Date(last.at) < EDIT_MERGE_DELAY) {
+    const { from, ...rest } = details;
+    return { ...cur, events: [...cur.events.slice(0, -1), { ...last, ...rest, at: now.toISOString() }] };
+  }
+  return {
+    ...cur,
+    events: [...cur.events, { type, at: now.toISOString(), ...details }],
+    editCount: cur.editCount + (EDIT_EVENT_TYPES.includes(type) ? 1 : 0),
+  };
+}
+
+// 导出 / 服务器中的结果把评分、编辑历史与评审模型的建议放在同一对象里，读回时拆开；只有编辑历史或建议时 scores 为 null
+function splitActivity(result) {
+  if (!result || typeof result !== "object") return { scores: null, activity: null, judge: null };
+  const { events, timeSpentMs, editCount, judge, ...rest } = result;
+  const activity = Array.isArray(events) || timeSpentMs || editCount
+    ? { events: Array.isArray(events) ? events : [], timeSpentMs: Number(timeSpentMs) || 0, editCount: Number(editCount) || 0 }
+    : null;
+  return { scores: SCORE_KEYS.some(k => k in rest) ? rest : null, activity, judge: judge && typeof judge === "object" ? judge : null };
+}
+
+function withActivity(sc, activity, judge = null) {
+  return sc || activity || judge ? { ...(sc || {}), ...(activity || {}), ...(judge ? { judge } : {}) } : null;
+}
+
+function formatDuration(ms) {
+  const seconds = Math.round((ms || 0) / 1000);
+  if (seconds < 60) return `${seconds} 秒`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes} 分 ${seconds % 60} 秒`;
+  return `${Math.floor(minutes / 60)} 小时 ${minutes % 60} 分`;
+}
+
+// 事件说明；也能显示 index.html 记录的事件（turn 为 null 表示整体）
+function describeEvent(ev, rubric) {
+  const where = ev.turn === null || ev.turn === undefined ? "整体" : `第 ${ev.turn + 1} 轮`;
+  const fmt = (v) => (v === null || v === undefined ? "未设置" : v);
+  switch (ev.type) {
+    case "open": return "打开";
+    case "leave": return `离开（本次 ${formatDuration(ev.durationMs)}）`;
+    case "score": {
+      const dim = matchDim(ev.criterion, rubric.dimensions);
+      const scale = { continuous: "（连续）", categorical: "（单选）" }[ev.scale] || "";
+      return `${where} · ${dim ? dim.label : ev.criterion}：${fmt(ev.from)} → ${fmt(ev.to)}${scale}`;
+    }
+    case "preference": {
+      const margin = PREFERENCE_MARGINS.find(m => m.value === ev.margin);
+      return `${where} 偏好：${ev.tie ? "持平" : (ev.ranking || []).join(" > ")}${margin ? `（${margin.label}）` : ""}`;
+    }
+    case "safety": return `${where} 安全评估：${ev.harmful ? "有害" : "无害"}`;
+    case "revision": return `${where} ${ev.removed ? "删除修订回答" : `修订回答（${ev.length} 字）`}`;
+    case "flag": return `${where} 问题标记：${QUESTION_FLAG_REASONS.find(r => r.value === ev.reason)?.label || "正常"}`;
+    case "region": return "修改区域标注";
+    case "reset": return "清空本条评分";
+    case "mode": return `打分方式改为${ev.mode === "slider" ? "无极分数" : "单选分数"}`;
+    case "save": return `保存${ev.completed ? "（已完成）" : ""}`;
+    case "undo": return "撤销";
+    case "redo": return "重做";
+    default: return String(ev.type);
+  }
+}
+
 // ---- 主组件 ----
 export default function RLHFScoringApp() {
   const [dataset, setDataset] = useState([]); // 原始样本数组
@@ -62,52 +420,442 @@ export default function RLHFScoringApp() {
   const [scoreTypeOverall, setScoreTypeOverall] = useState("continuous"); // or "categorical"
   const [scoreTypeTurn, setScoreTypeTurn] = useState("continuous");
   const [showImages, setShowImages] = useState(true);
+  const [rawText, setRawText] = useState(false); // 按原文显示对话内容，便于检查格式问题
+  const [rubric, setRubric] = useState(() => normalizeRubric(DEFAULT_RUBRIC));
+  const [storageError, setStorageError] = useState(null); // localStorage 写入失败时的提示
+  const [pendingImport, setPendingImport] = useState(null); // 待确认的数据导入预览
+  const [imageReport, setImageReport] = useState(null); // 导入预览的图片检查结果
+  const [bundle, setBundle] = useState(null); // 当前数据集所在的数据包（文件夹 / zip），图片按包内文件解析
+  const [dragging, setDragging] = useState(false); // 正在向页面拖入文件
+  const [annotator, setAnnotator] = useState(() => localStorage.getItem(LS_ANNOTATOR_KEY) || ""); // 标注者身份
+  const [serverDatasets, setServerDatasets] = useState([]); // 服务器上的数据集
+  const [serverDataset, setServerDataset] = useState(null); // 当前领取任务的数据集
+  const [serverChoice, setServerChoice] = useState("");
+  const [serverNotice, setServerNotice] = useState(null); // 锁定 / 同步失败提示
+  const [activity, setActivity] = useState({}); // { [sampleId]: { events, timeSpentMs, editCount } }
+  const [histories, setHistories] = useState({}); // 撤销历史（只在内存中）：{ [sampleId]: { undo: [评分], redo: [评分], key, at } }
+  const [showHistory, setShowHistory] = useState(false);
+  const [calibration, setCalibration] = useState(() => localStorage.getItem(LS_CALIBRATION_KEY) === "1"); // 校准（培训）模式：完成金标准题后立即对照
+  const [reviewer, setReviewer] = useState(() => localStorage.getItem(LS_REVIEWER_KEY) === "1"); // 质检员身份：金标准题 id 与期望答案只对质检员显示
+  const [excludeGold, setExcludeGold] = useState(true); // 质检员导出 JSON 时不含金标准题
+  const [showTrainingExport, setShowTrainingExport] = useState(false);
+  const [showModelCompare, setShowModelCompare] = useState(false);
+  const [judgements, setJudgements] = useState({}); // 评审模型的建议：{ [sampleId]: { model, createdAt, overall, turns, rationale, warnings } }
+  const [savedJudgeConfig] = useState(loadJudgeConfig);
+  const [judgeConfig, setJudgeConfig] = useState(savedJudgeConfig.config); // 接口配置
+  const [showJudge, setShowJudge] = useState(false);
+  const [showDatasetTools, setShowDatasetTools] = useState(false);
+  const [datasetName, setDatasetName] = useState(""); // 本地加载的数据文件名，记录在拆分与抽样输出的来源中
+  const [judgeRun, setJudgeRun] = useState(null); // 最近一次预打分的进度：{ total, done, failed, errors, running, cancelling, cancelled }
+  const [analyticsGroup, setAnalyticsGroup] = useState(null); // 统计按哪个 meta 字段分组；null 时有 source 字段就按它分组
+  const [analyticsDim, setAnalyticsDim] = useState(""); // 轮次趋势与整体对比所用的维度，空为各维度平均
+  const [chartSelection, setChartSelection] = useState(null); // 从统计图表点击选中的样本：{ label, indices }
+  const clockRef = useRef(null); // 当前样本的计时：{ lastActiveAt, visitMs }
+  const activityRef = useRef(activity);
+  activityRef.current = activity;
+  const dirtyRef = useRef(new Set()); // 待同步到服务器的样本 id
+  const lockedRef = useRef(null);
   const fileInputRef = useRef(null);
+  const folderInputRef = useRef(null);
+  const navRef = useRef(null);
+  const rubricInputRef = useRef(null);
+  const importInputRef = useRef(null);
+  const judgeControllerRef = useRef(null); // 正在进行的预打分
+  const restoreErrorsRef = useRef([]); // 启动时无法恢复的缓存，挂载后统一提示
 
-  // 启动时尝试恢复缓存
+  // 启动时尝试恢复缓存：逐项读取，某一项损坏不影响其余各项
   useEffect(() => {
-    try {
-      const cachedData = localStorage.getItem(LS_DATASET_KEY);
-      const cachedScores = localStorage.getItem(LS_SCORES_KEY);
-      if (cachedData) setDataset(JSON.parse(cachedData));
-      if (cachedScores) setScores(JSON.parse(cachedScores));
-    } catch (e) { console.warn("restore cache error", e); }
+    restoreErrorsRef.current = [];
+    const restore = (key, what, apply) => {
+      let { value, error } = readStoredJSON(key, what);
+      if (!error && value !== null) {
+        try { apply(value); } catch (e) {
+          console.warn(`restore ${what} error`, e);
+          error = `保存的${what}无法恢复，已忽略：${e?.message ?? e}`;
+        }
+      }
+      if (error) restoreErrorsRef.current.push(error);
+    };
+    restore(LS_DATASET_KEY, "数据集", setDataset);
+    restore(LS_SCORES_KEY, "评分", setScores);
+    restore(LS_ACTIVITY_KEY, "编辑历史", setActivity);
+    restore(LS_JUDGE_CACHE_KEY, "预打分建议", setJudgements);
+    restore(LS_RUBRIC_KEY, "评分标准", (raw) => setRubric(normalizeRubric(raw)));
   }, []);
 
   // 每次评分更新都持久化
   useEffect(() => {
-    try { localStorage.setItem(LS_SCORES_KEY, JSON.stringify(scores)); } catch {}
+    try {
+      localStorage.setItem(LS_SCORES_KEY, JSON.stringify(scores));
+      setStorageError(null);
+    } catch (e) { setStorageError(describeStorageError(e, "评分")); }
   }, [scores]);
 
-  // 每次数据集更新都持久化 & 重置索引
   useEffect(() => {
-    try { localStorage.setItem(LS_DATASET_KEY, JSON.stringify(dataset)); } catch {}
+    try { localStorage.setItem(LS_ACTIVITY_KEY, JSON.stringify(activity)); } catch (e) { setStorageError(describeStorageError(e, "编辑历史")); }
+  }, [activity]);
+
+  useEffect(() => {
+    try { localStorage.setItem(LS_JUDGE_CACHE_KEY, JSON.stringify(judgements)); } catch (e) { setStorageError(describeStorageError(e, "预打分建议")); }
+  }, [judgements]);
+
+  useEffect(() => {
+    try { localStorage.setItem(LS_JUDGE_CONFIG_KEY, JSON.stringify(judgeConfig)); } catch (e) { setStorageError(describeStorageError(e, "预打分接口配置")); }
+  }, [judgeConfig]);
+
+  // 启动时无法恢复的缓存与接口配置统一提示（放在评分持久化之后，挂载时不会被其清除）
+  useEffect(() => {
+    const errors = [...restoreErrorsRef.current, savedJudgeConfig.error].filter(Boolean);
+    if (errors.length) setStorageError(errors.join("；"));
+  }, []);
+
+  useEffect(() => {
+    try { localStorage.setItem(LS_ANNOTATOR_KEY, annotator); } catch (e) { setStorageError(describeStorageError(e, "标注者")); }
+  }, [annotator]);
+
+  useEffect(() => {
+    try { localStorage.setItem(LS_CALIBRATION_KEY, calibration ? "1" : ""); } catch (e) { setStorageError(describeStorageError(e, "校准模式设置")); }
+  }, [calibration]);
+
+  useEffect(() => {
+    try { localStorage.setItem(LS_REVIEWER_KEY, reviewer ? "1" : ""); } catch (e) { setStorageError(describeStorageError(e, "质检员设置")); }
+  }, [reviewer]);
+
+  // 图表选中的下标只对原数据集有效
+  useEffect(() => { setChartSelection(null); }, [dataset]);
+
+  // 服务器：获取数据集列表
+  useEffect(() => {
+    if (!SERVER_URL) return;
+    serverRequest("GET", "/datasets").then(setServerDatasets).catch(e => setServerNotice(`无法连接标注服务器：${e.message}`));
+  }, []);
+
+  // 服务器：评分变化后防抖保存被修改的样本
+  useEffect(() => {
+    if (!serverDataset || !dirtyRef.current.size) return;
+    const timer = setTimeout(() => {
+      const ids = [...dirtyRef.current];
+      dirtyRef.current.clear();
+      ids.forEach(id => {
+        const sample = dataset.find((s, i) => (s.id ?? String(s._idx ?? i)) === id);
+        serverRequest("PUT", `/datasets/${encodeURIComponent(serverDataset)}/results/${encodeURIComponent(id)}`, {
+          annotator: annotator.trim(),
+          format: "react",
+          result: withActivity(scores[id], activity[id], judgements[id]) || {},
+          completed: !!sample && isSampleComplete(sample, scores[id], rubric),
+        }).then(() => setServerNotice(null)).catch(e => setServerNotice(`保存到服务器失败（${id}）：${e.message}`));
+      });
+    }, SERVER_SYNC_DELAY);
+    return () => clearTimeout(timer);
+  }, [scores, activity, judgements, serverDataset]);
+
+  // 服务器：领取（或继续）一批任务，并恢复服务器上已保存的评分
+  const loadServerBatch = async () => {
+    const name = annotator.trim();
+    if (!name) { alert("请先填写标注者名称再领取任务。"); return; }
+    if (!serverChoice) return;
+    const base = `/datasets/${encodeURIComponent(serverChoice)}`;
+    try {
+      const [assignment, raw, saved] = await Promise.all([
+        serverRequest("POST", `${base}/assignments`, { annotator: name, size: SERVER_BATCH_SIZE }),
+        serverRequest("GET", base),
+        serverRequest("GET", `${base}/results?annotator=${encodeURIComponent(name)}`),
+      ]);
+      const parsed = parseDatasetText(typeof raw === "string" ? raw : JSON.stringify(raw), serverChoice);
+      if (parsed.fatal) throw new Error(parsed.fatal);
+      const adapted = adaptRecords(parsed);
+      if (adapted.rubric && !applyRubric(adapted.rubric)) return;
+      const byId = new Map(adapted.items.map(item => [String(item.id), item]));
+      const items = mixGoldItems(assignment.items.map(id => byId.get(id)).filter(Boolean));
+      if (!items.length) { alert("该数据集已没有可领取的样本。"); return; }
+      const restored = {}, restoredActivity = {}, restoredJudgements = {};
+      items.forEach(item => {
+        const entry = saved[item.id];
+        if (!entry || entry.format !== "react") return;
+        const split = splitActivity(entry.result);
+        if (split.scores) restored[item.id] = split.scores;
+        if (split.activity) restoredActivity[item.id] = split.activity;
+        if (split.judge) restoredJudgements[item.id] = normalizeJudge(split.judge, item, adapted.rubric ? normalizeRubric(adapted.rubric) : rubric);
+      });
+      dirtyRef.current.clear();
+      setServerDataset(serverChoice);
+      setBundle(null);
+      setDataset(items.map((d, i) => ({ ...d, _idx: i })));
+      setScores(prev => ({ ...prev, ...restored }));
+      setActivity(prev => ({ ...prev, ...restoredActivity }));
+      setJudgements(prev => ({ ...prev, ...restoredJudgements }));
+      setServerNotice(null);
+    } catch (e) {
+      setServerNotice(`领取任务失败：${e.message}`);
+    }
+  };
+
+  // 应用评分标准（校验失败时提示并保留当前标准）
+  const applyRubric = (raw) => {
+    const errors = validateRubric(raw);
+    if (errors.length) {
+      alert(`评分标准无效：\n${errors.slice(0, 5).join("\n")}`);
+      return false;
+    }
+    setRubric(normalizeRubric(raw));
+    try { localStorage.setItem(LS_RUBRIC_KEY, JSON.stringify(raw)); } catch (e) { setStorageError(describeStorageError(e, "评分标准")); }
+    return true;
+  };
+
+  // 开始多模型对比：应用某个模型输出中内嵌的评分标准，加载对齐后的样本
+  const startComparison = (items, rawRubric) => {
+    if (rawRubric && !applyRubric(rawRubric)) return;
+    setShowModelCompare(false);
+    setServerDataset(null);
+    setDatasetName("");
+    setDataset(items.map((d, i) => ({ ...d, _idx: i })));
+  };
+
+  // 确认导入预览：应用内嵌评分标准并加载有效记录；导出的数据包再按 id 导入其中的打分结果
+  const confirmImport = () => {
+    const { fileName, adapted, bundle: nextBundle } = pendingImport;
+    setPendingImport(null);
+    if (adapted.rubric && !applyRubric(adapted.rubric)) { if (nextBundle !== bundle) releaseBundle(nextBundle); return; }
+    setServerDataset(null);
+    setDatasetName(fileName);
+    setBundle(nextBundle);
+    if (!nextBundle?.results) {
+      setDataset(mixGoldItems(adapted.items).map((d, i) => ({ ...d, _idx: i })));
+      return;
+    }
+    const items = adapted.items.map((d, i) => ({ ...d, _idx: i }));
+    const { next, nextActivity, nextJudgements, report } = mergeImportedScores(nextBundle.results, items, scores, rubric, activity, judgements);
+    setDataset(items);
+    setScores(next);
+    setActivity(nextActivity);
+    setJudgements(nextJudgements);
+    alert(formatImportReport(report, rubric));
+  };
+
+  const cancelImport = () => {
+    if (pendingImport?.bundle && pendingImport.bundle !== bundle) releaseBundle(pendingImport.bundle);
+    setPendingImport(null);
+  };
+
+  // 导入预览时在后台检查图片，结果出来前也可以开始标注
+  useEffect(() => {
+    setImageReport(null);
+    if (!pendingImport) return;
+    let cancelled = false;
+    checkDatasetImages(pendingImport.adapted.items, pendingImport.bundle).then(report => { if (!cancelled) setImageReport(report); });
+    return () => { cancelled = true; };
+  }, [pendingImport]);
+
+  // 换用其他数据包或数据集时释放旧数据包的 object URL
+  useEffect(() => () => releaseBundle(bundle), [bundle]);
+
+  // 每次数据集更新都持久化 & 重置索引与撤销历史；正在进行的预打分取消，结果丢弃
+  useEffect(() => {
+    try { localStorage.setItem(LS_DATASET_KEY, JSON.stringify(dataset)); } catch (e) { setStorageError(describeStorageError(e, "数据集")); }
     setIdx(0);
+    setHistories({});
+    judgeControllerRef.current?.abort();
+    judgeControllerRef.current = null;
+    setJudgeRun(null);
   }, [dataset]);
 
   const current = dataset[idx];
   const total = dataset.length;
+  const currentId = current ? current.id ?? String(current._idx ?? idx) : null;
+
+  const logEvent = (sampleId, type, details) => {
+    setActivity(prev => ({ ...prev, [sampleId]: appendEvent(prev[sampleId], type, details) }));
+  };
+
+  // 计时：停留期间的任何操作都让计时继续，距上次操作超过 IDLE_TIMEOUT 的部分与页面隐藏的时间不计；
+  // 离开样本时把本次用时计入 timeSpentMs，关闭页面时直接写入缓存
+  useEffect(() => {
+    if (!currentId) return;
+    logEvent(currentId, "open");
+    const clock = { lastActiveAt: Date.now(), visitMs: 0 };
+    clockRef.current = clock;
+    const touch = () => {
+      const now = Date.now();
+      clock.visitMs += Math.min(now - clock.lastActiveAt, IDLE_TIMEOUT);
+      clock.lastActiveAt = now;
+    };
+    const onVisibility = () => {
+      if (document.hidden) touch(); else clock.lastActiveAt = Date.now();
+    };
+    const settle = (prev) => {
+      const act = appendEvent(prev[currentId], "leave", { durationMs: clock.visitMs });
+      return { ...prev, [currentId]: { ...act, timeSpentMs: act.timeSpentMs + clock.visitMs } };
+    };
+    const onUnload = () => {
+      if (!document.hidden) touch();
+      try { localStorage.setItem(LS_ACTIVITY_KEY, JSON.stringify(settle(activityRef.current))); } catch (e) { setStorageError(describeStorageError(e, "编辑历史")); }
+    };
+    const activityEvents = ["pointerdown", "keydown", "wheel"];
+    activityEvents.forEach(t => window.addEventListener(t, touch, { capture: true, passive: true }));
+    document.addEventListener("visibilitychange", onVisibility);
+    window.addEventListener("beforeunload", onUnload);
+    return () => {
+      activityEvents.forEach(t => window.removeEventListener(t, touch, { capture: true }));
+      document.removeEventListener("visibilitychange", onVisibility);
+      window.removeEventListener("beforeunload", onUnload);
+      if (!document.hidden) touch();
+      clockRef.current = null;
+      dirtyRef.current.add(currentId);
+      setActivity(settle);
+    };
+  }, [currentId]);
+
+  // 服务器：锁定当前样本，切换时释放上一条
+  useEffect(() => {
+    if (!serverDataset || !current) return;
+    const id = current.id ?? String(current._idx ?? idx);
+    const base = `/datasets/${encodeURIComponent(serverDataset)}/items`;
+    const name = annotator.trim();
+    lockedRef.current = id;
+    serverRequest("POST", `${base}/${encodeURIComponent(id)}/lock`, { annotator: name })
+      .catch(e => {
+        if (lockedRef.current === id) lockedRef.current = null;
+        setServerNotice(e.status === 409 ? `${e.message}，本条修改将无法保存到服务器` : `锁定失败：${e.message}`);
+      });
+    return () => {
+      if (lockedRef.current === id) {
+        lockedRef.current = null;
+        serverRequest("DELETE", `${base}/${encodeURIComponent(id)}/lock?annotator=${encodeURIComponent(name)}`).catch(() => {});
+      }
+    };
+  }, [serverDataset, current]);
 
   // 工具：获取与写入评分
   const getSampleScores = (sampleId) => scores[sampleId] || { overall: { type: scoreTypeOverall, criteria: {} }, turns: {} };
 
+  // 修改前把该样本的评分加入撤销历史；key 相同且间隔小于 EDIT_MERGE_DELAY 的连续修改只记一次
+  const rememberScores = (sampleId, key = null) => {
+    const now = Date.now();
+    const before = scores[sampleId] || null;
+    setHistories(prev => {
+      const h = prev[sampleId] || { undo: [], redo: [], key: null, at: 0 };
+      const merge = key !== null && h.key === key && now - h.at < EDIT_MERGE_DELAY;
+      return { ...prev, [sampleId]: { undo: merge ? h.undo : [...h.undo, before].slice(-EDIT_HISTORY_LIMIT), redo: [], key, at: now } };
+    });
+  };
+
+  // 撤销（step = -1）/ 重做（step = 1）：恢复整条评分，并记入事件日志
+  const stepHistory = (sampleId, step) => {
+    const h = histories[sampleId];
+    const [from, to] = step < 0 ? ["undo", "redo"] : ["redo", "undo"];
+    if (!h || !h[from].length) return;
+    const target = h[from][h[from].length - 1];
+    dirtyRef.current.add(sampleId);
+    setHistories(prev => ({ ...prev, [sampleId]: { ...h, [from]: h[from].slice(0, -1), [to]: [...h[to], scores[sampleId] || null], key: null } }));
+    setScores(prev => {
+      const next = { ...prev };
+      if (target) next[sampleId] = target; else delete next[sampleId];
+      return next;
+    });
+    logEvent(sampleId, step < 0 ? "undo" : "redo");
+  };
+
   const writeScore = (sampleId, scope, key, value, turnIndex = null) => {
+    const group = scope === "overall" ? scores[sampleId]?.overall : scores[sampleId]?.turns?.[turnIndex];
+    const from = group?.criteria?.[key] ?? null;
+    const type = scope === "overall" ? scoreTypeOverall : scoreTypeTurn;
+    dirtyRef.current.add(sampleId);
+    if (from !== value || group?.type !== type) {
+      rememberScores(sampleId, `${scope}:${turnIndex}:${key}`);
+      logEvent(sampleId, "score", { turn: scope === "overall" ? null : turnIndex, criterion: key, from, to: value, scale: type });
+    }
     setScores(prev => {
       const next = { ...prev };
       if (!next[sampleId]) next[sampleId] = { overall: { type: scoreTypeOverall, criteria: {} }, turns: {} };
+      next[sampleId] = { ...next[sampleId], annotator: annotator.trim() || null };
+      // 逐层复制而不是原地修改，撤销历史里保存的旧评分才不会跟着变
       if (scope === "overall") {
-        next[sampleId].overall.type = scoreTypeOverall;
-        next[sampleId].overall.criteria = { ...next[sampleId].overall.criteria, [key]: value };
+        next[sampleId].overall = { type: scoreTypeOverall, criteria: { ...next[sampleId].overall.criteria, [key]: value } };
       } else {
-        if (!next[sampleId].turns[turnIndex]) next[sampleId].turns[turnIndex] = { type: scoreTypeTurn, criteria: {} };
-        next[sampleId].turns[turnIndex].type = scoreTypeTurn;
-        next[sampleId].turns[turnIndex].criteria = { ...next[sampleId].turns[turnIndex].criteria, [key]: value };
+        const turn = next[sampleId].turns[turnIndex];
+        next[sampleId].turns = { ...next[sampleId].turns, [turnIndex]: { type: scoreTypeTurn, criteria: { ...turn?.criteria, [key]: value } } };
       }
       return next;
     });
   };
 
+  const writePreference = (sampleId, turnIndex, pref) => {
+    dirtyRef.current.add(sampleId);
+    rememberScores(sampleId);
+    logEvent(sampleId, "preference", { turn: turnIndex, ranking: pref?.ranking ?? null, tie: !!pref?.tie, margin: pref?.margin ?? null });
+    setScores(prev => {
+      const next = { ...prev };
+      const cur = next[sampleId] || { overall: { type: scoreTypeOverall, criteria: {} }, turns: {} };
+      next[sampleId] = { ...cur, annotator: annotator.trim() || null, preferences: { ...(cur.preferences || {}), [turnIndex]: pref } };
+      return next;
+    });
+  };
+
+  // 安全评估：update(旧值) 返回新值，返回 null 表示清除该轮
+  const writeSafety = (sampleId, turnIndex, update) => {
+    dirtyRef.current.add(sampleId);
+    rememberScores(sampleId, `safety:${turnIndex}`);
+    logEvent(sampleId, "safety", { turn: turnIndex, harmful: !!update(scores[sampleId]?.safety?.[turnIndex] || EMPTY_SAFETY)?.harmful });
+    setScores(prev => {
+      const cur = prev[sampleId] || { overall: { type: scoreTypeOverall, criteria: {} }, turns: {} };
+      const safety = { ...(cur.safety || {}) };
+      const value = update(safety[turnIndex] || EMPTY_SAFETY);
+      if (value) safety[turnIndex] = value; else delete safety[turnIndex];
+      return { ...prev, [sampleId]: { ...cur, annotator: annotator.trim() || null, safety } };
+    });
+  };
+
+  // 标记问题片段时该轮同时标记为有害，片段默认归入已选的第一个类别
+  const tagSpan = (sampleId, turnIndex, span) => writeSafety(sampleId, turnIndex, cur => ({
+    ...cur,
+    harmful: true,
+    spans: cur.spans.some(sp => sp.start === span.start && sp.end === span.end) ? cur.spans
+      : [...cur.spans, { ...span, category: cur.categories[0] || null }].sort((a, b) => a.start - b.start),
+  }));
+
+  // 修订回答：revision 为 { text, editedAt }，null 表示删除修订（原回答始终保留在数据中）
+  const writeRevision = (sampleId, turnIndex, revision) => {
+    dirtyRef.current.add(sampleId);
+    rememberScores(sampleId);
+    logEvent(sampleId, "revision", { turn: turnIndex, removed: !revision, length: revision ? revision.text.length : null });
+    setScores(prev => {
+      const cur = prev[sampleId] || { overall: { type: scoreTypeOverall, criteria: {} }, turns: {} };
+      const revisions = { ...(cur.revisions || {}) };
+      if (revision) revisions[turnIndex] = revision; else delete revisions[turnIndex];
+      return { ...prev, [sampleId]: { ...cur, annotator: annotator.trim() || null, revisions } };
+    });
+  };
+
+  // 问题标记：flag 为 { reason, note }，null 表示恢复正常；连续输入说明合并为一次编辑
+  const writeQuestionFlag = (sampleId, turnIndex, flag) => {
+    dirtyRef.current.add(sampleId);
+    rememberScores(sampleId, `flag:${turnIndex}`);
+    logEvent(sampleId, "flag", { turn: turnIndex, reason: flag?.reason ?? null });
+    setScores(prev => {
+      const cur = prev[sampleId] || { overall: { type: scoreTypeOverall, criteria: {} }, turns: {} };
+      const questionFlags = { ...(cur.questionFlags || {}) };
+      if (flag) questionFlags[turnIndex] = flag; else delete questionFlags[turnIndex];
+      return { ...prev, [sampleId]: { ...cur, annotator: annotator.trim() || null, questionFlags } };
+    });
+  };
+
+  // 图片区域标注：update 接收该样本的全部框并返回新的数组
+  const writeRegions = (sampleId, update) => {
+    dirtyRef.current.add(sampleId);
+    rememberScores(sampleId, "regions");
+    logEvent(sampleId, "region");
+    setScores(prev => {
+      const cur = prev[sampleId] || { overall: { type: scoreTypeOverall, criteria: {} }, turns: {} };
+      return { ...prev, [sampleId]: { ...cur, annotator: annotator.trim() || null, regions: update(cur.regions || []) } };
+    });
+  };
+
+  // 清空本条评分（可撤销；编辑历史与用时保留）
   const resetScoresForSample = (sampleId) => {
+    if (!scores[sampleId]) return;
+    dirtyRef.current.add(sampleId);
+    rememberScores(sampleId);
+    logEvent(sampleId, "reset");
     setScores(prev => {
       const next = { ...prev };
       delete next[sampleId];
@@ -115,25 +863,105 @@ export default function RLHFScoringApp() {
     });
   };
 
-  // 导出 JSON
-  const exportJSON = () => {
-    const payload = {
+  // 一键采纳建议：fields 为 [{ scope, key, value, turnIndex }]；与逐项打分一样记为标注者的修改，但只算一步撤销
+  const acceptJudgeSuggestions = (sampleId, fields) => {
+    if (!fields.length) return;
+    dirtyRef.current.add(sampleId);
+    rememberScores(sampleId);
+    fields.forEach(f => logEvent(sampleId, "score", {
+      turn: f.scope === "overall" ? null : f.turnIndex, criterion: f.key, from: null, to: f.value, scale: f.scope === "overall" ? scoreTypeOverall : scoreTypeTurn,
+    }));
+    setScores(prev => {
+      const cur = prev[sampleId] || { overall: { type: scoreTypeOverall, criteria: {} }, turns: {} };
+      const next = { ...cur, annotator: annotator.trim() || null, turns: { ...cur.turns } };
+      fields.forEach(({ scope, key, value, turnIndex }) => {
+        if (scope === "overall") next.overall = { type: scoreTypeOverall, criteria: { ...next.overall.criteria, [key]: value } };
+        else next.turns[turnIndex] = { type: scoreTypeTurn, criteria: { ...next.turns[turnIndex]?.criteria, [key]: value } };
+      });
+      return { ...prev, [sampleId]: next };
+    });
+  };
+
+  // 预打分：按并发数分批请求，可随时取消；单个样本失败不影响其余样本，切换数据集后到达的结果丢弃
+  const startJudgeRun = async (indices) => {
+    if (judgeControllerRef.current || !indices.length) return;
+    if (!/^https?:\/\//i.test(judgeConfig.endpoint)) { alert("请填写以 http:// 或 https:// 开头的接口地址。"); return; }
+    const controller = new AbortController();
+    judgeControllerRef.current = controller;
+    const live = () => judgeControllerRef.current === controller;
+    const config = judgeConfig, types = { scoreTypeOverall, scoreTypeTurn };
+    const progress = { total: indices.length, done: 0, failed: 0, errors: [], running: true, cancelling: false, cancelled: false };
+    setJudgeRun({ ...progress });
+    const queue = [...indices];
+    const worker = async () => {
+      while (queue.length && !controller.signal.aborted) {
+        const i = queue.shift(), s = dataset[i], id = s.id ?? String(s._idx ?? i);
+        try {
+          const judge = await judgeSample(s, scores[id], rubric, config, types, bundle, controller.signal);
+          if (!live()) return;
+          progress.done += 1;
+          dirtyRef.current.add(id);
+          setJudgements(prev => ({ ...prev, [id]: judge }));
+        } catch (e) {
+          if (controller.signal.aborted) break;
+          progress.failed += 1;
+          progress.errors.push({ index: i, id, message: e.message });
+        }
+        if (live()) setJudgeRun(prev => ({ ...progress, errors: [...progress.errors], cancelling: !!prev?.cancelling }));
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(config.concurrency, indices.length) }, worker));
+    if (!live()) return;
+    judgeControllerRef.current = null;
+    setJudgeRun({ ...progress, errors: [...progress.errors], running: false, cancelled: controller.signal.aborted });
+  };
+
+  const cancelJudgeRun = () => {
+    if (!judgeControllerRef.current) return;
+    judgeControllerRef.current.abort();
+    setJudgeRun(prev => prev && { ...prev, cancelling: true });
+  };
+
+  // 当前样本本次停留的用时要到离开时才结算，导出与统计时先算上
+  const settledActivity = () => {
+    const clock = clockRef.current;
+    if (!clock || !currentId || !activity[currentId]) return activity;
+    const pending = clock.visitMs + Math.min(Date.now() - clock.lastActiveAt, IDLE_TIMEOUT);
+    return { ...activity, [currentId]: { ...activity[currentId], timeSpentMs: activity[currentId].timeSpentMs + pending } };
+  };
+
+  // 只有质检员可以去掉金标准题，标注者的导出总是包含金标准题，供质检员统计
+  const dropGold = reviewer && excludeGold;
+
+  // 导出 JSON；编辑历史与用时写入 scores（与 index.html 的结果字段相同）
+  const buildExportPayload = () => {
+    const settled = settledActivity();
+    return {
       exportedAt: new Date().toISOString(),
+      position: idx,
       config: {
-        criteria: CRITERIA.map(c => c.key),
+        annotator: annotator.trim() || null,
+        rubric: { name: rubric.name, version: rubric.version, dimensions: rubric.dimensions, harmCategories: rubric.harmCategories },
+        rubricVersion: rubric.version,
+        criteria: rubric.dimensions.map(c => c.key),
         categoricalOptions: [...CATEGORICAL_OPTIONS],
         continuousRange: [CONTINUOUS_MIN, CONTINUOUS_MAX],
         scoreTypeOverall,
         scoreTypeTurn,
       },
-      data: dataset.map((s) => ({
+      data: dataset.filter(s => !(dropGold && s.gold)).map((s) => ({
         id: s.id ?? String(s._idx ?? 0),
+        ...(s.model !== undefined ? { sampleId: s.sampleId, model: s.model, modelLabel: s.modelLabel } : {}),
         meta: s.meta || null,
         turns: s.rounds?.length ?? 0,
-        scores: scores[s.id ?? String(s._idx ?? 0)] || null,
+        scores: withActivity(scores[s.id ?? String(s._idx ?? 0)], settled[s.id ?? String(s._idx ?? 0)], judgements[s.id ?? String(s._idx ?? 0)]),
+        preferencePairs: buildPreferencePairs(s, scores[s.id ?? String(s._idx ?? 0)]),
       }))
     };
-    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" });
+  };
+
+  const exportJSON = () => {
+    const blob = new Blob([JSON.stringify(buildExportPayload(), null, 2)], { type: "application/json" });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
@@ -142,88 +970,424 @@ export default function RLHFScoringApp() {
     URL.revokeObjectURL(url);
   };
 
-  // 导出 Markdown 报告（包含总体统计与图例说明）
-  const exportReport = () => {
-    const stats = computeStats(dataset, scores);
-    const md = `# RLHF 打分报告\n\n` +
-`导出时间：${new Date().toISOString()}\n\n` +
-`样本量：${dataset.length}\n\n` +
-`## 评分配置\n- Overall 评分类型：${scoreTypeOverall}\n- Turn 评分类型：${scoreTypeTurn}\n- 连续区间：[${CONTINUOUS_MIN}, ${CONTINUOUS_MAX}]\n- 单选选项：${CATEGORICAL_OPTIONS.join(', ')}\n\n` +
-`## 统计摘要\n` +
-CRITERIA.map(c => {
-  const s = stats.overall[c.key];
-  const t = stats.turn[c.key];
-  return `### ${c.label}\n- Overall 连续均值：${fmt(s.continuous.mean)} (n=${s.continuous.n})\n- Overall 连续中位数：${fmt(s.continuous.median)}\n- Overall 单选众数：${s.categorical.mode ?? 'NA'}\n- Per-turn 连续均值：${fmt(t.continuous.mean)} (n=${t.continuous.n})\n- Per-turn 单选众数：${t.categorical.mode ?? 'NA'}\n`;
-}).join("\n") +
-`\n> 注：-1 表示回答有害（harmful）。`;
-
-    const blob = new Blob([md], { type: "text/markdown;charset=utf-8" });
+  // 导出数据包：dataset.json（对话内容）、results.json（同"导出 JSON 结果"）与引用的图片，图片按原路径存放
+  const exportBundle = async () => {
+    const samples = dataset.filter(s => !(dropGold && s.gold)).map(({ _idx, ...s }) => s);
+    const files = [
+      { path: "dataset.json", blob: new Blob([JSON.stringify(samples, null, 2)], { type: "application/json" }) },
+      { path: "results.json", blob: new Blob([JSON.stringify(buildExportPayload(), null, 2)], { type: "application/json" }) },
+    ];
+    const targets = new Map(); // 数据包内路径 → 原图片路径
+    samples.forEach(s => (s.rounds || []).forEach(r => getImages(r).forEach(p => {
+      if (/^(data:|blob:|https?:)/.test(p) || sniffBase64Image(p)) return;
+      const target = normalizeBundlePath(p);
+      if (target && !files.some(f => f.path === target) && !targets.has(target)) targets.set(target, p);
+    })));
+    const missing = [];
+    await Promise.all([...targets].map(async ([target, p]) => {
+      try {
+        const file = bundle && findBundleFile(bundle, p);
+        const response = file ? null : await fetch(resolveImage(p, bundle));
+        if (response && !response.ok) throw new Error(String(response.status));
+        files.push({ path: target, blob: file ? bundle.files.get(file) : await response.blob() });
+      } catch {
+        missing.push(p);
+      }
+    }));
+    try {
+      const url = URL.createObjectURL(await createZip(files));
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `rlhf_bundle_${new Date().toISOString().slice(0,19).replace(/[:T]/g,'-')}.zip`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      alert(`导出数据包失败：${err.message}`);
+      return;
+    }
+    if (missing.length) alert(`${missing.length} 张图片无法读取，未能打包：${missing.slice(0, 3).join("，")}${missing.length > 3 ? " 等" : ""}`);
+  };
+
+  // 单独导出金标准质检报告（与 index.html 的报告字段相同）
+  const exportGoldReport = () => {
+    const { goldCount, annotators } = computeGoldQC(dataset, scores, rubric, annotator.trim());
+    if (!annotators.length) { alert("尚无已完成的金标准题。"); return; }
+    const payload = {
+      dataset: serverDataset || "本地数据集",
+      rubricVersion: rubric.version,
+      generatedAt: new Date().toISOString(),
+      goldItems: goldCount,
+      annotators: annotators.map(r => ({ annotator: r.annotator, answered: r.answered, passed: r.passed, accuracy: r.passed / r.answered, items: r.items.map(({ id, passed, checks }) => ({ id, passed, checks })) })),
+    };
+    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `rlhf_gold_qc_${new Date().toISOString().slice(0,19).replace(/[:T]/g,'-')}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // 导入之前导出的结果（本组件或 index.html 导出的 JSON），按样本 id 合并并报告冲突
+  const importJSON = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    let data;
+    try { data = JSON.parse(await file.text()); } catch { alert("JSON 解析失败，请检查文件格式。"); return; }
+    if (!dataset.length) { alert("请先加载对应的数据集，再导入结果。"); return; }
+    applyImportedResults(data);
+  };
+
+  // 按样本 id 合并结果（导入的文件或数据工具合并后的结果）并报告冲突
+  const applyImportedResults = (data) => {
+    const { next, nextActivity, nextJudgements, report } = mergeImportedScores(data, dataset, scores, rubric, activity, judgements);
+    if (!report) { alert("无法识别的结果文件，应为本工具或 index.html 导出的 JSON。"); return; }
+    setScores(next);
+    setActivity(nextActivity);
+    setJudgements(nextJudgements);
+    setHistories({});
+    if (typeof report.position === "number" && report.position >= 0 && report.position < dataset.length) setIdx(report.position);
+    else {
+      const firstOpen = dataset.findIndex((s, i) => !next[s.id ?? String(s._idx ?? i)]);
+      if (firstOpen >= 0) setIdx(firstOpen);
+    }
+    alert(formatImportReport(report, rubric));
+  };
+
+  // 导出报告：html 下载自包含的 HTML 文件，pdf 打开打印窗口（另存为 PDF）；与 index.html 的报告一致
+  const exportReport = async (format) => {
+    if (!dataset.length) { alert("请先加载数据集。"); return; }
+    const printWindow = format === "pdf" ? window.open("", "_blank") : null;
+    if (format === "pdf" && !printWindow) { alert("浏览器拦截了打印窗口，请允许弹出窗口后重试。"); return; }
+    const model = buildReportModel(dataset, scores, rubric, {
+      scoreTypeOverall, scoreTypeTurn, annotator: annotator.trim() || null, source: serverDataset || "本地数据集",
+    });
+    [...model.lowest, ...model.harmfulItems].forEach(entry => { if (entry.image) entry.image = resolveImage(entry.image, bundle); });
+    await inlineReportImages(model);
+    const html = renderReportHTML(model);
+    if (printWindow) {
+      printWindow.document.open();
+      printWindow.document.write(html);
+      printWindow.document.close();
+      printWindow.focus();
+      setTimeout(() => printWindow.print(), 300);
+      return;
+    }
+    const blob = new Blob([html], { type: "text/html;charset=utf-8" });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
-    a.download = `rlhf_report_${new Date().toISOString().slice(0,19).replace(/[:T]/g,'-')}.md`;
+    a.download = `rlhf_report_${new Date().toISOString().slice(0,19).replace(/[:T]/g,'-')}.html`;
     a.click();
     URL.revokeObjectURL(url);
   };
 
+  // Ctrl+Z 撤销，Ctrl+Shift+Z / Ctrl+Y 重做；在输入框中保留浏览器自身的撤销
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!currentId || !(e.ctrlKey || e.metaKey) || e.altKey || !/^[zy]$/i.test(e.key)) return;
+      const t = e.target;
+      if (t.isContentEditable || ["TEXTAREA", "SELECT"].includes(t.tagName) || (t.tagName === "INPUT" && !["range", "radio", "checkbox"].includes(t.type))) return;
+      e.preventDefault();
+      stepHistory(currentId, e.key.toLowerCase() === "y" || e.shiftKey ? 1 : -1);
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
   // 统计（用于可视化）
-  const stats = useMemo(() => computeStats(dataset, scores), [dataset, scores]);
+  const stats = useMemo(() => computeStats(dataset, scores, rubric), [dataset, scores, rubric]);
+  const timing = computeTimingStats(dataset, scores, settledActivity(), rubric);
+  const currentHistory = currentId ? histories[currentId] : null;
+  const goldQC = reviewer && dataset.some(s => s.gold) ? computeGoldQC(dataset, scores, rubric, annotator.trim()) : null;
+  const goldFeedback = calibration && current?.gold && isSampleComplete(current, scores[currentId], rubric) ? evaluateGold(current, scores[currentId], rubric) : null;
+
+  // 统计分析：按 meta 字段分组后的分布、轮次趋势、整体与逐轮对比、相关性
+  const metaKeys = useMemo(() => metaKeysOf(dataset), [dataset]);
+  const requestedGroup = analyticsGroup ?? (metaKeys.includes("source") ? "source" : "");
+  const groupKey = metaKeys.includes(requestedGroup) ? requestedGroup : "";
+  const groups = useMemo(() => groupSamples(dataset, groupKey), [dataset, groupKey]);
+  const groupStats = useMemo(() => groups.map(g => computeStats(g.indices.map(i => dataset[i]), scores, rubric)), [groups, dataset, scores, rubric]);
+  const scoreTypes = { scoreTypeOverall, scoreTypeTurn };
+  const trend = useMemo(() => computeTurnTrend(dataset, scores, rubric, groups, analyticsDim, scoreTypeTurn), [dataset, scores, rubric, groups, analyticsDim, scoreTypeTurn]);
+  const overallVsTurn = useMemo(() => computeOverallVsTurn(dataset, scores, rubric, groups, analyticsDim, scoreTypes), [dataset, scores, rubric, groups, analyticsDim, scoreTypeOverall, scoreTypeTurn]);
+  const correlations = useMemo(() => groups.map(g => computeCorrelations(dataset, scores, rubric, g.indices, scoreTypes)), [dataset, scores, rubric, groups, scoreTypeOverall, scoreTypeTurn]);
+  const groupLabel = (gi) => (groupKey ? ` · ${groupKey} = ${groups[gi].label}` : "");
+  const groupColor = (gi) => REPORT_COLORS[gi % REPORT_COLORS.length];
+
+  // 图表点击：只在选中的样本间切换上一条 / 下一条，并回到样本导航
+  const selectChartItems = (label, indices) => {
+    if (!indices.length) { alert("没有对应的样本。"); return; }
+    setChartSelection({ label, indices });
+    if (!indices.includes(idx)) setIdx(indices[0]);
+    navRef.current?.scrollIntoView?.({ behavior: "smooth" });
+  };
+  const selectDistributionBin = (dim, scope, type, bin, gi) => selectChartItems(
+    `${dim.label}（${scope === "overall" ? "整体" : "逐轮"}${type === "categorical" ? "单选" : "连续"}）= ${bin.name}${groupLabel(gi)}`,
+    groups[gi].indices.filter(i => sampleDimValues(dataset[i], scores[dataset[i].id ?? String(dataset[i]._idx ?? i)], dim, scope).some(v => v.type === type && bin.test(v.value)))
+  );
+  // 模型对比：同一样本各模型的回答并排显示
+  const modelColumns = current?.sampleId !== undefined
+    ? dataset.map((s, i) => [s, i]).filter(([s]) => s.sampleId === current.sampleId).map(([s, i]) => ({
+      index: i, sample: s, label: s.modelLabel, own: i === idx, completed: isSampleComplete(s, scores[s.id ?? String(s._idx ?? i)], rubric),
+    }))
+    : null;
+  const modelSummary = useMemo(() => computeModelComparison(dataset, scores, rubric, { scoreTypeOverall, scoreTypeTurn }), [dataset, scores, rubric, scoreTypeOverall, scoreTypeTurn]);
+  const judgeAgreement = useMemo(() => computeJudgeAgreement(dataset, scores, judgements, rubric, { scoreTypeOverall, scoreTypeTurn }), [dataset, scores, judgements, rubric, scoreTypeOverall, scoreTypeTurn]);
+  const prevSample = chartSelection ? [...chartSelection.indices].reverse().find(i => i < idx) : idx > 0 ? idx - 1 : undefined;
+  const nextSample = chartSelection ? chartSelection.indices.find(i => i > idx) : idx < total - 1 ? idx + 1 : undefined;
 
   return (
-    <div className="min-h-screen w-full bg-gray-50 text-gray-900 p-4 md:p-8">
+    <div
+      className="min-h-screen w-full bg-gray-50 text-gray-900 p-4 md:p-8"
+      onDragOver={(e) => { if (![...e.dataTransfer.types].includes("Files")) return; e.preventDefault(); setDragging(true); }}
+      onDragLeave={(e) => { if (!e.relatedTarget) setDragging(false); }}
+      onDrop={(e) => { if (![...e.dataTransfer.types].includes("Files")) return; e.preventDefault(); setDragging(false); handleDropFiles(e, setPendingImport); }}
+    >
+      {dragging && (
+        <div className="fixed inset-0 z-50 bg-blue-500/10 border-4 border-dashed border-blue-500 pointer-events-none flex items-center justify-center">
+          <div className="bg-white rounded-2xl shadow-xl px-6 py-4">松开以加载数据：JSON / JSONL 文件、文件夹或 zip 数据包</div>
+        </div>
+      )}
       <div className="mx-auto max-w-7xl space-y-4">
         <header className="flex flex-col md:flex-row items-start md:items-center justify-between gap-3">
           <h1 className="text-2xl md:text-3xl font-bold tracking-tight">RLHF 多轮图文数据集打分面板</h1>
           <div className="flex items-center gap-2">
-            <Button variant="secondary" onClick={() => fileInputRef.current?.click()}>
+            <Input
+              value={annotator}
+              onChange={(e) => setAnnotator(e.target.value)}
+              placeholder="标注者名称"
+              className={`w-36 ${annotator.trim() ? "" : "border-amber-400"}`}
+              title="记录在每条评分与导出文件中"
+            />
+            <label className="flex items-center gap-1 text-sm text-gray-600 whitespace-nowrap" title="在统计区查看金标准质检、设置校准模式，导出时可去掉金标准题">
+              <Checkbox checked={reviewer} onCheckedChange={(v) => setReviewer(!!v)} />质检员
+            </label>
+            {SERVER_URL && (
+              <>
+                <Select value={serverChoice} onValueChange={setServerChoice}>
+                  <SelectTrigger className="w-44"><SelectValue placeholder="服务器数据集" /></SelectTrigger>
+                  <SelectContent>
+                    {serverDatasets.map(d => <SelectItem key={d.name} value={d.name}>{d.name}（{d.items} 条）</SelectItem>)}
+                  </SelectContent>
+                </Select>
+                <Button variant="secondary" onClick={loadServerBatch} disabled={!serverChoice}>领取任务</Button>
+              </>
+            )}
+            <Button variant="secondary" onClick={() => fileInputRef.current?.click()} title="JSON / JSONL 数据文件或 zip 数据包，也可直接拖入页面">
               <FileUp className="w-4 h-4 mr-2" />加载 JSON
             </Button>
             <input
               ref={fileInputRef}
               type="file"
+              accept=".json,.jsonl,.zip,application/json,application/zip"
+              className="hidden"
+              onChange={(e) => handleLoadJSON(e, setPendingImport)}
+            />
+            <Button variant="outline" onClick={() => folderInputRef.current?.click()} title="打开包含数据文件与图片的文件夹">
+              <FolderOpen className="w-4 h-4 mr-2" />打开文件夹
+            </Button>
+            <input
+              ref={folderInputRef}
+              type="file"
+              {...{ webkitdirectory: "" }}
+              multiple
+              className="hidden"
+              onChange={(e) => handleLoadFolder(e, setPendingImport)}
+            />
+            <Button variant="outline" onClick={() => rubricInputRef.current?.click()} title={`${rubric.name}（版本 ${rubric.version}）`}>
+              <FileUp className="w-4 h-4 mr-2" />加载评分标准
+            </Button>
+            <input
+              ref={rubricInputRef}
+              type="file"
+              accept="application/json"
+              className="hidden"
+              onChange={(e) => handleLoadRubric(e, applyRubric)}
+            />
+            <Button variant="outline" onClick={() => importInputRef.current?.click()}>
+              <FileUp className="w-4 h-4 mr-2" />导入结果
+            </Button>
+            <input
+              ref={importInputRef}
+              type="file"
               accept="application/json"
               className="hidden"
-              onChange={(e) => handleLoadJSON(e, setDataset)}
+              onChange={importJSON}
             />
             <Button variant="outline" onClick={() => setShowImages(v => !v)}>
               <ImageIcon className="w-4 h-4 mr-2" />{showImages ? "隐藏图片" : "显示图片"}
             </Button>
+            <Button variant="outline" onClick={() => setRawText(v => !v)}>
+              <Code className="w-4 h-4 mr-2" />{rawText ? "渲染格式" : "显示原文"}
+            </Button>
             <Button onClick={exportJSON}>
               <Download className="w-4 h-4 mr-2" />导出 JSON 结果
             </Button>
-            <Button variant="outline" onClick={exportReport}>
-              <BarChart3 className="w-4 h-4 mr-2" />导出报告 (Markdown)
+            <Button variant="outline" onClick={exportBundle} disabled={!total} title="对话内容、结果与引用的图片打包为 zip，可直接重新打开">
+              <Archive className="w-4 h-4 mr-2" />导出数据包
+            </Button>
+            <Button variant={showModelCompare ? "secondary" : "outline"} onClick={() => setShowModelCompare(v => !v)} title="加载多个模型在同一批问题上的输出，并排打分并比较">
+              <Columns className="w-4 h-4 mr-2" />模型对比
+            </Button>
+            <Button variant={showJudge ? "secondary" : "outline"} onClick={() => setShowJudge(v => !v)} disabled={!total} title="把样本发给评审模型预打分，建议分数显示在打分区">
+              <Wand2 className="w-4 h-4 mr-2" />预打分{judgeRun?.running ? ` ${judgeRun.done + judgeRun.failed}/${judgeRun.total}` : ""}
+            </Button>
+            <Button variant={showDatasetTools ? "secondary" : "outline"} onClick={() => setShowDatasetTools(v => !v)} disabled={!total} title="拆分批次、抽样、去重，以及合并各批次的打分结果">
+              <Scissors className="w-4 h-4 mr-2" />数据工具
+            </Button>
+            <Button variant={showTrainingExport ? "secondary" : "outline"} onClick={() => setShowTrainingExport(v => !v)} disabled={!total}>
+              <Download className="w-4 h-4 mr-2" />训练数据
+            </Button>
+            <Button variant="outline" onClick={() => exportReport("html")}>
+              <BarChart3 className="w-4 h-4 mr-2" />导出报告 (HTML)
+            </Button>
+            <Button variant="outline" onClick={() => exportReport("pdf")}>
+              <BarChart3 className="w-4 h-4 mr-2" />导出 PDF
             </Button>
           </div>
         </header>
 
-        <Card className="shadow-md">
-          <CardHeader className="pb-3">
-            <CardTitle className="flex items-center justify-between">
-              <div>
+        {storageError && (
+          <div className="rounded-2xl border border-amber-300 bg-amber-50 text-amber-800 text-sm p-3">
+            {storageError}
+          </div>
+        )}
+
+        {serverNotice && (
+          <div className="rounded-2xl border border-red-300 bg-red-50 text-red-800 text-sm p-3">
+            {serverNotice}
+          </div>
+        )}
+
+        {pendingImport && (
+          <ImportPreview
+            fileName={pendingImport.fileName}
+            adapted={pendingImport.adapted}
+            bundle={pendingImport.bundle}
+            imageReport={imageReport}
+            onConfirm={confirmImport}
+            onCancel={cancelImport}
+          />
+        )}
+
+        {showModelCompare && <ModelCompareSetup onStart={startComparison} onClose={() => setShowModelCompare(false)} />}
+
+        {showJudge && total > 0 && (
+          <JudgeSetup
+            config={judgeConfig}
+            onConfig={(patch) => setJudgeConfig(prev => ({ ...prev, ...patch }))}
+            scopes={[
+              ...(current ? [{ value: "current", label: `当前样本（${sampleLabel(current, idx)}）`, indices: [idx] }] : []),
+              ...(chartSelection ? [{ value: "selection", label: `图表选中的样本（${chartSelection.indices.length} 条）`, indices: chartSelection.indices }] : []),
+              { value: "all", label: `全部样本（${total} 条）`, indices: dataset.map((_, i) => i) },
+            ]}
+            targetsOf={(indices, options) => judgeTargets(indices, dataset, scores, judgements, rubric, options)}
+            run={judgeRun}
+            labelOf={(i) => (dataset[i] ? sampleLabel(dataset[i], i) : String(i + 1))}
+            onStart={startJudgeRun}
+            onCancel={cancelJudgeRun}
+            onGoto={setIdx}
+            onClose={() => setShowJudge(false)}
+          />
+        )}
+
+        {showDatasetTools && total > 0 && (
+          <DatasetTools
+            dataset={dataset}
+            rubric={rubric}
+            source={serverDataset || datasetName}
+            labelOf={(i) => sampleLabel(dataset[i], i)}
+            onGoto={setIdx}
+            onImport={applyImportedResults}
+            onClose={() => setShowDatasetTools(false)}
+          />
+        )}
+
+        {showTrainingExport && total > 0 && (
+          <TrainingExport
+            dataset={dataset}
+            scores={scores}
+            rubric={rubric}
+            excludeGold={dropGold}
+            annotator={annotator.trim()}
+            scoreTypeOverall={scoreTypeOverall}
+            scoreTypeTurn={scoreTypeTurn}
+            onStorageError={setStorageError}
+            onClose={() => setShowTrainingExport(false)}
+          />
+        )}
+
+        <Card className="shadow-md" ref={navRef}>
+          <CardHeader className="pb-3">
+            <CardTitle className="flex items-center justify-between">
+              <div>
                 样本导航
                 <span className="text-sm text-gray-500 ml-2">{total ? `${idx + 1} / ${total}` : "未加载"}</span>
-                {current?.id && <span className="text-sm text-gray-500 ml-2">ID: {current.id}</span>}
+                {current?.id && <span className="text-sm text-gray-500 ml-2">ID: {sampleLabel(current, idx)}</span>}
               </div>
               <div className="flex items-center gap-2">
-                <Button variant="outline" size="sm" onClick={() => setIdx(i => clamp(i - 1, 0, Math.max(0, total - 1)))} disabled={!total || idx === 0}>
+                <Button variant="outline" size="sm" onClick={() => setIdx(prevSample)} disabled={prevSample === undefined}>
                   <ChevronLeft className="w-4 h-4 mr-1" />上一条
                 </Button>
-                <Button variant="outline" size="sm" onClick={() => setIdx(i => clamp(i + 1, 0, Math.max(0, total - 1)))} disabled={!total || idx === total - 1}>
+                <Button variant="outline" size="sm" onClick={() => setIdx(nextSample)} disabled={nextSample === undefined}>
                   下一条<ChevronRight className="w-4 h-4 ml-1" />
                 </Button>
-                <Button variant="destructive" size="sm" onClick={() => current && resetScoresForSample(current.id ?? String(current._idx ?? idx))} disabled={!current}>
+                <Button variant="outline" size="sm" onClick={() => stepHistory(currentId, -1)} disabled={!currentHistory?.undo.length} title="撤销（Ctrl+Z）">
+                  <Undo2 className="w-4 h-4" />
+                </Button>
+                <Button variant="outline" size="sm" onClick={() => stepHistory(currentId, 1)} disabled={!currentHistory?.redo.length} title="重做（Ctrl+Shift+Z）">
+                  <Redo2 className="w-4 h-4" />
+                </Button>
+                <Button variant={showHistory ? "secondary" : "outline"} size="sm" onClick={() => setShowHistory(v => !v)} disabled={!current}>
+                  <History className="w-4 h-4 mr-1" />修订历史
+                </Button>
+                <Button variant="destructive" size="sm" onClick={() => current && resetScoresForSample(currentId)} disabled={!current || !scores[currentId]}>
                   <RotateCcw className="w-4 h-4 mr-1" />清空本条评分
                 </Button>
               </div>
             </CardTitle>
           </CardHeader>
           <CardContent className="space-y-4">
+            {chartSelection && (
+              <div className="flex items-start justify-between gap-2 rounded-xl bg-blue-50 text-blue-800 text-sm p-2">
+                <div>
+                  <span className="font-medium">图表选中：{chartSelection.label}（{chartSelection.indices.length} 条）</span>
+                  <span className="text-blue-600">，上一条 / 下一条只在其中切换：</span>
+                  {chartSelection.indices.slice(0, 50).map(i => (
+                    <button key={i} type="button" className={`mr-2 hover:underline ${i === idx ? "font-semibold" : ""}`} onClick={() => setIdx(i)}>
+                      {dataset[i] ? sampleLabel(dataset[i], i) : i + 1}
+                    </button>
+                  ))}
+                  {chartSelection.indices.length > 50 && <span className="text-blue-600">等</span>}
+                </div>
+                <Button variant="ghost" size="sm" onClick={() => setChartSelection(null)} title="取消图表筛选"><X className="w-4 h-4" /></Button>
+              </div>
+            )}
             <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
               <div className="lg:col-span-2 space-y-4">
-                <DialogueViewer sample={current} showImages={showImages} />
+                <DialogueViewer
+                  sample={current}
+                  showImages={showImages}
+                  rawText={rawText}
+                  safety={current ? scores[current.id ?? String(current._idx ?? idx)]?.safety : null}
+                  regions={current ? scores[current.id ?? String(current._idx ?? idx)]?.regions || [] : []}
+                  onRegions={(update) => writeRegions(current.id ?? String(current._idx ?? idx), update)}
+                  rubric={rubric}
+                  onTagSpan={(t, span) => tagSpan(current.id ?? String(current._idx ?? idx), t, span)}
+                  revisions={current ? scores[current.id ?? String(current._idx ?? idx)]?.revisions : null}
+                  onRevise={(t, revision) => writeRevision(current.id ?? String(current._idx ?? idx), t, revision)}
+                  columns={modelColumns}
+                  onSelectColumn={setIdx}
+                  bundle={bundle}
+                />
               </div>
               <div className="space-y-4">
+                {showHistory && current && (
+                  <RevisionHistory activity={settledActivity()[currentId]} rubric={rubric} onClose={() => setShowHistory(false)} />
+                )}
+                {goldFeedback?.checks.length > 0 && <GoldFeedback result={goldFeedback} note={current.gold.note} />}
                 <ScoringPanel
                   sample={current}
                   scoreTypeOverall={scoreTypeOverall}
@@ -232,6 +1396,12 @@ CRITERIA.map(c => {
                   setScoreTypeTurn={setScoreTypeTurn}
                   scores={scores}
                   writeScore={writeScore}
+                  writePreference={writePreference}
+                  writeSafety={writeSafety}
+                  writeQuestionFlag={writeQuestionFlag}
+                  rubric={rubric}
+                  judge={currentId ? judgements[currentId] : null}
+                  acceptJudgeSuggestions={acceptJudgeSuggestions}
                 />
               </div>
             </div>
@@ -243,11 +1413,133 @@ CRITERIA.map(c => {
             <CardTitle>统计与可视化</CardTitle>
           </CardHeader>
           <CardContent className="space-y-6">
+            <div className="flex flex-wrap items-center justify-between gap-2 text-sm text-gray-500">
+              <span>点击图表中的柱或点，可在样本导航中只浏览对应的样本</span>
+              <div className="flex items-center gap-3">
+                <label>按元信息分组
+                  <select value={groupKey} className="ml-1 border rounded px-1 py-0.5" onChange={(e) => setAnalyticsGroup(e.target.value)}>
+                    <option value="">不分组</option>
+                    {metaKeys.map(k => <option key={k} value={k}>{k}</option>)}
+                  </select>
+                </label>
+                <label>趋势与对比
+                  <select value={analyticsDim} className="ml-1 border rounded px-1 py-0.5" onChange={(e) => setAnalyticsDim(e.target.value)}>
+                    <option value="">各维度平均</option>
+                    {rubric.dimensions.map(d => <option key={d.key} value={d.key}>{d.label}</option>)}
+                  </select>
+                </label>
+              </div>
+            </div>
+
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
               <StatBlock title="完成度 (已评分样本数/总数)" value={`${stats.completedSamples} / ${total}`} />
               <StatBlock title="潜在有害 (-1) 比例 (overall 或 turn 任一维度)" value={`${fmtPct(stats.harmfulRate * 100)}%`} />
             </div>
 
+            <div className="rounded-2xl border bg-white p-4">
+              <div className="font-semibold mb-2">用时与编辑</div>
+              {timing.timed ? (
+                <>
+                  <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+                    <StatBlock title={`累计用时（${timing.timed} 条）`} value={formatDuration(timing.totalMs)} />
+                    <StatBlock title="已完成样本平均用时" value={timing.meanMs === null ? "—" : formatDuration(timing.meanMs)} />
+                    <StatBlock title="已完成样本用时中位数" value={timing.medianMs === null ? "—" : formatDuration(timing.medianMs)} />
+                    <StatBlock title="平均编辑次数" value={timing.meanEdits.toFixed(1)} />
+                    <StatBlock title={`完成用时不足 ${RUSHED_SAMPLE_MS / 1000} 秒`} value={timing.rushed.length} />
+                  </div>
+                  {timing.rushed.length > 0 && (
+                    <div className="text-sm mt-3">
+                      <span className="text-amber-600">可能标注过快：</span>
+                      {timing.rushed.slice(0, 50).map(r => (
+                        <button key={r.id} type="button" className="text-blue-600 hover:underline mr-2" onClick={() => setIdx(r.index)}>
+                          {r.id}（{formatDuration(r.ms)}）
+                        </button>
+                      ))}
+                      {timing.rushed.length > 50 && <span className="text-gray-400">等共 {timing.rushed.length} 条</span>}
+                    </div>
+                  )}
+                </>
+              ) : (
+                <div className="text-sm text-gray-500">尚无用时记录</div>
+              )}
+            </div>
+
+            {modelSummary.models.length > 0 && (
+              <ModelComparisonSummary summary={modelSummary} rubric={rubric} blind={dataset.some(s => s.model !== undefined && s.modelLabel !== s.model)} />
+            )}
+
+            {goldQC && (
+              <details className="rounded-2xl border bg-white p-4">
+                <summary className="font-semibold cursor-pointer">金标准质检 <span className="text-sm text-gray-400 font-normal">（共 {goldQC.goldCount} 道金标准题）</span></summary>
+                <div className="flex flex-wrap items-center gap-4 text-sm text-gray-600 mt-3">
+                  <label className="flex items-center gap-2">
+                    <Checkbox checked={calibration} onCheckedChange={(v) => setCalibration(!!v)} />
+                    校准模式：完成金标准题后立即显示与参考答案的对照（用于培训）
+                  </label>
+                  <label className="flex items-center gap-2">
+                    <Checkbox checked={excludeGold} onCheckedChange={(v) => setExcludeGold(!!v)} />
+                    导出 JSON 时不含金标准题
+                  </label>
+                  <Button variant="outline" size="sm" onClick={exportGoldReport}><Download className="w-4 h-4 mr-1" />导出质检报告</Button>
+                </div>
+                {goldQC.annotators.length ? (
+                  <table className="w-full text-sm mt-3">
+                    <thead>
+                      <tr className="text-left text-gray-500 border-b">
+                        <th className="py-1 pr-2 font-normal">标注者</th>
+                        <th className="py-1 pr-2 font-normal">已完成</th>
+                        <th className="py-1 pr-2 font-normal">通过</th>
+                        <th className="py-1 pr-2 font-normal">准确率</th>
+                        <th className="py-1 font-normal">未通过的题目</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {goldQC.annotators.map(r => (
+                        <tr key={r.annotator} className="border-b align-top">
+                          <td className="py-1 pr-2 font-medium">{r.annotator}</td>
+                          <td className="py-1 pr-2">{r.answered} / {goldQC.goldCount}</td>
+                          <td className="py-1 pr-2">{r.passed}</td>
+                          <td className={`py-1 pr-2 font-semibold ${r.passed / r.answered < GOLD_PASS_RATE ? "text-red-600" : "text-green-600"}`}>{Math.round(r.passed / r.answered * 100)}%</td>
+                          <td className="py-1">
+                            {r.items.filter(x => !x.passed).map(x => (
+                              <button key={x.id} type="button" className="text-blue-600 hover:underline mr-2" onClick={() => setIdx(x.index)}
+                                title={x.checks.filter(c => !c.pass).map(c => `${c.label}：期望 ${c.expected}，实际 ${c.actual}`).join("\n")}>{x.id}</button>
+                            ))}
+                            {r.items.every(x => x.passed) && "—"}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                ) : (
+                  <div className="text-sm text-gray-500 mt-3">尚无已完成的金标准题</div>
+                )}
+              </details>
+            )}
+
+            {judgeAgreement.judgedItems > 0 && <JudgeAgreement agreement={judgeAgreement} labelOf={(i) => sampleLabel(dataset[i], i)} onGoto={setIdx} />}
+
+            <div className="rounded-2xl border bg-white p-4">
+              <div className="font-semibold mb-1">安全评估：各有害类别占比</div>
+              <div className="text-sm text-gray-500 mb-2">
+                {stats.safety.turns ? `有害轮次 ${stats.safety.harmfulTurns} / ${stats.safety.turns}（${fmtPct(stats.safety.harmfulTurns / stats.safety.turns * 100)}%）` : "尚无已评分的轮次"}
+              </div>
+              <ResponsiveContainer width="100%" height={240}>
+                <BarChart data={stats.safety.categories.map((c, k) => Object.fromEntries([["name", c.name], ...groups.map((g, gi) => [g.label, Number((groupStats[gi].safety.categories[k].rate * 100).toFixed(1))])]))}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="name" />
+                  <YAxis unit="%" />
+                  <Tooltip formatter={(v, name, item) => [`${v}%（${groupStats[groups.findIndex(g => g.label === name)].safety.categories[stats.safety.categories.findIndex(c => c.name === item.payload.name)].count} 轮）`, groupKey ? name : "占比"]} />
+                  {groupKey && <Legend />}
+                  {groups.map((g, gi) => (
+                    <Bar key={g.label} dataKey={g.label} fill={groupKey ? groupColor(gi) : "#F53F3F"} cursor="pointer"
+                      onClick={(_, k) => selectChartItems(`有害类别：${stats.safety.categories[k].name}${groupLabel(gi)}`,
+                        g.indices.filter(i => Object.values(scores[dataset[i].id ?? String(dataset[i]._idx ?? i)]?.safety || {}).some(sf => sf?.harmful && sf.categories.includes(stats.safety.categories[k].id))))} />
+                  ))}
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+
             <Tabs defaultValue="overall-categorical">
               <TabsList className="grid grid-cols-2 md:grid-cols-4 gap-2 w-full">
                 <TabsTrigger value="overall-categorical">Overall 单选分布</TabsTrigger>
@@ -256,19 +1548,84 @@ CRITERIA.map(c => {
                 <TabsTrigger value="turn-continuous">Per-turn 连续分布</TabsTrigger>
               </TabsList>
 
-              <TabsContent value="overall-categorical" className="pt-4">
-                <CriteriaCharts type="categorical" scope="overall" stats={stats} />
-              </TabsContent>
-              <TabsContent value="turn-categorical" className="pt-4">
-                <CriteriaCharts type="categorical" scope="turn" stats={stats} />
-              </TabsContent>
-              <TabsContent value="overall-continuous" className="pt-4">
-                <CriteriaCharts type="continuous" scope="overall" stats={stats} />
-              </TabsContent>
-              <TabsContent value="turn-continuous" className="pt-4">
-                <CriteriaCharts type="continuous" scope="turn" stats={stats} />
-              </TabsContent>
+              {[["overall", "categorical"], ["turn", "categorical"], ["overall", "continuous"], ["turn", "continuous"]].map(([scope, type]) => (
+                <TabsContent key={`${scope}-${type}`} value={`${scope}-${type}`} className="pt-4">
+                  <CriteriaCharts type={type} scope={scope} groups={groups} groupStats={groupStats} rubric={rubric} onSelect={selectDistributionBin} />
+                </TabsContent>
+              ))}
             </Tabs>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div className="rounded-2xl border bg-white p-4">
+                <div className="font-semibold mb-2">按轮次的平均分（归一化到 0–1）</div>
+                <ResponsiveContainer width="100%" height={240}>
+                  <LineChart data={trend.rows} onClick={(state) => {
+                    const t = Number(state?.activeTooltipIndex);
+                    if (!Number.isInteger(t) || !trend.rows[t]) return;
+                    selectChartItems(`第 ${t + 1} 轮已打分`, [...new Set(trend.indices.flatMap(list => list[t] || []))].sort((a, b) => a - b));
+                  }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="name" />
+                    <YAxis domain={[0, 1]} />
+                    <Tooltip />
+                    {groupKey && <Legend />}
+                    {groups.map((g, gi) => <Line key={g.label} type="monotone" dataKey={g.label} stroke={groupColor(gi)} connectNulls />)}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+              <div className="rounded-2xl border bg-white p-4">
+                <div className="font-semibold mb-1">整体分与逐轮平均分</div>
+                <div className="text-sm text-gray-500 mb-2">
+                  {overallVsTurn.n
+                    ? `${overallVsTurn.n} 条，r = ${overallVsTurn.r === null ? "—" : overallVsTurn.r.toFixed(2)}，整体分平均${overallVsTurn.diff >= 0 ? "高" : "低"}于逐轮 ${Math.abs(overallVsTurn.diff).toFixed(2)}`
+                    : "尚无同时有整体与逐轮分数的样本"}
+                </div>
+                <ResponsiveContainer width="100%" height={240}>
+                  <ScatterChart>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis type="number" dataKey="x" name="逐轮平均分" domain={[0, 1]} />
+                    <YAxis type="number" dataKey="y" name="整体分" domain={[0, 1]} />
+                    <Tooltip formatter={(v, name) => [v, name]} />
+                    <ReferenceLine segment={[{ x: 0, y: 0 }, { x: 1, y: 1 }]} stroke="#C9CDD4" strokeDasharray="4 4" />
+                    {groupKey && <Legend />}
+                    {groups.map((g, gi) => (
+                      <Scatter key={g.label} name={g.label} data={overallVsTurn.points[gi]} fill={groupColor(gi)} cursor="pointer"
+                        onClick={(p) => {
+                          const pt = p?.payload ?? p;
+                          selectChartItems(`${pt.id}：整体 ${pt.y} / 逐轮平均 ${pt.x}${groupLabel(gi)}`, [pt.index]);
+                        }} />
+                    ))}
+                  </ScatterChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+
+            <div className="rounded-2xl border bg-white p-4">
+              <div className="font-semibold mb-2">维度相关性（Pearson r，整体与各轮的分数归一化后合并计算）</div>
+              <div className="flex flex-wrap gap-4 text-xs">
+                {groups.map((g, gi) => (
+                  <div key={g.label}>
+                    {groupKey && <div className="text-gray-500 mb-1">{g.label}</div>}
+                    <table className="border-collapse">
+                      <tbody>
+                        <tr><th />{rubric.dimensions.map(d => <th key={d.key} className="px-2 py-1 font-normal text-gray-500 max-w-[6rem] truncate" title={d.label}>{d.label}</th>)}</tr>
+                        {correlations[gi].map((row, a) => (
+                          <tr key={a}>
+                            <th className="px-2 py-1 font-normal text-gray-500 text-right max-w-[6rem] truncate" title={rubric.dimensions[a].label}>{rubric.dimensions[a].label}</th>
+                            {row.map((cell, b) => (
+                              <td key={b} title={`n = ${cell.n}`} className="w-14 h-8 text-center border border-white"
+                                style={cell.r === null ? {} : { background: `rgba(${cell.r >= 0 ? "22, 93, 255" : "245, 63, 63"}, ${(Math.abs(cell.r) * 0.8).toFixed(2)})`, color: Math.abs(cell.r) > 0.5 ? "#fff" : undefined }}>
+                                {cell.r === null ? "—" : cell.r.toFixed(2)}
+                              </td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                ))}
+              </div>
+            </div>
           </CardContent>
         </Card>
       </div>
@@ -276,55 +1633,549 @@ CRITERIA.map(c => {
   );
 }
 
-function DialogueViewer({ sample, showImages }: { sample: any, showImages: boolean }) {
+function DialogueViewer({ sample, showImages, rawText, safety, regions, rubric, onTagSpan, onRegions, revisions, onRevise, columns = null, onSelectColumn, bundle = null }: { sample: any, showImages: boolean, rawText: boolean, safety: any, regions: any[], rubric: any, onTagSpan: any, onRegions: any, revisions: any, onRevise: any, columns?: any[] | null, onSelectColumn?: any, bundle?: any }) {
+  const [selection, setSelection] = useState(null); // 回答中选中、尚未标记的文字：{ turn, start, end, text }
+  const [viewing, setViewing] = useState(null); // 查看器中打开的图片：{ turn, image }
+  const [editing, setEditing] = useState(null); // 正在修订的回答：{ turn, text }
+  const [views, setViews] = useState({}); // 已修订的轮次显示的内容：revised / original / diff
+  useEffect(() => { setSelection(null); setViewing(null); setEditing(null); setViews({}); }, [sample]);
+  // 选区相对回答显示文本的偏移量（与 index.html 相同）
+  const captureSelection = (t, el) => {
+    const sel = window.getSelection();
+    if (!sel || sel.isCollapsed || !sel.rangeCount) { setSelection(null); return; }
+    const range = sel.getRangeAt(0);
+    if (!el.contains(range.startContainer) || !el.contains(range.endContainer)) { setSelection(null); return; }
+    const offset = (node, off) => { const r = document.createRange(); r.selectNodeContents(el); r.setEnd(node, off); return r.toString().length; };
+    const start = offset(range.startContainer, range.startOffset), end = offset(range.endContainer, range.endOffset);
+    const text = el.textContent.slice(start, end);
+    setSelection(text.trim() ? { turn: t, start, end, text } : null);
+  };
+  const saveRevision = (i, original) => {
+    const text = editing.text;
+    setEditing(null);
+    if (!text.trim() || text === original) { alert("修订内容与原回答相同，未保存修订"); return; }
+    onRevise(i, { text, editedAt: new Date().toISOString() });
+    setViews(v => ({ ...v, [i]: "diff" }));
+  };
+  // 本样本某轮的回答：可选中文字标记问题片段（标在原回答上），也可写出修订后的回答
+  const renderAnswer = (r, i) => {
+    const original = r.assistant ?? "";
+    const revised = revisionText({ revisions }, i);
+    const view = revised === null ? "original" : views[i] || "revised";
+    if (editing?.turn === i) return (
+      <div className="space-y-2">
+        <textarea rows={8} value={editing.text} autoFocus onChange={(e) => setEditing({ turn: i, text: e.target.value })}
+          className="w-full text-sm rounded-lg border border-blue-300 px-3 py-2" />
+        <div className="flex justify-end gap-2">
+          <Button size="sm" variant="outline" onClick={() => setEditing(null)}>取消</Button>
+          <Button size="sm" onClick={() => saveRevision(i, original)}>保存修订</Button>
+        </div>
+      </div>
+    );
+    return (
+      <>
+        <div className="flex items-center justify-between gap-2 text-xs mb-1">
+          <div className="flex items-center gap-1">
+            {revised !== null && <span className="text-green-700 mr-1">已修订</span>}
+            {revised !== null && [["revised", "修订后"], ["original", "原回答"], ["diff", "差异"]].map(([v, label]) => (
+              <button key={v} type="button" onClick={() => setViews(prev => ({ ...prev, [i]: v }))}
+                className={`px-2 py-0.5 rounded ${view === v ? "bg-blue-50 text-blue-700" : "text-gray-500 hover:text-blue-700"}`}>{label}</button>
+            ))}
+          </div>
+          <div className="flex items-center gap-2">
+            {revised !== null && (
+              <button type="button" className="text-gray-400 hover:text-red-600" onClick={() => { if (confirm("确定删除此轮的修订回答吗？")) onRevise(i, null); }}>删除修订</button>
+            )}
+            <button type="button" className="text-gray-400 hover:text-blue-700" onClick={() => setEditing({ turn: i, text: revised ?? original })}>
+              {revised !== null ? "继续修改" : "修订回答"}
+            </button>
+          </div>
+        </div>
+        {view === "revised" ? <RichText text={revised} raw={rawText} /> : view === "diff" ? <DiffView before={original} after={revised} /> : (
+          <>
+            <RichText
+              text={r.assistant ?? ""}
+              raw={rawText}
+              spans={safety?.[i]?.spans || []}
+              titleOf={(span) => rubric.harmCategories.find(h => h.id === span.category)?.name || "问题片段"}
+              onMouseUp={(e) => captureSelection(i, e.currentTarget)}
+            />
+            {selection?.turn === i && (
+              <div className="mt-2 flex items-center gap-2 text-xs bg-red-50 border border-red-200 rounded-xl px-3 py-2">
+                <span className="flex-1 text-gray-600">已选中 {selection.text.length} 个字</span>
+                <Button size="sm" variant="destructive" onMouseDown={(e) => e.preventDefault()}
+                  onClick={() => { onTagSpan(i, { start: selection.start, end: selection.end, text: selection.text }); window.getSelection()?.removeAllRanges(); setSelection(null); }}>
+                  标记为问题片段
+                </Button>
+              </div>
+            )}
+          </>
+        )}
+      </>
+    );
+  };
   if (!sample) return (
     <Card className="h-full"><CardContent className="py-10 text-center text-gray-500">请先加载 JSON 数据集</CardContent></Card>
   );
   return (
     <div className="space-y-3">
+      {sample.meta?.context && (
+        <div className="bg-gray-100 rounded-2xl p-3">
+          <div className="text-xs font-semibold text-gray-500 mb-1">CONTEXT</div>
+          <RichText text={sample.meta.context} raw={rawText} />
+        </div>
+      )}
       {sample?.rounds?.map((r: any, i: number) => (
         <Card key={i} className="border border-gray-200">
           <CardHeader className="pb-2"><CardTitle className="text-base">Round {i + 1}</CardTitle></CardHeader>
           <CardContent className="space-y-2">
             <div className="bg-white rounded-2xl shadow-sm p-3">
               <div className="text-xs font-semibold text-gray-500 mb-1">USER</div>
-              <div className="whitespace-pre-wrap leading-relaxed">{r.user}</div>
+              <RichText text={r.user} raw={rawText} />
             </div>
-            {showImages && r.image && (
-              <div className="rounded-2xl overflow-hidden bg-gray-100 border">
-                {/* 允许相对路径，如 "Figures/xxx.png" */}
-                {/* 若放置于 Next.js public/ 目录，路径以 "/Figures/xxx.png" 开头 */}
-                <img src={r.image} alt={`round-${i}-image`} className="w-full h-auto" />
+            {showImages && getImages(r).length > 0 && (
+              // 允许相对路径，如 "Figures/xxx.png"；若放置于 Next.js public/ 目录，路径以 "/Figures/xxx.png" 开头；打开数据包时按包内文件解析
+              <ImageGallery images={getImages(r)} bundle={bundle} regions={regions.filter(rg => rg.turnIndex === i)} onOpen={(k) => setViewing({ turn: i, image: k })} />
+            )}
+            {isComparisonRound(r) ? (
+              <div className={`grid grid-cols-1 gap-3 ${r.assistants.length === 2 ? "md:grid-cols-2" : "md:grid-cols-3"}`}>
+                {getCandidates(r).map((c) => (
+                  <div key={c.key} className="bg-white rounded-2xl shadow-sm p-3">
+                    <div className="text-xs font-semibold text-gray-500 mb-1">ASSISTANT {c.key}</div>
+                    <RichText text={c.text} raw={rawText} />
+                  </div>
+                ))}
+              </div>
+            ) : columns ? (
+              // 模型对比：当前打分的回答高亮，其余可点击切换过去打分
+              <div className={`grid grid-cols-1 gap-3 ${columns.length === 2 ? "md:grid-cols-2" : "md:grid-cols-3"}`}>
+                {columns.map(col => (
+                  <div key={col.index} className={`rounded-2xl p-3 min-w-0 ${col.own ? "bg-blue-50 ring-1 ring-blue-300" : "bg-white shadow-sm"}`}>
+                    <div className="flex items-center justify-between text-xs mb-1">
+                      <span className={`font-semibold ${col.own ? "text-blue-700" : "text-gray-500"}`}>{col.label}</span>
+                      {col.own ? <span className="text-blue-700">正在打分</span> : (
+                        <button type="button" className="text-gray-400 hover:text-blue-700" onClick={() => onSelectColumn(col.index)}>
+                          {col.completed && "✓ "}给此回答打分
+                        </button>
+                      )}
+                    </div>
+                    {col.own ? renderAnswer(r, i) : col.sample.rounds[i] ? (
+                      getCandidates(col.sample.rounds[i]).map(c => (
+                        <div key={c.key}>
+                          {isComparisonRound(col.sample.rounds[i]) && <div className="text-xs text-gray-400">ASSISTANT {c.key}</div>}
+                          <RichText text={c.text} raw={rawText} />
+                        </div>
+                      ))
+                    ) : <div className="text-sm text-gray-400">该模型没有这一轮</div>}
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div className="bg-white rounded-2xl shadow-sm p-3">
+                <div className="text-xs font-semibold text-gray-500 mb-1">ASSISTANT</div>
+                {renderAnswer(r, i)}
               </div>
             )}
-            <div className="bg-white rounded-2xl shadow-sm p-3">
-              <div className="text-xs font-semibold text-gray-500 mb-1">ASSISTANT</div>
-              <div className="whitespace-pre-wrap leading-relaxed">{r.assistant}</div>
-            </div>
           </CardContent>
         </Card>
       ))}
+      {viewing && (
+        <ImageViewer
+          images={getImages(sample.rounds[viewing.turn])}
+          start={viewing.image}
+          turnIndex={viewing.turn}
+          round={sample.rounds[viewing.turn]}
+          bundle={bundle}
+          regions={regions.filter(rg => rg.turnIndex === viewing.turn)}
+          rawText={rawText}
+          onRegions={onRegions}
+          onClose={() => setViewing(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+function regionBoxStyle(box) {
+  return { left: `${box.x * 100}%`, top: `${box.y * 100}%`, width: `${box.width * 100}%`, height: `${box.height * 100}%` };
+}
+
+// 图片缩略图：叠加已画的框，点击放大；加载失败时显示占位说明。下方列出区域标注
+function ImageGallery({ images, bundle, regions, onOpen }) {
+  const [failed, setFailed] = useState({});
+  const single = images.length === 1;
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap gap-2">
+        {images.map((src, k) => failed[src] ? (
+          <div key={k} className={`${single ? "w-full" : "w-48"} h-32 flex flex-col items-center justify-center rounded-2xl border border-dashed border-red-300 bg-gray-50 text-red-600 text-xs p-2 text-center`}>
+            <ImageOff className="w-5 h-5 mb-1" />图片加载失败
+            <span className="text-gray-400 break-all mt-1">{src.length > 120 ? src.slice(0, 120) + "…" : src}</span>
+          </div>
+        ) : (
+          <button key={k} type="button" title="点击放大查看、画框标注" onClick={() => onOpen(k)}
+            className={`relative rounded-2xl overflow-hidden border bg-gray-100 cursor-zoom-in ${single ? "w-full" : ""}`}>
+            <img src={resolveImage(src, bundle)} alt={`image-${k + 1}`} className={single ? "block w-full h-auto" : "block max-h-48 max-w-full"}
+              onError={() => setFailed(f => ({ ...f, [src]: true }))} />
+            {regions.filter(rg => rg.imageIndex === k).map(rg => (
+              <span key={rg.id} className={`absolute border-2 pointer-events-none ${rg.hallucination ? "border-red-500" : "border-amber-500"}`} style={regionBoxStyle(rg)} />
+            ))}
+          </button>
+        ))}
+      </div>
+      {regions.length > 0 && (
+        <ul className="space-y-1 text-xs">
+          {images.flatMap((_, k) => regions.filter(rg => rg.imageIndex === k).map((rg, j) => (
+            <li key={rg.id}>
+              <button type="button" className="text-left hover:text-blue-600" onClick={() => onOpen(k)}>
+                <span className={`font-medium ${rg.hallucination ? "text-red-600" : "text-amber-600"}`}>
+                  {single ? "" : `图 ${k + 1} · `}框 {j + 1}{rg.hallucination ? " · 幻觉" : ""}
+                </span>{" "}
+                {rg.comment ? <span className="text-gray-600">{rg.comment}</span> : <span className="text-gray-400">无说明</span>}
+              </button>
+            </li>
+          )))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+const VIEWER_MIN_SCALE = 0.1;
+const VIEWER_MAX_SCALE = 8;
+const VIEWER_ZOOM_STEP = 1.25;
+const MIN_REGION_SIZE = 0.01; // 宽或高小于图片的 1% 时视为误点，不创建框
+
+// 图片查看器：滚轮缩放、拖拽平移；画框模式下拖拽画框。框坐标按图片原始尺寸归一化到 0–1，并记录原始尺寸便于换算像素
+function ImageViewer({ images, start, turnIndex, round, bundle, regions, rawText, onRegions, onClose }) {
+  const [index, setIndex] = useState(start);
+  const [view, setView] = useState({ scale: 1, x: 0, y: 0 });
+  const [drawing, setDrawing] = useState(false);
+  const [showAnswer, setShowAnswer] = useState(true);
+  const [failed, setFailed] = useState(false);
+  const [draft, setDraft] = useState(null);
+  const stageRef = useRef(null);
+  const imgRef = useRef(null);
+  const dragRef = useRef(null); // 平移：{ clientX, clientY, x, y }；画框：{ start }
+  const mine = regions.filter(rg => rg.imageIndex === index);
+  const go = (k) => { if (k >= 0 && k < images.length) { setIndex(k); setFailed(false); setDraft(null); } };
+
+  const fit = () => {
+    const stage = stageRef.current, img = imgRef.current;
+    if (!stage || !img?.naturalWidth) return;
+    const scale = clamp(Math.min(stage.clientWidth / img.naturalWidth, stage.clientHeight / img.naturalHeight, 1), VIEWER_MIN_SCALE, VIEWER_MAX_SCALE);
+    setView({ scale, x: (stage.clientWidth - img.naturalWidth * scale) / 2, y: (stage.clientHeight - img.naturalHeight * scale) / 2 });
+  };
+  // 以舞台上的 (cx, cy) 为中心缩放，默认为舞台中心
+  const zoom = (factor, cx = stageRef.current.clientWidth / 2, cy = stageRef.current.clientHeight / 2) => setView(v => {
+    const scale = clamp(v.scale * factor, VIEWER_MIN_SCALE, VIEWER_MAX_SCALE);
+    return { scale, x: cx - (cx - v.x) * scale / v.scale, y: cy - (cy - v.y) * scale / v.scale };
+  });
+  const point = (e) => {
+    const rect = imgRef.current.getBoundingClientRect();
+    return { x: clamp((e.clientX - rect.left) / rect.width, 0, 1), y: clamp((e.clientY - rect.top) / rect.height, 0, 1) };
+  };
+  const addRegion = (box) => {
+    const img = imgRef.current, round4 = (v) => Number(v.toFixed(4));
+    onRegions(list => [...list, {
+      id: `region-${Date.now().toString(36)}-${list.length + 1}`,
+      turnIndex, imageIndex: index, image: images[index],
+      x: round4(box.x), y: round4(box.y), width: round4(box.width), height: round4(box.height),
+      imageWidth: img.naturalWidth, imageHeight: img.naturalHeight,
+      comment: "", hallucination: false,
+    }]);
+  };
+  const updateRegion = (id, patch) => onRegions(list => list.map(rg => rg.id === id ? { ...rg, ...patch } : rg));
+
+  const onMouseDown = (e) => {
+    if (e.button !== 0 || failed || !imgRef.current?.naturalWidth) return;
+    e.preventDefault();
+    if (drawing) { const p = point(e); dragRef.current = { start: p }; setDraft({ x: p.x, y: p.y, width: 0, height: 0 }); }
+    else dragRef.current = { clientX: e.clientX, clientY: e.clientY, x: view.x, y: view.y };
+  };
+  useEffect(() => {
+    const move = (e) => {
+      const drag = dragRef.current;
+      if (!drag) return;
+      if (drag.start) {
+        const p = point(e);
+        drag.box = { x: Math.min(drag.start.x, p.x), y: Math.min(drag.start.y, p.y), width: Math.abs(p.x - drag.start.x), height: Math.abs(p.y - drag.start.y) };
+        setDraft(drag.box);
+      } else {
+        setView(v => ({ ...v, x: drag.x + e.clientX - drag.clientX, y: drag.y + e.clientY - drag.clientY }));
+      }
+    };
+    const up = () => {
+      const drag = dragRef.current;
+      dragRef.current = null;
+      if (!drag?.start) return;
+      setDraft(null);
+      if (drag.box && drag.box.width >= MIN_REGION_SIZE && drag.box.height >= MIN_REGION_SIZE) addRegion(drag.box);
+    };
+    window.addEventListener("mousemove", move);
+    window.addEventListener("mouseup", up);
+    return () => { window.removeEventListener("mousemove", move); window.removeEventListener("mouseup", up); };
+  });
+  // Esc 关闭（正在画框时取消），←/→ 切换图片，+/- 缩放，0 适应窗口，B 画框
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.target.closest?.("textarea, input")) return;
+      const actions = {
+        escape: () => (draft ? (dragRef.current = null, setDraft(null)) : onClose()),
+        arrowleft: () => go(index - 1), arrowright: () => go(index + 1),
+        "+": () => zoom(VIEWER_ZOOM_STEP), "=": () => zoom(VIEWER_ZOOM_STEP), "-": () => zoom(1 / VIEWER_ZOOM_STEP),
+        "0": fit, b: () => setDrawing(v => !v),
+      };
+      const action = actions[e.key.toLowerCase()];
+      if (action) { e.preventDefault(); action(); }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
+  const border = 2 / view.scale;
+  const toolBtn = "px-2 py-1 rounded-lg text-sm text-gray-600 hover:bg-gray-100 disabled:opacity-40";
+  const candidates = getCandidates(round);
+  return (
+    <div className="fixed inset-0 z-50 bg-black/70 flex items-center justify-center">
+      <div className="bg-white rounded-2xl shadow-xl w-[95vw] h-[92vh] flex flex-col">
+        <div className="p-3 border-b flex flex-wrap items-center justify-between gap-2">
+          <div className="font-semibold">
+            Round {turnIndex + 1} 图片
+            {images.length > 1 && <span className="text-sm text-gray-500 ml-2">{index + 1} / {images.length}</span>}
+          </div>
+          <div className="flex items-center gap-1">
+            <button className={toolBtn} title="上一张（←）" disabled={index === 0} onClick={() => go(index - 1)}><ChevronLeft className="w-4 h-4" /></button>
+            <button className={toolBtn} title="下一张（→）" disabled={index === images.length - 1} onClick={() => go(index + 1)}><ChevronRight className="w-4 h-4" /></button>
+            <button className={toolBtn} title="缩小（-）" onClick={() => zoom(1 / VIEWER_ZOOM_STEP)}><ZoomOut className="w-4 h-4" /></button>
+            <span className="w-14 text-center text-sm text-gray-500">{Math.round(view.scale * 100)}%</span>
+            <button className={toolBtn} title="放大（+）" onClick={() => zoom(VIEWER_ZOOM_STEP)}><ZoomIn className="w-4 h-4" /></button>
+            <button className={toolBtn} title="适应窗口（0）" onClick={fit}><Maximize2 className="w-4 h-4" /></button>
+            <button className={`${toolBtn} flex items-center ${drawing ? "bg-blue-600 text-white hover:bg-blue-600" : ""}`} title="在图片上拖拽画框（B）" onClick={() => setDrawing(v => !v)}>
+              <Square className="w-4 h-4 mr-1" />画框
+            </button>
+            <button className={`${toolBtn} flex items-center ${showAnswer ? "text-blue-600" : ""}`} title="并排显示回答" onClick={() => setShowAnswer(v => !v)}>
+              <Columns className="w-4 h-4 mr-1" />并排回答
+            </button>
+            <button className={toolBtn} title="关闭（Esc）" onClick={onClose}><X className="w-4 h-4" /></button>
+          </div>
+        </div>
+        <div className="flex-1 flex min-h-0">
+          <div ref={stageRef} onMouseDown={onMouseDown} onWheel={(e) => { const rect = stageRef.current.getBoundingClientRect(); zoom(e.deltaY < 0 ? VIEWER_ZOOM_STEP : 1 / VIEWER_ZOOM_STEP, e.clientX - rect.left, e.clientY - rect.top); }}
+            className={`relative flex-1 overflow-hidden bg-gray-800 select-none ${drawing ? "cursor-crosshair" : "cursor-grab"}`}>
+            {failed ? (
+              <div className="absolute inset-0 flex flex-col items-center justify-center text-gray-300 text-sm px-6 text-center">
+                <ImageOff className="w-8 h-8 mb-2" />图片加载失败，无法画框
+                <span className="text-gray-400 break-all mt-1">{images[index].length > 120 ? images[index].slice(0, 120) + "…" : images[index]}</span>
+              </div>
+            ) : (
+              <div className="absolute top-0 left-0 origin-top-left" style={{ transform: `translate(${view.x}px, ${view.y}px) scale(${view.scale})` }}>
+                <img ref={imgRef} src={resolveImage(images[index], bundle)} alt={`image-${index + 1}`} className="block max-w-none" draggable={false}
+                  onLoad={fit} onError={() => setFailed(true)} />
+                <div className="absolute inset-0">
+                  {mine.map((rg, k) => (
+                    <div key={rg.id} className={`absolute ${rg.hallucination ? "border-red-500 bg-red-500/10" : "border-amber-500 bg-amber-500/10"}`}
+                      style={{ ...regionBoxStyle(rg), borderWidth: border, borderStyle: "solid" }}>
+                      <span className="absolute left-0 top-0 bg-black/60 text-white px-1" style={{ fontSize: 12 / view.scale }}>{k + 1}</span>
+                    </div>
+                  ))}
+                  {draft && <div className="absolute border-blue-600 bg-blue-600/10" style={{ ...regionBoxStyle(draft), borderWidth: border, borderStyle: "dashed" }} />}
+                </div>
+              </div>
+            )}
+          </div>
+          <div className="w-96 border-l flex flex-col min-h-0 text-sm">
+            {showAnswer && (
+              <div className="p-3 border-b overflow-y-auto max-h-[55%] space-y-1">
+                <div className="text-xs font-semibold text-gray-500">USER</div>
+                <RichText text={round.user} raw={rawText} />
+                {candidates.length >= 2 ? candidates.map(c => (
+                  <React.Fragment key={c.key}>
+                    <div className="text-xs font-semibold text-gray-500 pt-2">ASSISTANT {c.key}</div>
+                    <RichText text={c.text} raw={rawText} />
+                  </React.Fragment>
+                )) : (
+                  <>
+                    <div className="text-xs font-semibold text-gray-500 pt-2">ASSISTANT</div>
+                    <RichText text={round.assistant ?? ""} raw={rawText} />
+                  </>
+                )}
+              </div>
+            )}
+            <div className="flex-1 p-3 overflow-y-auto space-y-2">
+              <div className="flex items-center justify-between">
+                <span className="font-semibold">区域标注</span>
+                <span className="text-xs text-gray-400">{mine.length} 个框</span>
+              </div>
+              {mine.length === 0 && <p className="text-xs text-gray-500">点击“画框”后在图片上拖拽，框出与回答相关的区域，再填写说明或标记为幻觉。滚轮缩放，拖拽平移。</p>}
+              {mine.map((rg, k) => (
+                <div key={rg.id} className={`rounded-xl border p-2 space-y-2 ${rg.hallucination ? "border-red-200 bg-red-50/50" : ""}`}>
+                  <div className="flex items-center justify-between">
+                    <span className="font-medium">框 {k + 1}</span>
+                    <span className="text-xs text-gray-400">
+                      {rg.imageWidth ? `${Math.round(rg.x * rg.imageWidth)}, ${Math.round(rg.y * rg.imageHeight)} · ${Math.round(rg.width * rg.imageWidth)}×${Math.round(rg.height * rg.imageHeight)} px` : ""}
+                    </span>
+                    <button className="text-gray-400 hover:text-red-600" title="删除该框" onClick={() => onRegions(list => list.filter(x => x.id !== rg.id))}>
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                  <label className="flex items-center gap-2 text-xs text-red-600 cursor-pointer">
+                    <Checkbox checked={rg.hallucination} onCheckedChange={(v) => updateRegion(rg.id, { hallucination: !!v })} />回答对该区域存在幻觉
+                  </label>
+                  <textarea rows={2} value={rg.comment} placeholder="说明（如：回答称有两只猫，图中只有一只）"
+                    onChange={(e) => updateRegion(rg.id, { comment: e.target.value })}
+                    className="w-full text-xs rounded-lg border border-gray-200 px-2 py-1" />
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// 原回答与修订回答的差异：删除标红、新增标绿
+function DiffView({ before, after }) {
+  const parts = useMemo(() => diffTokens(tokenizeForDiff(before), tokenizeForDiff(after)), [before, after]);
+  return (
+    <div className="leading-relaxed whitespace-pre-wrap break-words text-sm">
+      {parts.map((part, k) => part.type === "add" ? <ins key={k} className="bg-green-100 text-green-800 no-underline">{part.text}</ins>
+        : part.type === "del" ? <del key={k} className="bg-red-50 text-red-600">{part.text}</del>
+        : <span key={k}>{part.text}</span>)}
     </div>
   );
 }
 
-function ScoringPanel({ sample, scoreTypeOverall, setScoreTypeOverall, scoreTypeTurn, setScoreTypeTurn, scores, writeScore }) {
+// 对话内容：renderRichText 生成的已转义 HTML；spans 为回答中需要高亮的问题片段
+function RichText({ text, raw, spans = [], titleOf = (span) => "", ...props }) {
+  const ref = useRef(null);
+  const html = useMemo(() => renderRichText(text, raw), [text, raw]);
+  useEffect(() => { if (ref.current) markSpans(ref.current, spans, titleOf); });
+  return <div ref={ref} className="leading-relaxed" dangerouslySetInnerHTML={{ __html: html }} {...props} />;
+}
+
+function ImportPreview({ fileName, adapted, bundle, imageReport, onConfirm, onCancel }) {
+  const clip = (v, n = 80) => { const t = String(v ?? ""); return t.length > n ? t.slice(0, n) + "…" : t; };
+  const imageList = (entries) => (
+    <>
+      <ul className="list-disc ml-5 text-xs space-y-0.5 max-h-40 overflow-y-auto">
+        {entries.slice(0, IMAGE_REPORT_LIST_SIZE).map(({ path, ids }) => (
+          <li key={path}><span className="font-mono break-all">{clip(path, 120)}</span> <span className="text-gray-400">（{ids.slice(0, 5).join("，")}{ids.length > 5 && ` 等 ${ids.length} 项`}）</span></li>
+        ))}
+      </ul>
+      {entries.length > IMAGE_REPORT_LIST_SIZE && <div className="text-xs text-gray-400 mt-1">等共 {entries.length} 张</div>}
+    </>
+  );
+  const imagesOk = imageReport && !imageReport.missing.length && !imageReport.undecodable.length;
+  return (
+    <Card className="shadow-md border-blue-200">
+      <CardHeader className="pb-3">
+        <CardTitle className="text-base">数据导入预览：{fileName}（{adapted.container}）</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4 text-sm">
+        <div>
+          共 {adapted.total} 条记录，有效 <span className="font-semibold text-green-700">{adapted.items.length}</span> 条，
+          无效 <span className={`font-semibold ${adapted.errors.length ? "text-red-600" : ""}`}>{adapted.errors.length}</span> 条
+          {adapted.rubric && "；文件内嵌评分标准，确认后一并应用"}
+          {bundle && <div>数据包共 {bundle.files.size} 个文件，数据文件为 <span className="font-mono">{bundle.datasetPath}</span>{bundle.results && "；包含导出的评分结果，确认后一并导入"}</div>}
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          {Object.entries(adapted.formats).map(([key, count]) => {
+            const adapter = DATASET_ADAPTERS.find(a => a.key === key);
+            return (
+              <div key={key} className="border rounded-xl p-3">
+                <div className="font-medium mb-2">{adapter.label} · {count} 条</div>
+                <table className="w-full text-xs">
+                  <tbody>
+                    {adapter.mapping.map(([from, to]) => (
+                      <tr key={from} className="border-t">
+                        <td className="py-1 font-mono text-gray-500">{from}</td>
+                        <td className="py-1 px-2 text-gray-400">→</td>
+                        <td className="py-1">{to}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            );
+          })}
+        </div>
+        {adapted.items.slice(0, 3).map(item => (
+          <div key={item.id} className="bg-gray-50 rounded-xl p-3 text-xs space-y-1">
+            <div className="font-medium">{clip(item.id)}</div>
+            {item.meta?.context && <div><span className="text-gray-400">上下文：</span>{clip(item.meta.context)}</div>}
+            <div><span className="text-gray-400">轮次：</span>{item.rounds.length}</div>
+            <div><span className="text-gray-400">用户 1：</span>{clip(item.rounds[0].user)}</div>
+            <div><span className="text-gray-400">助手 1：</span>{clip(item.rounds[0].assistant ?? getCandidates(item.rounds[0]).map(c => c.text).join(" | "))}</div>
+            {getImages(item.rounds[0]).length > 0 && <div><span className="text-gray-400">图片：</span>{clip(getImages(item.rounds[0]).join("，"))}</div>}
+          </div>
+        ))}
+        {adapted.errors.length > 0 && (
+          <div>
+            <div className="font-medium text-red-600 mb-1">无效记录（将被跳过）</div>
+            <ul className="list-disc ml-5 text-xs space-y-0.5 max-h-48 overflow-y-auto">
+              {adapted.errors.slice(0, 50).map((err, i) => (
+                <li key={i}><span className="font-medium">{err.location}</span>{err.id !== undefined && `（id: ${clip(err.id, 40)}）`}：{err.message}</li>
+              ))}
+            </ul>
+            {adapted.errors.length > 50 && <div className="text-xs text-gray-400 mt-1">等共 {adapted.errors.length} 条</div>}
+          </div>
+        )}
+        <div>
+          <div className="font-medium mb-1">图片检查</div>
+          {!imageReport ? <div className="text-gray-500">正在检查图片…</div> : (
+            <div className="space-y-2">
+              <div className={imagesOk ? "text-green-700" : ""}>
+                共引用 {imageReport.total} 张图片{imagesOk ? (imageReport.total ? "，全部可以加载" : "") : <>，缺失 <span className="font-semibold text-red-600">{imageReport.missing.length}</span> 张，无法解码 <span className="font-semibold text-amber-600">{imageReport.undecodable.length}</span> 张</>}
+              </div>
+              {imageReport.missing.length > 0 && <div><div className="text-red-600 mb-1">缺失（{bundle ? "数据包中没有对应文件或" : ""}无法加载）</div>{imageList(imageReport.missing)}</div>}
+              {imageReport.undecodable.length > 0 && <div><div className="text-amber-600 mb-1">无法解码（文件损坏或不是图片）</div>{imageList(imageReport.undecodable)}</div>}
+              {bundle?.skipped.length > 0 && <div><div className="text-gray-500 mb-1">zip 中未能读取的文件</div>{imageList(bundle.skipped.map(({ path, reason }) => ({ path, ids: [reason] })))}</div>}
+              {!imagesOk && <div className="text-xs text-gray-400">仍可开始标注，缺失的图片显示为"图片加载失败"</div>}
+            </div>
+          )}
+        </div>
+        <div className="flex justify-end gap-2">
+          <Button variant="outline" onClick={onCancel}>取消</Button>
+          <Button onClick={onConfirm} disabled={!adapted.items.length}>
+            {adapted.errors.length && adapted.items.length ? `跳过无效记录并开始标注（${adapted.items.length} 条）` : "开始标注"}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+function ScoringPanel({ sample, scoreTypeOverall, setScoreTypeOverall, scoreTypeTurn, setScoreTypeTurn, scores, writeScore, writePreference, writeSafety, writeQuestionFlag, rubric, judge = null, acceptJudgeSuggestions }) {
   if (!sample) return null;
   const sampleId = sample.id ?? String(sample._idx ?? 0);
   const sampleScores = scores[sampleId] || { overall: { type: scoreTypeOverall, criteria: {} }, turns: {} };
+  const suggestionFor = (c, turnIndex = null) => (judge
+    ? judgeSuggestion(c, turnIndex === null ? judge.overall : judge.turns?.[turnIndex], c.scale.type || (turnIndex === null ? scoreTypeOverall : scoreTypeTurn))
+    : null);
+  // 可一键采纳的建议：该项未打分、所在轮次未标记，且建议不是有害（-1 需逐项确认）
+  const acceptable = judge ? [
+    ...criteriaFor(rubric, "overall").map(c => ({ scope: "overall", key: c.key, value: suggestionFor(c), turnIndex: null, current: sampleScores.overall.criteria?.[c.key] })),
+    ...(sample.rounds || []).flatMap((r, t) => (isComparisonRound(r) || isTurnFlagged(sampleScores, t) ? [] : criteriaFor(rubric, "turn").map(c => (
+      { scope: "turn", key: c.key, value: suggestionFor(c, t), turnIndex: t, current: sampleScores.turns?.[t]?.criteria?.[c.key] })))),
+  ].filter(f => typeof f.current !== "number" && f.value !== null && f.value !== -1) : [];
 
   return (
     <div className="space-y-4">
+      {judge && <JudgeSuggestion judge={judge} acceptable={acceptable.length} onAcceptAll={() => acceptJudgeSuggestions(sampleId, acceptable)} />}
+
       <Card className="border-green-200">
         <CardHeader className="pb-2"><CardTitle className="text-lg">整体评分 (Overall)</CardTitle></CardHeader>
         <CardContent className="space-y-3">
           <ScoreTypeSelector label="评分类型" value={scoreTypeOverall} onChange={setScoreTypeOverall} />
-          {CRITERIA.map((c) => (
+          {criteriaFor(rubric, "overall").map((c) => (
             <CriterionInput
               key={c.key}
-              label={c.label}
-              type={scoreTypeOverall}
+              dim={c}
+              type={c.scale.type || scoreTypeOverall}
               value={(sampleScores.overall.criteria || {})[c.key]}
+              suggestion={suggestionFor(c)}
               onChange={(v) => writeScore(sampleId, "overall", c.key, v)}
             />
           ))}
@@ -336,18 +2187,35 @@ function ScoringPanel({ sample, scoreTypeOverall, setScoreTypeOverall, scoreType
         <CardContent className="space-y-4">
           <ScoreTypeSelector label="评分类型" value={scoreTypeTurn} onChange={setScoreTypeTurn} />
           <div className="space-y-3">
-            {sample.rounds?.map((_, tIdx) => (
+            {sample.rounds?.map((r, tIdx) => (
               <div key={tIdx} className="rounded-2xl border p-3">
                 <div className="font-semibold mb-2">Round {tIdx + 1}</div>
-                {CRITERIA.map((c) => (
-                  <CriterionInput
-                    key={`${tIdx}-${c.key}`}
-                    label={c.label}
-                    type={scoreTypeTurn}
-                    value={(sampleScores.turns?.[tIdx]?.criteria || {})[c.key]}
-                    onChange={(v) => writeScore(sampleId, "turn", c.key, v, tIdx)}
+                <QuestionFlagInput value={sampleScores.questionFlags?.[tIdx]} onChange={(flag) => writeQuestionFlag(sampleId, tIdx, flag)} />
+                {isTurnFlagged(sampleScores, tIdx) ? null : isComparisonRound(r) ? (
+                  <PreferenceInput
+                    candidates={getCandidates(r)}
+                    value={sampleScores.preferences?.[tIdx]}
+                    onChange={(pref) => writePreference(sampleId, tIdx, pref)}
                   />
-                ))}
+                ) : (
+                  <div className="space-y-2">
+                    {criteriaFor(rubric, "turn").map((c) => (
+                      <CriterionInput
+                        key={`${tIdx}-${c.key}`}
+                        dim={c}
+                        type={c.scale.type || scoreTypeTurn}
+                        value={(sampleScores.turns?.[tIdx]?.criteria || {})[c.key]}
+                        suggestion={suggestionFor(c, tIdx)}
+                        onChange={(v) => writeScore(sampleId, "turn", c.key, v, tIdx)}
+                      />
+                    ))}
+                    <SafetyPanel
+                      value={sampleScores.safety?.[tIdx]}
+                      rubric={rubric}
+                      onChange={(update) => writeSafety(sampleId, tIdx, update)}
+                    />
+                  </div>
+                )}
               </div>
             ))}
           </div>
@@ -357,6 +2225,27 @@ function ScoringPanel({ sample, scoreTypeOverall, setScoreTypeOverall, scoreType
   );
 }
 
+// 问题标记：标记为有误 / 超出范围后该轮不再要求打分（已填写的分数保留）
+function QuestionFlagInput({ value, onChange }) {
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-xs mb-2">
+      <span className="text-gray-500">问题标记</span>
+      <select value={value?.reason || ""} className={`border rounded px-2 py-1 ${value ? "text-amber-700" : ""}`}
+        onChange={(e) => onChange(e.target.value ? { reason: e.target.value, note: value?.note || "" } : null)}>
+        <option value="">正常</option>
+        {QUESTION_FLAG_REASONS.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+      </select>
+      {value && (
+        <>
+          <input value={value.note} placeholder="说明（可选）" className="flex-1 min-w-0 border rounded px-2 py-1"
+            onChange={(e) => onChange({ ...value, note: e.target.value })} />
+          <div className="w-full text-amber-700">此轮不再要求打分，不计入完成度，也不导出为训练数据</div>
+        </>
+      )}
+    </div>
+  );
+}
+
 function ScoreTypeSelector({ label, value, onChange }) {
   return (
     <div className="flex items-center gap-3">
@@ -372,162 +2261,3162 @@ function ScoreTypeSelector({ label, value, onChange }) {
   );
 }
 
-function CriterionInput({ label, type, value, onChange }) {
+// suggestion 为评审模型的建议分数（已换算到 type），点击即采纳
+function CriterionInput({ dim, type, value, onChange, suggestion = null }) {
+  const { min, max, options } = dim.scale;
   return (
     <div className="grid grid-cols-1 gap-2 p-2 rounded-xl bg-gray-50">
-      <Label className="text-sm">{label}</Label>
+      <div className="flex items-center justify-between gap-2">
+        <Label className="text-sm" title={dim.description}>{dim.label}</Label>
+        {suggestion !== null && (
+          <button type="button" title={`评审模型建议 ${suggestion}${anchorText(dim, suggestion) ? `：${anchorText(dim, suggestion)}` : ""}，点击采纳`}
+            className={`flex items-center text-xs px-2 py-0.5 rounded-full border ${value === suggestion ? "border-green-300 bg-green-50 text-green-700" : "border-blue-300 bg-blue-50 text-blue-700 hover:bg-blue-100"}`}
+            onClick={() => onChange(suggestion)}>
+            <Wand2 className="w-3 h-3 mr-1" />建议 {suggestion}
+          </button>
+        )}
+      </div>
+      {dim.description && <div className="text-xs text-gray-500">{dim.description}</div>}
       {type === "continuous" ? (
         <div className="space-y-2">
           <Slider
-            min={CONTINUOUS_MIN}
-            max={CONTINUOUS_MAX}
+            min={min}
+            max={max}
             step={1}
             value={[typeof value === "number" ? value : 0]}
-            onValueChange={(v) => onChange(clamp(v[0], CONTINUOUS_MIN, CONTINUOUS_MAX))}
+            onValueChange={(v) => onChange(clamp(v[0], min, max))}
           />
-          <div className="text-xs text-gray-600">数值：{value ?? "(未设置)"}（-1 = 有害）</div>
+          <div className="text-xs text-gray-600">数值：{value ?? "(未设置)"}{min === -1 ? "（-1 = 有害）" : ""}</div>
         </div>
       ) : (
         <div className="flex flex-wrap gap-2">
-          {CATEGORICAL_OPTIONS.map((opt) => (
-            <label key={opt} className={`cursor-pointer px-3 py-1 rounded-full border ${value === opt ? "bg-gray-900 text-white" : "bg-white"}`}
+          {options.map((opt) => (
+            <label key={opt} title={anchorText(dim, opt)} className={`cursor-pointer px-3 py-1 rounded-full border ${value === opt ? "bg-gray-900 text-white" : "bg-white"}`}
               onClick={() => onChange(opt)}>
               {opt}
             </label>
           ))}
-          <div className="text-xs text-gray-600 w-full">-1 = 有害；0~3 = 质量等级</div>
+          <div className="text-xs text-gray-600 w-full">{options.includes(-1) ? "-1 = 有害；" : ""}{options.filter(o => o >= 0).join("~")} = 质量等级</div>
         </div>
       )}
+      {anchorText(dim, value) && <div className="text-xs text-gray-500">{anchorText(dim, value)}</div>}
     </div>
   );
 }
 
-function StatBlock({ title, value }) {
+// 安全评估：勾选有害后选择类别、填写理由（必填），问题片段在对话中选中文字标记
+function SafetyPanel({ value, rubric, onChange }) {
+  const safety = value || EMPTY_SAFETY;
+  const catName = (id) => rubric.harmCategories.find(h => h.id === id)?.name || id;
+  const clip = (t, n = 40) => (t.length > n ? t.slice(0, n) + "…" : t);
+  const toggleHarmful = (checked) => {
+    if (checked) return onChange(cur => ({ ...cur, harmful: true }));
+    const filled = safety.categories.length || safety.rationale.trim() || safety.spans.length;
+    if (filled && !window.confirm("取消有害标记将清除已选择的类别、理由与问题片段，是否继续？")) return;
+    onChange(() => null);
+  };
   return (
-    <div className="rounded-2xl border bg-white p-4">
-      <div className="text-sm text-gray-500 mb-1">{title}</div>
-      <div className="text-xl font-semibold">{value}</div>
+    <div className={`space-y-2 p-2 rounded-xl border ${safety.harmful ? "border-red-200 bg-red-50/50" : "border-gray-100"}`}>
+      <div className="flex items-center justify-between">
+        <Label className="text-sm">安全评估</Label>
+        <label className={`flex items-center gap-2 text-sm cursor-pointer ${safety.harmful ? "text-red-600" : "text-gray-600"}`}>
+          <Checkbox checked={safety.harmful} onCheckedChange={(v) => toggleHarmful(!!v)} />回答含有害内容
+        </label>
+      </div>
+      {safety.harmful && (
+        <>
+          <div className="flex flex-wrap gap-2">
+            {rubric.harmCategories.map(h => {
+              const on = safety.categories.includes(h.id);
+              return (
+                <label key={h.id} title={h.description} className={`cursor-pointer px-3 py-1 rounded-full border text-xs ${on ? "bg-red-600 text-white border-red-600" : "bg-white"}`}
+                  onClick={() => onChange(cur => ({ ...cur, categories: on ? cur.categories.filter(c => c !== h.id) : [...cur.categories, h.id] }))}>
+                  {h.name}
+                </label>
+              );
+            })}
+          </div>
+          <textarea
+            rows={2}
+            value={safety.rationale}
+            placeholder="有害理由（必填）"
+            onChange={(e) => { const text = e.target.value; onChange(cur => ({ ...cur, rationale: text })); }}
+            className={`w-full text-sm rounded-lg border px-3 py-2 ${safety.rationale.trim() ? "border-gray-200" : "border-red-400"}`}
+          />
+          <div className="space-y-1 text-xs">
+            <div className="text-gray-500">问题片段：在左侧回答中选中文字即可标记</div>
+            {safety.spans.map((sp, k) => (
+              <div key={`${sp.start}-${sp.end}`} className="flex items-center gap-2 bg-white rounded-lg px-2 py-1">
+                <span className="flex-1">“{clip(sp.text)}”</span>
+                <select value={sp.category || ""} className="border rounded px-1 py-0.5"
+                  onChange={(e) => { const category = e.target.value || null; onChange(cur => ({ ...cur, spans: cur.spans.map((x, j) => j === k ? { ...x, category } : x) })); }}>
+                  <option value="">未分类</option>
+                  {rubric.harmCategories.map(h => <option key={h.id} value={h.id}>{catName(h.id)}</option>)}
+                </select>
+                <button className="text-gray-400 hover:text-red-600" title="删除片段"
+                  onClick={() => onChange(cur => ({ ...cur, spans: cur.spans.filter((_, j) => j !== k) }))}>×</button>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
     </div>
   );
 }
 
-function CriteriaCharts({ type, scope, stats }) {
+// 偏好输入：两个候选为 A/持平/B，多个候选为拖拽排序；差距程度可选
+function PreferenceInput({ candidates, value, onChange }) {
+  const [order, setOrder] = useState(value?.ranking || candidates.map(c => c.key));
+  const [dragKey, setDragKey] = useState(null);
+  useEffect(() => { setOrder(value?.ranking || candidates.map(c => c.key)); }, [value, candidates.length]);
+
+  const isPair = candidates.length === 2;
+  const choice = value?.ranking ? (value.tie ? "tie" : value.ranking[0]) : null;
+  const pick = (opt) => {
+    if (opt === "tie") return onChange({ ranking: candidates.map(c => c.key), tie: true, margin: null });
+    const other = candidates.find(c => c.key !== opt).key;
+    onChange({ ranking: [opt, other], tie: false, margin: value && !value.tie ? value.margin : null });
+  };
+  const moveOver = (overKey) => {
+    if (!dragKey || dragKey === overKey) return;
+    const next = order.filter(k => k !== dragKey);
+    next.splice(next.indexOf(overKey) + (order.indexOf(dragKey) < order.indexOf(overKey) ? 1 : 0), 0, dragKey);
+    setOrder(next);
+  };
+
   return (
-    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-      {CRITERIA.map(c => (
-        <div key={`${scope}-${type}-${c.key}`} className="rounded-2xl border bg-white p-4">
-          <div className="font-semibold mb-2">{c.label}</div>
-          {type === "categorical" ? (
-            <ResponsiveContainer width="100%" height={240}>
-              <BarChart data={toBarData(stats[scope][c.key].categorical.counts)}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="name" />
-                <YAxis allowDecimals={false} />
-                <Tooltip />
-                <Bar dataKey="value" />
-              </BarChart>
-            </ResponsiveContainer>
-          ) : (
-            <ResponsiveContainer width="100%" height={240}>
-              <LineChart data={toLineData(stats[scope][c.key].continuous.hist)}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="name" />
-                <YAxis />
-                <Tooltip />
-                <Line type="monotone" dataKey="value" dot={false} />
-              </LineChart>
-            </ResponsiveContainer>
+    <div className="space-y-2 p-2 rounded-xl bg-gray-50">
+      <Label className="text-sm">偏好比较</Label>
+      {isPair ? (
+        <div className="flex gap-2">
+          {[candidates[0].key, "tie", candidates[1].key].map(opt => (
+            <label key={opt} className={`cursor-pointer px-3 py-1 rounded-full border ${choice === opt ? "bg-gray-900 text-white" : "bg-white"}`}
+              onClick={() => pick(opt)}>
+              {opt === "tie" ? "持平" : `${opt} 更好`}
+            </label>
+          ))}
+        </div>
+      ) : (
+        <div className="space-y-1">
+          <div className="text-xs text-gray-600">拖拽排序（上好下差），松开后记录</div>
+          {order.map((k, i) => (
+            <div key={k} draggable className="px-3 py-1 rounded-lg border bg-white cursor-move text-sm"
+              onDragStart={() => setDragKey(k)}
+              onDragOver={(e) => { e.preventDefault(); moveOver(k); }}
+              onDragEnd={() => { setDragKey(null); onChange({ ranking: order, tie: false, margin: value?.margin ?? null }); }}>
+              {i + 1}. 回答 {k}
+            </div>
+          ))}
+          {!value?.ranking && (
+            <Button variant="outline" size="sm" onClick={() => onChange({ ranking: order, tie: false, margin: null })}>确认排序</Button>
           )}
         </div>
-      ))}
+      )}
+      <div className="flex flex-wrap items-center gap-2 text-xs text-gray-600">
+        差距程度（可选）：
+        {PREFERENCE_MARGINS.map(m => (
+          <label key={m.value}
+            className={`px-2 py-0.5 rounded-full border ${!value?.ranking || value.tie ? "opacity-50 cursor-not-allowed" : "cursor-pointer"} ${value?.margin === m.value ? "bg-gray-900 text-white" : "bg-white"}`}
+            onClick={() => value?.ranking && !value.tie && onChange({ ...value, margin: value.margin === m.value ? null : m.value })}>
+            {m.label}
+          </label>
+        ))}
+      </div>
     </div>
   );
 }
 
-// ---- 工具函数：统计学 ----
-function computeStats(dataset, scores) {
-  const res = {
-    completedSamples: 0,
-    harmfulRate: 0,
-    overall: {},
-    turn: {},
-  };
-  for (const c of CRITERIA) {
-    res.overall[c.key] = emptyCritStats();
-    res.turn[c.key] = emptyCritStats();
-  }
+// 修订历史：当前样本的用时、编辑次数与事件日志（最新的在前）
+function RevisionHistory({ activity, rubric, onClose }) {
+  const events = activity?.events || [];
+  const opens = events.filter(ev => ev.type === "open");
+  const time = (iso) => new Date(iso).toLocaleString();
+  return (
+    <Card className="border-blue-200">
+      <CardHeader className="pb-2">
+        <CardTitle className="text-lg flex items-center justify-between">
+          修订历史
+          <Button variant="ghost" size="sm" onClick={onClose}><X className="w-4 h-4" /></Button>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3 text-sm">
+        <div className="grid grid-cols-2 gap-1 text-gray-600">
+          <div>累计用时：<span className="font-medium text-gray-900">{formatDuration(activity?.timeSpentMs)}</span></div>
+          <div>编辑次数：<span className="font-medium text-gray-900">{activity?.editCount || 0}</span></div>
+          <div>打开次数：<span className="font-medium text-gray-900">{opens.length}</span></div>
+          <div>首次打开：{opens.length ? time(opens[0].at) : "—"}</div>
+        </div>
+        {events.length ? (
+          <ol className="max-h-80 overflow-y-auto space-y-1 text-xs">
+            {events.slice().reverse().map((ev, i) => (
+              <li key={i} className={`flex gap-3 ${EDIT_EVENT_TYPES.includes(ev.type) ? "text-gray-800" : "text-gray-400"}`}>
+                <span className="w-36 shrink-0 text-gray-400">{time(ev.at)}</span>
+                <span>{describeEvent(ev, rubric)}</span>
+              </li>
+            ))}
+          </ol>
+        ) : (
+          <div className="text-gray-400">暂无记录</div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
 
-  let harmfulCount = 0;
-  let harmfulDen = 0;
+// 校准模式下，已完成的金标准题显示与参考答案的对照
+function GoldFeedback({ result, note }) {
+  return (
+    <Card className={result.passed ? "border-green-300 bg-green-50" : "border-red-300 bg-red-50"}>
+      <CardHeader className="pb-2">
+        <CardTitle className="text-lg">校准反馈：{result.passed ? "与参考答案一致" : "与参考答案不一致"}</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-2 text-sm">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-gray-500"><th className="text-left font-normal pr-2">项目</th><th className="font-normal px-1">参考答案</th><th className="font-normal px-1">你的答案</th><th /></tr>
+          </thead>
+          <tbody>
+            {result.checks.map((c, i) => (
+              <tr key={i} className={c.pass ? "" : "bg-red-100"}>
+                <td className="py-0.5 pr-2 text-gray-600">{c.label}</td>
+                <td className="py-0.5 px-1 text-center">{c.expected}</td>
+                <td className="py-0.5 px-1 text-center">{c.actual}</td>
+                <td className={`py-0.5 text-center ${c.pass ? "text-green-600" : "text-red-600"}`}>{c.pass ? "✓" : "✗"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {note && <div className="text-gray-600">说明：{note}</div>}
+      </CardContent>
+    </Card>
+  );
+}
 
-  dataset.forEach((s, i) => {
-    const id = s.id ?? String(s._idx ?? i);
-    const sc = scores[id];
-    if (!sc) return;
-    res.completedSamples += 1;
+// 训练数据导出：选择格式，按格式分别设置筛选条件与列映射（保存在本地），预览前几条后下载
+function TrainingExport({ dataset, scores, rubric, excludeGold, annotator, scoreTypeOverall, scoreTypeTurn, onStorageError, onClose }) {
+  const [loaded] = useState(loadTrainingExportSettings);
+  const [settings, setSettings] = useState(loaded.settings);
+  const { format } = settings;
+  const spec = TRAINING_FORMATS[format];
+  const { filters, columns } = trainingFormatSettings(settings, format);
+  const error = validateTrainingColumns(columns);
+  const records = useMemo(
+    () => (error ? [] : collectTrainingRecords(format, filters, { dataset, scores, rubric, excludeGold, annotator, scoreTypeOverall, scoreTypeTurn })),
+    [settings, dataset, scores, rubric, excludeGold, annotator, scoreTypeOverall, scoreTypeTurn]
+  );
+  const metaKeys = useMemo(() => [...new Set(dataset.flatMap(s => (s.meta && typeof s.meta === "object" && !Array.isArray(s.meta) ? Object.keys(s.meta) : [])))].sort(), [dataset]);
 
-    // overall
-    for (const c of CRITERIA) {
-      const v = sc.overall?.criteria?.[c.key];
-      if (typeof v !== "undefined") addValue(res.overall[c.key], v, sc.overall?.type);
-      if (v === -1) harmfulCount += 1;
-      harmfulDen += 1;
-    }
+  useEffect(() => { if (loaded.error) onStorageError(loaded.error); }, [loaded]);
 
-    // per-turn
-    (s.rounds || []).forEach((_, t) => {
-      const vset = sc.turns?.[t]?.criteria || {};
-      for (const c of CRITERIA) {
-        const v = vset[c.key];
-        if (typeof v !== "undefined") addValue(res.turn[c.key], v, sc.turns?.[t]?.type);
-        if (v === -1) harmfulCount += 1;
-        harmfulDen += 1;
-      }
-    });
+  const update = (next) => {
+    setSettings(next);
+    try { localStorage.setItem(LS_TRAINING_EXPORT_KEY, JSON.stringify(next)); } catch (e) { onStorageError(describeStorageError(e, "训练数据导出设置")); }
+  };
+  const saved = settings.formats[format] || {};
+  const setFilter = (key, value) => update({ ...settings, formats: { ...settings.formats, [format]: { ...saved, filters: { ...filters, [key]: value } } } });
+  const setColumn = (field, patch) => update({
+    ...settings,
+    formats: { ...settings.formats, [format]: { ...saved, columns: { ...saved.columns, [field]: { ...saved.columns?.[field], ...patch } } } },
   });
+  const resetColumns = () => update({ ...settings, formats: { ...settings.formats, [format]: { filters: saved.filters } } });
 
-  res.harmfulRate = harmfulDen ? harmfulCount / harmfulDen : 0;
-
-  // 计算均值/中位数/众数
-  for (const scope of ["overall", "turn"]) {
-    for (const c of CRITERIA) finalizeStats(res[scope][c.key]);
-  }
+  const download = () => {
+    if (error) { alert(error); return; }
+    if (!records.length) { alert("没有符合条件的记录可导出。"); return; }
+    // CSV 加 BOM，便于 Excel 识别 UTF-8 中文
+    const text = (format === "csv" ? "\uFEFF" : "") + serializeTrainingRecords(format, records, columns) + "\n";
+    const url = URL.createObjectURL(new Blob([text], { type: spec.type }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `rlhf_${format}_${new Date().toISOString().slice(0, 10)}.${spec.ext}`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
 
-  return res;
+  return (
+    <Card className="shadow-md border-blue-200">
+      <CardHeader className="pb-2">
+        <CardTitle className="text-lg flex items-center justify-between">
+          导出训练数据
+          <Button variant="ghost" size="sm" onClick={onClose}><X className="w-4 h-4" /></Button>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4 text-sm">
+        <div className="space-y-1">
+          <select value={format} className="border rounded px-2 py-1" onChange={(e) => update({ ...settings, format: e.target.value })}>
+            {Object.entries(TRAINING_FORMATS).map(([key, f]) => <option key={key} value={key}>{f.label}</option>)}
+          </select>
+          <div className="text-xs text-gray-500">{spec.hint}</div>
+        </div>
+        <div className="flex flex-wrap items-center gap-x-4 gap-y-2">
+          <label className="flex items-center gap-2 cursor-pointer">
+            <Checkbox checked={filters.completedOnly} onCheckedChange={(v) => setFilter("completedOnly", !!v)} />仅已打完的样本
+          </label>
+          <label className="flex items-center gap-2 cursor-pointer">
+            <Checkbox checked={filters.excludeHarmful} onCheckedChange={(v) => setFilter("excludeHarmful", !!v)} />排除有害轮次
+          </label>
+          <span className="flex items-center gap-1">
+            元信息
+            <select value={filters.metaKey} className="border rounded px-1 py-0.5" onChange={(e) => setFilter("metaKey", e.target.value)}>
+              <option value="">不限</option>
+              {metaKeys.map(k => <option key={k} value={k}>{k}</option>)}
+            </select>
+            =
+            <input value={filters.metaValue} disabled={!filters.metaKey} className="border rounded px-1 py-0.5 w-28" onChange={(e) => setFilter("metaValue", e.target.value)} />
+          </span>
+          {spec.threshold && (
+            <span className="flex items-center gap-1">
+              <select value={filters.scoreCriterion} className="border rounded px-1 py-0.5" onChange={(e) => setFilter("scoreCriterion", e.target.value)}>
+                <option value="">各维度平均</option>
+                {rubric.dimensions.map(d => <option key={d.key} value={d.key}>{d.label}</option>)}
+              </select>
+              ≥
+              <input type="number" min={0} max={1} step={0.05} value={filters.minScore ?? ""} placeholder="不限" className="border rounded px-1 py-0.5 w-20"
+                onChange={(e) => setFilter("minScore", e.target.value === "" ? null : Number(e.target.value))} />
+              <span className="text-xs text-gray-400">（归一化 0–1）</span>
+            </span>
+          )}
+        </div>
+        <div>
+          <div className="flex items-center justify-between mb-1">
+            <span className="text-gray-600">列映射（勾选导出的字段，右侧为输出列名）</span>
+            <Button variant="ghost" size="sm" onClick={resetColumns}><RotateCcw className="w-4 h-4 mr-1" />恢复默认列</Button>
+          </div>
+          <div className="rounded-xl border divide-y max-h-64 overflow-y-auto">
+            {columns.map(c => (
+              <div key={c.field} className="flex items-center gap-3 px-3 py-1.5">
+                <Checkbox checked={c.enabled} onCheckedChange={(v) => setColumn(c.field, { enabled: !!v })} />
+                <code className="w-32 shrink-0 text-xs">{c.field}</code>
+                <span className="flex-grow text-xs text-gray-500">{c.description}</span>
+                <input value={c.name} className="w-36 border rounded px-2 py-0.5 text-xs" onChange={(e) => setColumn(c.field, { name: e.target.value.trim() })} />
+              </div>
+            ))}
+          </div>
+        </div>
+        <div>
+          <div className="text-gray-600 mb-1">
+            预览 {error ? <span className="text-red-600">{error}</span> : `（共 ${records.length} 条）`}
+          </div>
+          <pre className="rounded-xl bg-gray-50 border p-2 text-xs max-h-48 overflow-auto whitespace-pre-wrap break-all">
+            {error ? "" : records.length ? serializeTrainingRecords(format, records.slice(0, TRAINING_PREVIEW_ROWS), columns) : "没有符合条件的记录"}
+          </pre>
+        </div>
+        <div className="flex justify-end">
+          <Button onClick={download} disabled={!!error || !records.length}><Download className="w-4 h-4 mr-2" />导出 {spec.ext.toUpperCase()}</Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
 }
 
-function emptyCritStats() {
-  return {
-    continuous: { values: [], hist: [], mean: NaN, median: NaN, n: 0 },
-    categorical: { counts: new Map(), mode: null },
-  };
-}
+function ModelCompareSetup({ onStart, onClose }) {
+  const [sets, setSets] = useState([]); // 各模型的输出：[{ model, fileName, items, errors, rubric }]
+  const [blind, setBlind] = useState(false);
+  const inputRef = useRef(null);
+  const report = useMemo(() => alignComparisonSets(sets), [sets]);
+  const list = (ids) => `${ids.slice(0, 10).join("，")}${ids.length > 10 ? ` 等 ${ids.length} 个` : ""}`;
 
-function addValue(stat, value, type) {
-  if (type === "continuous") {
+  // 读取各模型的输出文件（格式与"加载 JSON"相同）；所有样本的 meta.model 相同时用作模型名称，否则用文件名
+  const addFiles = async (e) => {
+    const files = [...(e.target.files || [])];
+    e.target.value = "";
+    const added = [];
+    for (const file of files) {
+      const parsed = parseDatasetText(await file.text(), file.name);
+      if (parsed.fatal) { alert(`${file.name}：${parsed.fatal}`); continue; }
+      const adapted = adaptRecords(parsed);
+      if (!adapted.items.length) { alert(`${file.name} 中没有有效的样本`); continue; }
+      const tags = [...new Set(adapted.items.map(s => s.meta?.model))];
+      const tag = tags.length === 1 && typeof tags[0] === "string" ? tags[0].trim() : "";
+      added.push({ model: tag || file.name.replace(/\.jsonl?$/i, ""), fileName: file.name, items: adapted.items, errors: adapted.errors.length, rubric: adapted.rubric });
+    }
+    setSets(prev => added.reduce((acc, set) => [...acc, { ...set, model: uniqueModelName(set.model, acc) }], prev));
+  };
+  const rename = (k, value) => {
+    const name = value.trim();
+    if (!name || name.includes(COMPARISON_ID_SEPARATOR)) { setSets(prev => [...prev]); return; }
+    setSets(prev => prev.map((s, i) => (i === k ? { ...s, model: uniqueModelName(name, prev.filter((_, j) => j !== k)) } : s)));
+  };
+
+  return (
+    <Card className="shadow-md border-blue-200">
+      <CardHeader className="pb-2">
+        <CardTitle className="text-lg flex items-center justify-between">
+          多模型对比
+          <div className="flex items-center gap-2">
+            <Button variant="outline" size="sm" onClick={() => inputRef.current?.click()}><FileUp className="w-4 h-4 mr-1" />添加模型输出</Button>
+            <input ref={inputRef} type="file" accept=".json,.jsonl,application/json" multiple className="hidden" onChange={addFiles} />
+            <Button variant="ghost" size="sm" onClick={onClose}><X className="w-4 h-4" /></Button>
+          </div>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4 text-sm">
+        {sets.length ? (
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-1 pr-2 font-normal">模型名称</th>
+                <th className="py-1 pr-2 font-normal">文件</th>
+                <th className="py-1 pr-2 font-normal">有效样本</th>
+                <th className="py-1 pr-2 font-normal">无效记录</th>
+                <th className="py-1 font-normal"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {sets.map((set, k) => (
+                <tr key={`${k}-${set.model}`} className="border-b">
+                  <td className="py-1 pr-2"><input defaultValue={set.model} className="w-40 border rounded px-2 py-1" onBlur={(e) => rename(k, e.target.value)} /></td>
+                  <td className="py-1 pr-2 text-gray-500">{set.fileName}</td>
+                  <td className="py-1 pr-2">{set.items.length}</td>
+                  <td className={`py-1 pr-2 ${set.errors ? "text-red-600" : ""}`}>{set.errors}</td>
+                  <td className="py-1 text-right">
+                    <Button variant="ghost" size="sm" onClick={() => setSets(prev => prev.filter((_, j) => j !== k))} title="移除"><X className="w-4 h-4" /></Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <div className="text-gray-500">尚未添加模型输出。请添加至少两个模型在同一批问题上的输出文件（格式与"加载 JSON"相同），样本按 id 与轮次对齐。</div>
+        )}
+        {sets.length === 1 && <div className="text-gray-500">至少需要两个模型的输出才能对比。</div>}
+        {sets.length >= 2 && (
+          <div className="rounded-xl bg-gray-50 p-3 space-y-1">
+            <div>
+              可对齐的样本 <span className={`font-semibold ${report.samples.length ? "text-green-700" : "text-red-600"}`}>{report.samples.length}</span> 个，
+              共 {report.samples.reduce((sum, s) => sum + s.members.length, 0)} 个回答待打分
+            </div>
+            {report.single.length > 0 && <div className="text-amber-700">只出现在一个模型输出中的样本将被跳过：{list(report.single)}</div>}
+            {report.turnMismatches.length > 0 && <div className="text-amber-700">各模型轮数不同（按轮次下标对齐，缺少的轮次显示为空）：{list(report.turnMismatches)}</div>}
+            {report.questionMismatches.length > 0 && <div className="text-amber-700">各模型的问题不一致，请确认是否为同一批问题：{list(report.questionMismatches)}</div>}
+          </div>
+        )}
+        <div className="text-xs text-gray-500">开始后每个（样本, 模型）作为一个样本，按同一评分标准逐个打分，同一样本各模型的回答并排显示；对比结果见统计区的"模型对比"。</div>
+        <div className="flex items-center justify-between gap-2">
+          <label className="flex items-center gap-2 cursor-pointer">
+            <Checkbox checked={blind} onCheckedChange={(v) => setBlind(!!v)} />盲评：隐藏模型名称，并打乱每个样本中各模型回答的顺序
+          </label>
+          <Button disabled={sets.length < 2 || !report.samples.length}
+            onClick={() => onStart(buildComparisonItems(report.samples, blind), sets.find(s => s.rubric)?.rubric)}>
+            开始对比标注
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+// 统计区的模型对比：胜率、两两胜率、各维度均值（均含 95% 置信区间）与有害轮次占比
+function ModelComparisonSummary({ summary, rubric, blind }) {
+  const { models, rows, samples } = summary;
+  const pct = (v) => `${Math.round(v * 100)}%`;
+  const proportion = (k, n) => {
+    const ci = wilsonInterval(k, n);
+    return ci ? <>{pct(k / n)} <span className="text-gray-400">（{pct(ci[0])}–{pct(ci[1])}）</span></> : "—";
+  };
+  const criteria = [
+    ...criteriaFor(rubric, "overall").map(d => ({ key: `overall:${d.key}`, label: `整体 · ${d.label}` })),
+    ...criteriaFor(rubric, "turn").map(d => ({ key: `turn:${d.key}`, label: `逐轮 · ${d.label}` })),
+  ];
+  return (
+    <div className="rounded-2xl border bg-white p-4 space-y-4 text-sm">
+      <div className="font-semibold">
+        模型对比 <span className="text-sm text-gray-400 font-normal">（{models.length} 个模型，{samples} 个样本有已完成的回答{blind ? "；盲评会话，此处显示真实模型名称" : ""}）</span>
+      </div>
+      {rows.every(r => !r.completed) ? <div className="text-gray-500">尚无已完成的样本</div> : (
+        <>
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-1 pr-2 font-normal">模型</th>
+                <th className="py-1 pr-2 font-normal">已完成</th>
+                <th className="py-1 pr-2 font-normal">胜率（胜 / 平 / 负）</th>
+                <th className="py-1 font-normal">有害轮次占比</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(r => (
+                <tr key={r.model} className="border-b">
+                  <td className="py-1 pr-2 font-medium">{r.model}</td>
+                  <td className="py-1 pr-2">{r.completed}</td>
+                  <td className="py-1 pr-2">{proportion(r.wins + r.ties / 2, r.comparisons)} <span className="text-gray-400 ml-1">{r.wins} / {r.ties} / {r.comparisons - r.wins - r.ties}</span></td>
+                  <td className={`py-1 ${r.harmful ? "text-red-600" : ""}`}>{proportion(r.harmful, r.turns)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div>
+            <div className="font-medium mb-1">两两胜率（行模型对列模型）</div>
+            <table className="text-xs">
+              <tbody>
+                <tr className="text-left text-gray-500 border-b"><th className="py-1 pr-2" />{models.map(m => <th key={m} className="py-1 pr-2 font-normal">{m}</th>)}</tr>
+                {rows.map(r => (
+                  <tr key={r.model} className="border-b">
+                    <td className="py-1 pr-2 font-medium">{r.model}</td>
+                    {models.map(m => {
+                      const v = r.versus[m];
+                      return <td key={m} className="py-1 pr-2">{m === r.model || !v ? "—" : <>{pct((v.wins + v.ties / 2) / v.n)} <span className="text-gray-400">（{v.n}）</span></>}</td>;
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div>
+            <div className="font-medium mb-1">各维度平均分（归一化到 0–1，± 95% 置信区间半宽）</div>
+            <table className="w-full text-xs">
+              <tbody>
+                <tr className="text-left text-gray-500 border-b"><th className="py-1 pr-2" />{models.map(m => <th key={m} className="py-1 pr-2 font-normal">{m}</th>)}</tr>
+                {criteria.map(c => (
+                  <tr key={c.key} className="border-b">
+                    <td className="py-1 pr-2">{c.label}</td>
+                    {rows.map(r => {
+                      const stat = meanInterval(r.criteria[c.key] || []);
+                      return <td key={r.model} className="py-1 pr-2">{stat ? <>{stat.mean.toFixed(2)}{stat.half !== null && <span className="text-gray-400"> ± {stat.half.toFixed(2)}</span>}</> : "—"}</td>;
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="text-xs text-gray-400">只统计已完成的样本。胜率：同一样本中两两比较各模型全部归一化分数（整体与各轮）的平均值，高者胜、相同记平局（计半场），括号内为 95% Wilson 置信区间；维度均值的区间按正态近似计算。</div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// 预打分设置：接口配置（保存在本地，与 index.html 共用）、范围与跳过条件，运行进度与失败列表
+function JudgeSetup({ config, onConfig, scopes, targetsOf, run, labelOf, onStart, onCancel, onGoto, onClose }) {
+  const [scope, setScope] = useState(scopes[0].value);
+  const [skipCompleted, setSkipCompleted] = useState(true);
+  const [overwrite, setOverwrite] = useState(false);
+  const selected = scopes.find(s => s.value === scope) || scopes[scopes.length - 1];
+  const targets = targetsOf(selected.indices, { skipCompleted, overwrite });
+  // 数字超出范围时取最接近的合法值
+  const setNumber = (field, input) => {
+    let v = input.value === "" ? NaN : Number(input.value);
+    if (!Number.isFinite(v)) v = JUDGE_DEFAULT_CONFIG[field.key];
+    if (Number.isInteger(field.step)) v = Math.round(v);
+    v = clamp(v, field.min, field.max);
+    input.value = String(v);
+    onConfig({ [field.key]: v });
+  };
+  const inputClass = "w-full border rounded px-2 py-1";
+
+  return (
+    <Card className="shadow-md border-blue-200">
+      <CardHeader className="pb-2">
+        <CardTitle className="text-lg flex items-center justify-between">
+          评审模型预打分
+          <Button variant="ghost" size="sm" onClick={onClose}><X className="w-4 h-4" /></Button>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4 text-sm">
+        <div className="text-gray-500">
+          样本按模板发给 OpenAI 兼容的 chat/completions 接口（如本地模型服务或模拟接口），返回的分数与理由作为建议显示在打分区，由标注者采纳或自行打分；建议与人工分数的一致率见统计区。
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <label className="md:col-span-2">接口地址
+            <input type="url" value={config.endpoint} placeholder={JUDGE_DEFAULT_CONFIG.endpoint} className={inputClass}
+              onChange={(e) => onConfig({ endpoint: e.target.value.trim() })} />
+          </label>
+          <label>模型名称
+            <input value={config.model} placeholder="留空则不传 model 字段" className={inputClass} onChange={(e) => onConfig({ model: e.target.value.trim() })} />
+          </label>
+          <label>API Key（可选）
+            <input type="password" autoComplete="off" value={config.apiKey} className={inputClass} onChange={(e) => onConfig({ apiKey: e.target.value.trim() })} />
+          </label>
+          {JUDGE_NUMBER_FIELDS.map(f => (
+            <label key={f.key}>{f.label}
+              <input type="number" min={f.min} max={f.max} step={f.step} defaultValue={config[f.key]} className={inputClass} onBlur={(e) => setNumber(f, e.target)} />
+            </label>
+          ))}
+          <label className="flex items-center gap-2 md:col-span-3 cursor-pointer">
+            <Checkbox checked={!!config.sendImages} onCheckedChange={(v) => onConfig({ sendImages: !!v })} />
+            发送图片（多模态接口；本地图片转为 data URI）
+          </label>
+        </div>
+        <div>
+          <div className="flex items-center justify-between mb-1">
+            <span>提示词模板 <span className="text-xs text-gray-500">{"可用 {{rubric}} {{criteria}} {{dialogue}} {{format}} {{id}}"}</span></span>
+            <Button variant="ghost" size="sm" onClick={() => onConfig({ template: JUDGE_DEFAULT_TEMPLATE })}>恢复默认</Button>
+          </div>
+          <textarea rows={8} value={config.template} className={`${inputClass} font-mono text-xs`} onChange={(e) => onConfig({ template: e.target.value })} />
+        </div>
+        <div className="flex flex-wrap items-center gap-4">
+          <label>范围
+            <select value={selected.value} className="ml-1 border rounded px-1 py-0.5" onChange={(e) => setScope(e.target.value)}>
+              {scopes.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center gap-2 cursor-pointer">
+            <Checkbox checked={skipCompleted} onCheckedChange={(v) => setSkipCompleted(!!v)} />跳过已完成的样本
+          </label>
+          <label className="flex items-center gap-2 cursor-pointer">
+            <Checkbox checked={overwrite} onCheckedChange={(v) => setOverwrite(!!v)} />重新预打分已有建议的样本
+          </label>
+        </div>
+        {run && (
+          <div>
+            <div className="flex justify-between text-xs text-gray-500 mb-1">
+              <span>{run.running ? (run.cancelling ? "正在取消…" : "正在预打分…") : run.cancelled ? "已取消" : "已结束"}</span>
+              <span>成功 {run.done} · 失败 {run.failed} · 共 {run.total}</span>
+            </div>
+            <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+              <div className={`h-full ${run.failed ? "bg-amber-500" : "bg-blue-600"}`} style={{ width: `${Math.round((run.done + run.failed) / run.total * 100)}%` }} />
+            </div>
+            {run.errors.length > 0 && (
+              <ul className="text-xs text-red-600 mt-2 space-y-1">
+                {run.errors.slice(0, JUDGE_ERROR_LIST_SIZE).map(e => (
+                  <li key={e.index}>
+                    <button type="button" className="text-blue-600 hover:underline mr-1" onClick={() => onGoto(e.index)}>{labelOf(e.index)}</button>{e.message}
+                  </li>
+                ))}
+                {run.errors.length > JUDGE_ERROR_LIST_SIZE && <li className="text-gray-400">另有 {run.errors.length - JUDGE_ERROR_LIST_SIZE} 条失败</li>}
+              </ul>
+            )}
+          </div>
+        )}
+        <div className="flex items-center justify-between gap-2">
+          <span className="text-gray-500">将预打分 {targets.length} 个样本，并发 {config.concurrency}，失败重试 {config.retries} 次</span>
+          <div className="flex items-center gap-2">
+            {run?.running && <Button variant="outline" onClick={onCancel} disabled={run.cancelling}>取消</Button>}
+            <Button onClick={() => onStart(targets)} disabled={!!run?.running || !targets.length}><Wand2 className="w-4 h-4 mr-2" />开始预打分</Button>
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+// 打分区顶部的建议摘要：模型、理由与未采用的分数；各维度的建议分数显示在分数旁
+function JudgeSuggestion({ judge, acceptable, onAcceptAll }) {
+  return (
+    <Card className="border-blue-200 bg-blue-50/40">
+      <CardHeader className="pb-2">
+        <CardTitle className="text-lg flex items-center justify-between">
+          <span className="flex items-center"><Wand2 className="w-4 h-4 mr-2" />评审模型建议</span>
+          {acceptable > 0 && <Button size="sm" onClick={onAcceptAll}>采纳全部未打分项（{acceptable}）</Button>}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-2 text-sm">
+        <div className="text-xs text-gray-500">
+          {judge.model || "未知模型"}{judge.createdAt ? ` · ${new Date(judge.createdAt).toLocaleString()}` : ""} · 建议分数显示在各维度旁，点击采纳，或直接自行打分
+        </div>
+        {judge.rationale && <div className="text-gray-700 whitespace-pre-wrap">{judge.rationale}</div>}
+        {judge.warnings?.length > 0 && (
+          <details className="text-xs text-amber-700">
+            <summary className="cursor-pointer">{judge.warnings.length} 个分数不在量表内，未采用</summary>
+            <ul className="list-disc pl-5 mt-1">{judge.warnings.map((w, i) => <li key={i}>{w}</li>)}</ul>
+          </details>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+// 统计区的人工与模型一致性：各维度、作用范围的一致率、平均分差与相关系数，以及分差最大的样本
+function JudgeAgreement({ agreement, labelOf, onGoto }) {
+  const { judgedItems, comparedItems, rows, items } = agreement;
+  const pct = (v) => `${Math.round(v * 100)}%`;
+  return (
+    <details className="rounded-2xl border bg-white p-4" open>
+      <summary className="font-semibold cursor-pointer">
+        人工与评审模型的一致性 <span className="text-sm text-gray-400 font-normal">（{judgedItems} 个样本有模型建议，其中 {comparedItems} 个已人工打分）</span>
+      </summary>
+      {rows.length ? (
+        <>
+          <table className="w-full text-sm mt-3">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-1 pr-2 font-normal">维度</th>
+                <th className="py-1 pr-2 font-normal">范围</th>
+                <th className="py-1 pr-2 font-normal">对比数</th>
+                <th className="py-1 pr-2 font-normal">一致率</th>
+                <th className="py-1 pr-2 font-normal">平均分差（占满量程）</th>
+                <th className="py-1 font-normal">相关系数</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => {
+                const n = row.human.length;
+                const r = pearson(row.human, row.judge);
+                return (
+                  <tr key={`${row.scope}:${row.dim.key}`} className="border-b">
+                    <td className="py-1 pr-2 font-medium">{row.dim.label}</td>
+                    <td className="py-1 pr-2">{row.scope === "overall" ? "整体" : "逐轮"}</td>
+                    <td className="py-1 pr-2">{n}</td>
+                    <td className="py-1 pr-2 font-semibold">{pct(row.agreed / n)}</td>
+                    <td className="py-1 pr-2">{pct(row.human.reduce((sum, h, i) => sum + Math.abs(h - row.judge[i]), 0) / n)}</td>
+                    <td className="py-1">{r === null ? "—" : r.toFixed(2)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {items.length > 0 && (
+            <div className="text-sm mt-3">
+              <span className="text-gray-500">分差最大的样本：</span>
+              {items.map(x => (
+                <button key={x.index} type="button" className="text-blue-600 hover:underline mr-2" onClick={() => onGoto(x.index)}>{labelOf(x.index)}（{pct(x.diff)}）</button>
+              ))}
+            </div>
+          )}
+          <div className="text-xs text-gray-400 mt-2">
+            只统计人工与模型都打了分的项目，采纳建议后的分数也计入。分数按各自的量表归一化后比较：人工使用单选量表时，模型分数换算到该量表后与人工选项相同才算一致；无极量表相差不超过满量程的 {pct(JUDGE_AGREEMENT_TOLERANCE)} 视为一致；有害（-1）须双方一致。对比数少于 3 时不计算相关系数。
+          </div>
+        </>
+      ) : (
+        <div className="text-sm text-gray-500 mt-3">尚无人工与模型都打了分的项目</div>
+      )}
+    </details>
+  );
+}
+
+// 数据工具：拆分批次、抽样复核、去重，以及合并各批次的打分结果；拆分与抽样的输出在 meta.provenance 中记录来源
+function DatasetTools({ dataset, rubric, source, labelOf, onGoto, onImport, onClose }) {
+  const [seed, setSeed] = useState(createToolsSeed);
+  const [count, setCount] = useState(5);
+  const [splitStrategy, setSplitStrategy] = useState("");
+  const [goldEveryBatch, setGoldEveryBatch] = useState(true);
+  const [manifest, setManifest] = useState(null);
+  const [sampleSize, setSampleSize] = useState(50);
+  const [sampleUnit, setSampleUnit] = useState("count");
+  const [sampleStrategy, setSampleStrategy] = useState("");
+  const [dedupMode, setDedupMode] = useState("id");
+  const [threshold, setThreshold] = useState(0.9);
+  const [dedup, setDedup] = useState(null); // 最近一次查找重复的结果：{ dataset, mode, groups, removed }
+  const [mergeSets, setMergeSets] = useState([]); // 待合并的结果文件：[{ fileName, data, format, versions, count }]
+  const inputRef = useRef(null);
+  const metaKeys = useMemo(() => metaKeysOf(dataset), [dataset]);
+  const merge = useMemo(() => (mergeSets.length ? mergeResultSets(mergeSets, dataset, rubric) : null), [mergeSets, dataset, rubric]);
+  const currentDedup = dedup && dedup.dataset === dataset ? dedup : null; // 数据集更换后上次的结果不再适用
+  const base = toolsBaseName(source);
+  const stamp = () => new Date().toISOString().slice(0,19).replace(/[:T]/g,'-');
+  const inputClass = "border rounded px-2 py-1";
+  const strategyOptions = (none) => (
+    <>
+      <option value="">{none}</option>
+      <option value="turns">按轮数分层</option>
+      {metaKeys.map(k => <option key={k} value={`meta:${k}`}>按 meta.{k} 分层</option>)}
+    </>
+  );
+  // 未填写种子时自动生成一个并显示，保证输出可复现
+  const resolveSeed = () => {
+    const value = seed.trim() || createToolsSeed();
+    setSeed(value);
+    return value;
+  };
+
+  const split = async () => {
+    const n = Math.round(Number(count));
+    if (!Number.isFinite(n) || n < 2 || n > 100) { alert("批次数应在 2 到 100 之间。"); return; }
+    const pool = dataset.filter(s => !(goldEveryBatch && s.gold)).length;
+    if (pool < n) { alert(`可分配的样本（${pool} 条）少于批次数。`); return; }
+    const result = splitIntoBatches(dataset, { count: n, strategy: splitStrategy, seed: resolveSeed(), goldEveryBatch, source });
+    setManifest(result.manifest);
+    try {
+      downloadBlob(await createZip(result.files), `${base}_batches_${n}.zip`);
+    } catch (err) {
+      alert(`打包批次失败：${err.message}`);
+    }
+  };
+
+  const sample = () => {
+    const pool = dataset.filter(s => !s.gold).length;
+    const requested = Number(sampleSize);
+    const size = Math.min(pool, Math.round(sampleUnit === "percent" ? pool * requested / 100 : requested));
+    if (!Number.isFinite(size) || size < 1) { alert(pool ? "抽样数量至少为 1 条。" : "没有可抽样的样本（金标准题不参与抽样）。"); return; }
+    const { items } = drawSample(dataset, { size, strategy: sampleStrategy, seed: resolveSeed(), source });
+    downloadBlob(new Blob([JSON.stringify(items, null, 2)], { type: "application/json" }), `${base}_sample_${size}.json`);
+  };
+
+  const findDuplicates = () => {
+    const t = clamp(Number(threshold) || 0.9, 0.5, 1);
+    setThreshold(t);
+    const groups = findDuplicateGroups(dataset, dedupMode, t);
+    setDedup({ dataset, mode: dedupMode, groups, removed: new Set(groups.flatMap(g => g.removed)) });
+  };
+
+  const downloadDeduplicated = () => {
+    const items = dataset.filter((_, i) => !currentDedup.removed.has(i)).map(({ _idx, ...s }) => s);
+    downloadBlob(new Blob([JSON.stringify(items, null, 2)], { type: "application/json" }), `${base}_dedup.json`);
+  };
+
+  // 读取待合并的结果文件（本工具或 index.html 导出的均可）
+  const addMergeFiles = async (e) => {
+    const files = [...(e.target.files || [])];
+    e.target.value = "";
+    const added = [];
+    for (const file of files) {
+      let data = null;
+      try { data = JSON.parse(await file.text()); } catch { /* 按无法识别处理 */ }
+      const parsed = data && parseExport(data);
+      if (!parsed) { alert(`无法识别的结果文件：${file.name}`); continue; }
+      added.push({ fileName: file.name, data, format: Array.isArray(data) ? "index.html" : "本工具", versions: parsed.versions, count: parsed.entries.filter(x => x.scored).length });
+    }
+    setMergeSets(prev => [...prev, ...added]);
+  };
+
+  return (
+    <Card className="shadow-md border-blue-200">
+      <CardHeader className="pb-2">
+        <CardTitle className="text-lg flex items-center justify-between">
+          数据工具
+          <Button variant="ghost" size="sm" onClick={onClose}><X className="w-4 h-4" /></Button>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4 text-sm">
+        <label className="block">随机种子 <span className="text-xs text-gray-500">拆分与抽样使用同一种子时结果可复现，记录在输出样本的 meta.provenance 中</span>
+          <div className="flex gap-2 mt-1">
+            <input value={seed} className={`${inputClass} flex-1 font-mono`} onChange={(e) => setSeed(e.target.value)} />
+            <Button variant="outline" size="sm" onClick={() => setSeed(createToolsSeed())}>换一个</Button>
+          </div>
+        </label>
+
+        <div className="rounded-xl border p-3 space-y-2">
+          <div className="font-medium">拆分批次</div>
+          <div className="flex flex-wrap items-center gap-4">
+            <label>批次数
+              <input type="number" min={2} max={100} step={1} value={count} className={`${inputClass} ml-1 w-20`} onChange={(e) => setCount(e.target.value)} />
+            </label>
+            <label>分配方式
+              <select value={splitStrategy} className="ml-1 border rounded px-1 py-0.5" onChange={(e) => setSplitStrategy(e.target.value)}>{strategyOptions("完全随机")}</select>
+            </label>
+            <label className="flex items-center gap-2 cursor-pointer">
+              <Checkbox checked={goldEveryBatch} onCheckedChange={(v) => setGoldEveryBatch(!!v)} />金标准题放入每一批
+            </label>
+            <Button size="sm" className="ml-auto" onClick={split}><Archive className="w-4 h-4 mr-1" />拆分并下载 (.zip)</Button>
+          </div>
+          {manifest && (
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-1 pr-2 font-normal">文件</th>
+                  <th className="py-1 pr-2 font-normal">样本</th>
+                  {manifest.goldInEveryBatch && <th className="py-1 pr-2 font-normal">其中金标准题</th>}
+                  {manifest.stratifyBy && <th className="py-1 font-normal">各层数量</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {manifest.files.map(f => (
+                  <tr key={f.file} className="border-b">
+                    <td className="py-1 pr-2 font-mono">{f.file}</td>
+                    <td className="py-1 pr-2">{f.items}</td>
+                    {manifest.goldInEveryBatch && <td className="py-1 pr-2">{f.gold}</td>}
+                    {manifest.stratifyBy && <td className="py-1">{Object.entries(f.strata).map(([label, n]) => `${label}：${n}`).join("，")}</td>}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="rounded-xl border p-3 space-y-2">
+          <div className="font-medium">抽样复核</div>
+          <div className="flex flex-wrap items-center gap-4">
+            <label>抽样数量
+              <input type="number" min={1} step={1} value={sampleSize} className={`${inputClass} ml-1 w-20`} onChange={(e) => setSampleSize(e.target.value)} />
+              <select value={sampleUnit} className="ml-1 border rounded px-1 py-0.5" onChange={(e) => setSampleUnit(e.target.value)}>
+                <option value="count">条</option>
+                <option value="percent">%</option>
+              </select>
+            </label>
+            <label>分层
+              <select value={sampleStrategy} className="ml-1 border rounded px-1 py-0.5" onChange={(e) => setSampleStrategy(e.target.value)}>{strategyOptions("不分层")}</select>
+            </label>
+            <Button size="sm" className="ml-auto" onClick={sample}><Download className="w-4 h-4 mr-1" />抽样并下载</Button>
+          </div>
+          <div className="text-xs text-gray-500">金标准题不参与抽样。分层时按各层的样本数比例分配抽样数量。</div>
+        </div>
+
+        <div className="rounded-xl border p-3 space-y-2">
+          <div className="font-medium">去重</div>
+          <div className="flex flex-wrap items-center gap-4">
+            <label>判断依据
+              <select value={dedupMode} className="ml-1 border rounded px-1 py-0.5" onChange={(e) => setDedupMode(e.target.value)}>
+                <option value="id">相同 id</option>
+                <option value="content">内容相同或相近</option>
+              </select>
+            </label>
+            <label title="1 为去除空白与标点后完全相同">相似度阈值
+              <input type="number" min={0.5} max={1} step={0.01} value={threshold} disabled={dedupMode !== "content"} className={`${inputClass} ml-1 w-20`} onChange={(e) => setThreshold(e.target.value)} />
+            </label>
+            <Button variant="outline" size="sm" className="ml-auto" onClick={findDuplicates}>查找重复</Button>
+          </div>
+          {currentDedup && (currentDedup.groups.length === 0 ? (
+            <div className="text-xs text-green-700">未发现{currentDedup.mode === "id" ? " id 相同" : "内容相同或相近"}的样本</div>
+          ) : (
+            <div className="space-y-2">
+              <div className="text-xs text-gray-500">
+                发现 {currentDedup.groups.length} 组重复，去重后去除 {currentDedup.removed.size} 条、保留 {dataset.length - currentDedup.removed.size} 条。每组保留第一条，组内有金标准题时保留金标准题。
+              </div>
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-1 pr-2 font-normal">保留</th>
+                    <th className="py-1 pr-2 font-normal">去除</th>
+                    {currentDedup.mode === "content" && <th className="py-1 font-normal">相似度</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {currentDedup.groups.slice(0, DEDUP_GROUP_LIST_SIZE).map(g => (
+                    <tr key={g.keep} className="border-b align-top">
+                      <td className="py-1 pr-2"><button className="text-blue-600 hover:underline" onClick={() => onGoto(g.keep)}>{labelOf(g.keep)}</button></td>
+                      <td className="py-1 pr-2">
+                        {g.removed.map((i, k) => (
+                          <span key={i}>{k > 0 && "，"}<button className="text-blue-600 hover:underline" onClick={() => onGoto(i)}>{labelOf(i)}</button></span>
+                        ))}
+                      </td>
+                      {currentDedup.mode === "content" && <td className="py-1">{g.similarity >= 1 ? "相同" : g.similarity.toFixed(2)}</td>}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {currentDedup.groups.length > DEDUP_GROUP_LIST_SIZE && <div className="text-xs text-gray-400">仅列出前 {DEDUP_GROUP_LIST_SIZE} 组</div>}
+              <div className="flex justify-end">
+                <Button size="sm" onClick={downloadDeduplicated}><Download className="w-4 h-4 mr-1" />下载去重后的数据集（{dataset.length - currentDedup.removed.size} 条）</Button>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="rounded-xl border p-3 space-y-2">
+          <div className="flex items-center justify-between">
+            <span className="font-medium">合并各批次的打分结果</span>
+            <Button variant="outline" size="sm" onClick={() => inputRef.current?.click()}><FileUp className="w-4 h-4 mr-1" />添加结果文件</Button>
+            <input ref={inputRef} type="file" accept="application/json" multiple className="hidden" onChange={addMergeFiles} />
+          </div>
+          {!merge ? (
+            <div className="text-xs text-gray-500">
+              添加各批次导出的结果文件（本工具或 index.html 导出的均可），按样本 id 合并为一个结果文件。同一样本出现在多个文件中且结果不同时记为冲突：优先采用已完成的结果，其次是打分项更多的结果，仍相同时采用后添加的文件。
+            </div>
+          ) : (
+            <>
+              <table className="w-full text-xs">
+                <tbody>
+                  {mergeSets.map((set, k) => (
+                    <tr key={`${k}-${set.fileName}`} className="border-b">
+                      <td className="py-1 pr-2">{set.fileName}</td>
+                      <td className="py-1 pr-2 text-gray-500">{set.format} 导出，{set.count} 条{set.versions.length ? `，评分标准 ${set.versions.join(" / ")}` : ""}</td>
+                      <td className="py-1 text-right">
+                        <Button variant="ghost" size="sm" onClick={() => setMergeSets(prev => prev.filter((_, j) => j !== k))} title="移除"><X className="w-4 h-4" /></Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div>合并后共 {merge.report.merged} 条；{merge.report.identical} 条在多个文件中结果相同，{merge.report.conflicts.length} 条存在冲突。</div>
+              {merge.report.rubricVersions.length > 1 && <div className="text-amber-700">各文件使用了不同版本的评分标准：{merge.report.rubricVersions.join("、")}</div>}
+              {merge.report.missingIds.length > 0 && <div className="text-amber-700">{merge.report.missingIds.length} 条结果在当前数据集中找不到对应的样本，已跳过</div>}
+              {merge.report.conflicts.length > 0 && (
+                <table className="w-full text-xs">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                      <th className="py-1 pr-2 font-normal">样本</th>
+                      <th className="py-1 pr-2 font-normal">字段</th>
+                      <th className="py-1 pr-2 font-normal">各文件的取值</th>
+                      <th className="py-1 font-normal">采用</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {merge.report.conflicts.slice(0, MERGE_CONFLICT_LIST_SIZE).flatMap(c => c.fields.map((f, k) => (
+                      <tr key={`${c.id}-${f.field}`} className={`align-top ${k === c.fields.length - 1 ? "border-b" : ""}`}>
+                        <td className="py-1 pr-2 font-medium">{k === 0 ? c.id : ""}</td>
+                        <td className="py-1 pr-2">{f.field}</td>
+                        <td className="py-1 pr-2">{f.values.map((v, j) => <div key={j}>{v.file}：{v.value === null ? "—" : String(v.value)}</div>)}</td>
+                        <td className="py-1">{k === 0 ? c.chosen : ""}</td>
+                      </tr>
+                    )))}
+                  </tbody>
+                </table>
+              )}
+              {merge.report.conflicts.length > MERGE_CONFLICT_LIST_SIZE && <div className="text-xs text-gray-400">仅列出前 {MERGE_CONFLICT_LIST_SIZE} 条，完整列表见合并报告</div>}
+              <div className="flex justify-end gap-2">
+                <Button variant="outline" size="sm" onClick={() => downloadBlob(new Blob([JSON.stringify(merge.report, null, 2)], { type: "application/json" }), `rlhf_merge_report_${stamp()}.json`)}>下载合并报告</Button>
+                <Button variant="outline" size="sm" disabled={!merge.report.merged} onClick={() => onImport(merge.payload)}>导入到当前评分</Button>
+                <Button size="sm" disabled={!merge.report.merged} onClick={() => downloadBlob(new Blob([JSON.stringify(merge.payload, null, 2)], { type: "application/json" }), `rlhf_merged_results_${stamp()}.json`)}>
+                  <Download className="w-4 h-4 mr-1" />下载合并结果
+                </Button>
+              </div>
+            </>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+function StatBlock({ title, value }) {
+  return (
+    <div className="rounded-2xl border bg-white p-4">
+      <div className="text-sm text-gray-500 mb-1">{title}</div>
+      <div className="text-xl font-semibold">{value}</div>
+    </div>
+  );
+}
+
+// 各维度的分数分布；分组时每组一段堆叠，点击柱子选中对应的样本
+function CriteriaCharts({ type, scope, groups, groupStats, rubric, onSelect }) {
+  const grouped = groups.length > 1 || groups[0]?.label !== "全部";
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+      {criteriaFor(rubric, scope).map(c => {
+        const { min, max, options } = c.scale;
+        const bins = type === "categorical"
+          ? [...options].sort((a, b) => a - b).map(o => ({ name: String(o), test: v => v === o }))
+          : Array.from({ length: CONTINUOUS_BINS }, (_, i) => ({ name: `${Math.round(min + i * (max - min) / CONTINUOUS_BINS)}`, test: v => continuousBinOf(v, min, max, CONTINUOUS_BINS) === i }));
+        const data = bins.map((bin, i) => Object.fromEntries([["name", bin.name], ...groups.map((g, gi) => {
+          const stat = groupStats[gi][scope][c.key];
+          return [g.label, type === "categorical" ? stat.categorical.counts.get(bin.name) || 0 : stat.continuous.hist[i]?.value || 0];
+        })]));
+        return (
+          <div key={`${scope}-${type}-${c.key}`} className="rounded-2xl border bg-white p-4">
+            <div className="font-semibold mb-2">{c.label}</div>
+            <ResponsiveContainer width="100%" height={240}>
+              <BarChart data={data}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="name" />
+                <YAxis allowDecimals={false} />
+                <Tooltip />
+                {grouped && <Legend />}
+                {groups.map((g, gi) => (
+                  <Bar key={g.label} dataKey={g.label} stackId="groups" fill={grouped ? REPORT_COLORS[gi % REPORT_COLORS.length] : "#165DFF"} cursor="pointer"
+                    onClick={(_, i) => onSelect(c, scope, type, bins[i], gi)} />
+                ))}
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// ---- 富文本渲染：与 index.html 的 renderRichText 相同（Markdown 子集、代码高亮、表格、LaTeX），类名只用 Tailwind 默认色板 ----
+const RICH_TEXT_CLASSES = {
+  p: 'my-1',
+  h: ['text-xl font-bold mt-3 mb-2', 'text-lg font-bold mt-3 mb-2', 'text-base font-semibold mt-2 mb-1', 'font-semibold mt-2 mb-1'],
+  ul: 'list-disc pl-5 my-1 space-y-0.5',
+  ol: 'list-decimal pl-5 my-1 space-y-0.5',
+  blockquote: 'border-l-4 border-gray-300 pl-3 my-2 text-gray-500',
+  pre: 'bg-gray-50 border border-gray-200 rounded-lg p-3 my-2 overflow-x-auto text-xs leading-relaxed font-mono whitespace-pre',
+  code: 'bg-gray-100 text-rose-600 rounded px-1 font-mono text-[0.85em]',
+  table: 'border-collapse my-2 text-xs',
+  th: 'border border-gray-300 bg-gray-100 px-2 py-1 font-semibold',
+  td: 'border border-gray-300 px-2 py-1',
+  hr: 'my-3 border-gray-200',
+  a: 'text-blue-600 underline',
+  math: 'font-mono text-blue-700',
+  mathBlock: 'block my-2 text-center font-mono text-blue-700 overflow-x-auto'
+};
+const CODE_TOKEN_CLASSES = {
+  comment: 'text-gray-400 italic',
+  string: 'text-green-700',
+  number: 'text-orange-600',
+  keyword: 'text-purple-700 font-semibold'
+};
+const CODE_KEYWORDS = new Set(('if else elif for while do return function def class const let var import from export default new ' +
+  'try catch finally throw raise async await yield break continue switch case in of not and or is with as pass lambda ' +
+  'None True False null true false undefined nil this self super public private protected static void int float double ' +
+  'char bool boolean string struct enum interface type fn mut impl pub use mod match package func go defer select ' +
+  'echo then fi done esac SELECT FROM WHERE INSERT INTO UPDATE DELETE JOIN ON GROUP BY ORDER LIMIT AND OR NOT NULL AS CREATE TABLE').split(' '));
+const MARKDOWN_LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const HASH_COMMENT_LANGUAGES = ['python', 'py', 'bash', 'sh', 'shell', 'zsh', 'yaml', 'yml', 'ruby', 'rb', 'r', 'toml', 'perl', 'dockerfile', 'makefile'];
+
+function escapeHTML(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// 渲染对话内容（上下文、问题、回答）。内容来自模型输出，不可信：原文一律先转义，
+// 再由下面的 Markdown 子集生成固定的标签与属性，原文中的 HTML 不会交给浏览器解析
+function renderRichText(text, raw = false) {
+  const source = String(text ?? '').replace(/\u0000/g, '');
+  if (raw) return `<div class="whitespace-pre-wrap break-words font-mono text-xs">${escapeHTML(source)}</div>`;
+  return `<div class="break-words">${renderMarkdownBlocks(source.replace(/\r\n?/g, '\n'))}</div>`;
+}
+
+// 块级元素：代码块、标题、分隔线、表格、引用、列表、段落
+function renderMarkdownBlocks(source) {
+  const lines = source.split('\n');
+  const classes = RICH_TEXT_CLASSES;
+  const html = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    let match;
+    if (!line.trim()) {
+      i++;
+    } else if ((match = line.match(/^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/))) {
+      const fence = match[1];
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence)) code.push(lines[i++]);
+      i++;
+      html.push(`<pre class="${classes.pre}"><code>${highlightCode(code.join('\n'), match[2].toLowerCase())}</code></pre>`);
+    } else if ((match = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/))) {
+      const level = match[1].length;
+      html.push(`<h${level} class="${classes.h[Math.min(level, 4) - 1]}">${renderInline(match[2])}</h${level}>`);
+      i++;
+    } else if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      html.push(`<hr class="${classes.hr}">`);
+      i++;
+    } else if (isTableStart(lines, i)) {
+      const header = splitTableRow(lines[i]);
+      const aligns = splitTableRow(lines[i + 1]).map(cell =>
+        cell.endsWith(':') ? (cell.startsWith(':') ? 'center' : 'right') : 'left');
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) rows.push(splitTableRow(lines[i++]));
+      const cell = (tag, value, col) =>
+        `<${tag} class="${classes[tag]}" style="text-align: ${aligns[col] || 'left'}">${renderInline(value ?? '')}</${tag}>`;
+      const head = `<thead><tr>${header.map((value, col) => cell('th', value, col)).join('')}</tr></thead>`;
+      const body = `<tbody>${rows.map(row => `<tr>${header.map((_, col) => cell('td', row[col], col)).join('')}</tr>`).join('')}</tbody>`;
+      html.push(`<div class="overflow-x-auto"><table class="${classes.table}">${head}${body}</table></div>`);
+    } else if (/^\s*>/.test(line)) {
+      const quoted = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) quoted.push(lines[i++].replace(/^\s*> ?/, ''));
+      html.push(`<blockquote class="${classes.blockquote}">${renderMarkdownBlocks(quoted.join('\n'))}</blockquote>`);
+    } else if ((match = line.match(MARKDOWN_LIST_ITEM))) {
+      const { html: listHTML, next } = renderMarkdownList(lines, i, match);
+      html.push(listHTML);
+      i = next;
+    } else {
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() && !startsMarkdownBlock(lines, i)) paragraph.push(lines[i++]);
+      if (paragraph.length === 0) paragraph.push(lines[i++]);
+      html.push(`<p class="${classes.p}">${renderInline(paragraph.join('\n'))}</p>`);
+    }
+  }
+  return html.join('');
+}
+
+// 列表：同一缩进的连续列表项，缩进更深的行属于上一项（可嵌套）
+function renderMarkdownList(lines, start, first) {
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let i = start;
+  while (i < lines.length) {
+    const line = lines[i];
+    const match = line.match(MARKDOWN_LIST_ITEM);
+    const lineIndent = line.match(/^\s*/)[0].length;
+    if (match && match[1].length === indent && /\d/.test(match[2]) === ordered) {
+      items.push({ contentIndent: indent + match[2].length + 1, lines: [match[3]] });
+      i++;
+    } else if (line.trim() && lineIndent > indent) {
+      const item = items[items.length - 1];
+      item.lines.push(line.slice(Math.min(lineIndent, item.contentIndent)));
+      i++;
+    } else if (!line.trim() && i + 1 < lines.length && lines[i + 1].match(/^\s*/)[0].length >= indent &&
+      (lines[i + 1].match(/^\s*/)[0].length > indent || MARKDOWN_LIST_ITEM.test(lines[i + 1]))) {
+      items[items.length - 1].lines.push('');
+      i++;
+    } else {
+      break;
+    }
+  }
+  const tag = ordered ? 'ol' : 'ul';
+  const startAttr = ordered && parseInt(first[2]) !== 1 ? ` start="${parseInt(first[2])}"` : '';
+  // 列表项的第一段不包 <p>，避免紧凑列表出现多余间距
+  const itemsHTML = items.map(item =>
+    `<li>${renderMarkdownBlocks(item.lines.join('\n')).replace(/^<p class="[^"]*">([\s\S]*?)<\/p>/, '$1')}</li>`).join('');
+  return { html: `<${tag} class="${RICH_TEXT_CLASSES[tag]}"${startAttr}>${itemsHTML}</${tag}>`, next: i };
+}
+
+// 当前行是否开始一个新的块级元素（用于结束段落）
+function startsMarkdownBlock(lines, i) {
+  const line = lines[i];
+  return /^\s*(`{3,}|~{3,})/.test(line) || /^\s{0,3}#{1,6}\s/.test(line) || /^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line) ||
+    /^\s*>/.test(line) || MARKDOWN_LIST_ITEM.test(line) || isTableStart(lines, i);
+}
+
+function isTableStart(lines, i) {
+  return lines[i].includes('|') && i + 1 < lines.length && lines[i + 1].includes('|') &&
+    splitTableRow(lines[i + 1]).every(cell => /^:?-+:?$/.test(cell));
+}
+
+// 按未转义的 | 拆分表格行
+function splitTableRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+// 行内元素：代码、公式、链接、粗体、斜体、删除线；已生成的片段暂存为占位符，避免被后续规则改写
+function renderInline(text) {
+  const stash = [];
+  const keep = html => `\u0000${stash.push(html) - 1}\u0000`;
+  const protectedText = text
+    .replace(/`([^`\n]+)`/g, (_, code) => keep(`<code class="${RICH_TEXT_CLASSES.code}">${escapeHTML(code)}</code>`))
+    .replace(/\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]/g, (_, dollars, brackets) => keep(renderMath(dollars ?? brackets, true)))
+    .replace(/\\\(([\s\S]+?)\\\)/g, (_, tex) => keep(renderMath(tex, false)))
+    .replace(/(^|[^\\$\w])\$(?=\S)([^$\n]*?\S)\$(?!\d)/g, (_, before, tex) => before + keep(renderMath(tex, false)));
+  const html = applyEmphasis(escapeHTML(protectedText)
+    .replace(/(!?)\[([^\]\n]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, (_, image, label, url) =>
+      keep(renderLink(image ? `图片：${label}` : applyEmphasis(label), url))))
+    .replace(/\n/g, '<br>');
+  const restore = value => value.replace(/\u0000(\d+)\u0000/g, (_, index) => restore(stash[index]));
+  return restore(html);
+}
+
+function applyEmphasis(html) {
+  return html
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/__(?=\S)([\s\S]*?\S)__/g, '<strong>$1</strong>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+    .replace(/(^|[^*\w])\*(?=\S)([^*\n]*?\S)\*(?!\w)/g, '$1<em>$2</em>')
+    .replace(/(^|[^_\w])_(?=\S)([^_\n]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+}
+
+// 链接只允许 http(s) 与 mailto，其余（javascript: 等）只显示文字；图片语法同样按链接显示，不自动加载外部图片。
+// label 与 url 均已转义
+function renderLink(label, url) {
+  if (!/^(https?:|mailto:)/i.test(url)) return label;
+  return `<a href="${url}" target="_blank" rel="noopener noreferrer" class="${RICH_TEXT_CLASSES.a}">${label}</a>`;
+}
+
+// LaTeX 公式：由 KaTeX 渲染（trust 关闭，不执行 \href 等命令），出错时显示公式源码
+function renderMath(tex, displayMode) {
+  try {
+    return katex.renderToString(tex, { displayMode, throwOnError: false, trust: false, output: 'html' });
+  } catch (error) {
+    console.warn('公式渲染失败:', error);
+  }
+  return `<code class="${displayMode ? RICH_TEXT_CLASSES.mathBlock : RICH_TEXT_CLASSES.math}">${escapeHTML(tex)}</code>`;
+}
+
+// 代码高亮：按语言区分注释写法，识别字符串、数字与常见关键字；未标注语言时不高亮
+function highlightCode(code, lang) {
+  if (!lang) return escapeHTML(code);
+  const comment = HASH_COMMENT_LANGUAGES.includes(lang) ? '#.*' : ['sql', 'lua', 'haskell'].includes(lang) ? '--.*' : '\\/\\/.*|\\/\\*[\\s\\S]*?\\*\\/';
+  const pattern = new RegExp(`(${comment})|("(?:\\\\.|[^"\\\\\\n])*"|'(?:\\\\.|[^'\\\\\\n])*'|\`(?:\\\\.|[^\`\\\\])*\`)|(\\b\\d+(?:\\.\\d+)?\\b)|([A-Za-z_]\\w*)`, 'g');
+  let html = '';
+  let last = 0;
+  for (const match of code.matchAll(pattern)) {
+    const [text, commentText, string, number, word] = match;
+    const kind = commentText ? 'comment' : string ? 'string' : number ? 'number' : CODE_KEYWORDS.has(word) ? 'keyword' : null;
+    if (!kind) continue;
+    html += `${escapeHTML(code.slice(last, match.index))}<span class="${CODE_TOKEN_CLASSES[kind]}">${escapeHTML(text)}</span>`;
+    last = match.index + text.length;
+  }
+  return html + escapeHTML(code.slice(last));
+}
+
+// 在已渲染的回答中用 <mark> 标出问题片段；偏移量与显示文本不一致时（如切换了原文显示）按片段原文查找
+function markSpans(root, spans, titleOf) {
+  root.querySelectorAll('mark[data-span]').forEach(mark => mark.replaceWith(...mark.childNodes));
+  root.normalize();
+  const text = root.textContent;
+  spans.forEach(span => {
+    const start = text.slice(span.start, span.end) === span.text ? span.start : text.indexOf(span.text);
+    if (start < 0 || !span.text) return;
+    const end = start + span.text.length;
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const parts = [];
+    let offset = 0;
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      const from = Math.max(start, offset);
+      const to = Math.min(end, offset + node.data.length);
+      if (from < to) parts.push([node, from - offset, to - offset]);
+      offset += node.data.length;
+    }
+    parts.forEach(([node, from, to]) => {
+      const range = document.createRange();
+      range.setStart(node, from);
+      range.setEnd(node, to);
+      const mark = document.createElement('mark');
+      mark.dataset.span = '';
+      mark.title = titleOf(span);
+      mark.className = 'bg-red-200 rounded';
+      range.surroundContents(mark);
+    });
+  });
+}
+
+// ---- 工具函数：偏好记录 ----
+// 提示词 = meta.context（若有）+ 之前轮次 + 当前问题；之前的比较轮次取排名第一的候选
+function buildTurnPrompt(sample, turnIndex, sampleScores) {
+  const parts = [];
+  if (sample.meta?.context) parts.push(sample.meta.context);
+  (sample.rounds || []).slice(0, turnIndex).forEach((r, t) => {
+    const cands = getCandidates(r);
+    const top = cands.find(c => c.key === sampleScores?.preferences?.[t]?.ranking?.[0]) || cands[0];
+    parts.push(`用户: ${r.user}`);
+    parts.push(`助手: ${r.assistant ?? top?.text ?? ""}`);
+  });
+  parts.push(`用户: ${sample.rounds[turnIndex].user}`);
+  return parts.join("\n\n");
+}
+
+// 排序展开为两两 (chosen, rejected)；持平不产生记录。修订过的轮次生成 (修订后, 原回答) 一对；问题有误的轮次跳过
+function buildPreferencePairs(sample, sampleScores) {
+  const pairs = [];
+  (sample.rounds || []).forEach((r, t) => {
+    if (isTurnFlagged(sampleScores, t)) return;
+    const revised = revisionText(sampleScores, t);
+    if (!isComparisonRound(r) && revised !== null) {
+      pairs.push({
+        turn: t, source: "revision", prompt: buildTurnPrompt(sample, t, sampleScores),
+        chosen: revised, rejected: r.assistant ?? "",
+        chosen_key: "revised", rejected_key: "original",
+        chosen_model: null, rejected_model: sample.model ?? null,
+        margin: null,
+      });
+      return;
+    }
+    const pref = sampleScores?.preferences?.[t];
+    if (!isComparisonRound(r) || !pref?.ranking || pref.tie) return;
+    const byKey = Object.fromEntries(getCandidates(r).map(c => [c.key, c]));
+    const prompt = buildTurnPrompt(sample, t, sampleScores);
+    const margin = PREFERENCE_MARGINS.find(m => m.value === pref.margin);
+    for (let i = 0; i < pref.ranking.length; i++) {
+      for (let j = i + 1; j < pref.ranking.length; j++) {
+        const chosen = byKey[pref.ranking[i]], rejected = byKey[pref.ranking[j]];
+        pairs.push({
+          turn: t, source: "preference", prompt,
+          chosen: chosen.text, rejected: rejected.text,
+          chosen_key: chosen.key, rejected_key: rejected.key,
+          chosen_model: chosen.model, rejected_model: rejected.model,
+          margin: margin ? margin.weight : null,
+        });
+      }
+    }
+  });
+  return pairs;
+}
+
+// ---- 工具函数：多模型对比（与 index.html 相同：每个（样本, 模型）是一个样本，id 为"样本 id::模型名称"） ----
+const COMPARISON_ID_SEPARATOR = "::";
+
+// 模型名称重复时追加序号
+function uniqueModelName(name, sets) {
+  const taken = (n) => sets.some(s => s.model === n);
+  if (!taken(name)) return name;
+  let n = 2;
+  while (taken(`${name} (${n})`)) n++;
+  return `${name} (${n})`;
+}
+
+// 按样本 id 对齐：至少两个模型都有的样本参与对比；轮数或问题不一致的样本只提示，仍按轮次下标对齐
+function alignComparisonSets(sets) {
+  const order = [], byId = new Map();
+  sets.forEach(set => set.items.forEach(item => {
+    if (!byId.has(item.id)) { byId.set(item.id, []); order.push(item.id); }
+    byId.get(item.id).push({ set, item });
+  }));
+  const report = { samples: [], single: [], turnMismatches: [], questionMismatches: [] };
+  order.forEach(id => {
+    const members = byId.get(id);
+    if (members.length < 2) { report.single.push(id); return; }
+    report.samples.push({ id, members });
+    if (new Set(members.map(m => m.item.rounds.length)).size > 1) report.turnMismatches.push(id);
+    const turn = members[0].item.rounds.findIndex((first, t) => members.some(m => m.item.rounds[t] && String(m.item.rounds[t].user).trim() !== String(first.user).trim()));
+    if (turn >= 0) report.questionMismatches.push(`${id}（第 ${turn + 1} 轮）`);
+  });
+  return report;
+}
+
+// 同一样本的各模型回答相邻排列；盲评时按哈希打乱顺序，以"模型 A/B/…"代替名称，并去掉 meta.model
+function buildComparisonItems(samples, blind) {
+  return samples.flatMap(({ id, members }) => {
+    const ordered = blind ? [...members].sort((a, b) => hashText(`${id}\n${a.set.model}`) - hashText(`${id}\n${b.set.model}`)) : members;
+    return ordered.map(({ set, item }, k) => {
+      const meta = item.meta && blind ? { ...item.meta } : item.meta;
+      if (blind && meta) delete meta.model;
+      return {
+        ...item,
+        meta,
+        id: `${id}${COMPARISON_ID_SEPARATOR}${set.model}`,
+        sampleId: id,
+        model: set.model,
+        modelLabel: blind ? `模型 ${String.fromCharCode(65 + k)}` : set.model,
+      };
+    });
+  });
+}
+
+// 导航等处显示的名称：模型对比中为"样本 id · 模型"（盲评时为匿名编号）
+function sampleLabel(sample, i) {
+  if (sample.sampleId !== undefined) return `${sample.sampleId} · ${sample.modelLabel}`;
+  return sample.id ?? String(i + 1);
+}
+
+// 比例的 95% Wilson 置信区间
+function wilsonInterval(successes, n) {
+  if (!n) return null;
+  const z = 1.96, p = successes / n;
+  const center = (p + z * z / (2 * n)) / (1 + z * z / n);
+  const half = z * Math.sqrt(p * (1 - p) / n + z * z / (4 * n * n)) / (1 + z * z / n);
+  return [Math.max(0, center - half), Math.min(1, center + half)];
+}
+
+// 均值与 95% 置信区间半宽（正态近似，样本数不足 2 时无区间）
+function meanInterval(values) {
+  if (!values.length) return null;
+  const mean = values.reduce((a, v) => a + v, 0) / values.length;
+  if (values.length < 2) return { mean, half: null };
+  const variance = values.reduce((a, v) => a + (v - mean) ** 2, 0) / (values.length - 1);
+  return { mean, half: 1.96 * Math.sqrt(variance / values.length) };
+}
+
+// 各模型的胜率、各维度均值与有害率（只统计已完成的样本）；
+// 同一样本中两两比较各模型所有归一化分数的平均值，高者胜，相同记平局
+function computeModelComparison(dataset, scores, rubric, { scoreTypeOverall, scoreTypeTurn }) {
+  const models = [...new Set(dataset.filter(s => s.model !== undefined).map(s => s.model))];
+  const rows = new Map(models.map(model => [model, { model, completed: 0, turns: 0, harmful: 0, wins: 0, ties: 0, comparisons: 0, criteria: {}, versus: {} }]));
+  const samples = new Map(); // 样本 id → [{ model, score }]
+  dataset.forEach((s, i) => {
+    const sc = scores[s.id ?? String(s._idx ?? i)];
+    if (s.model === undefined || !isSampleComplete(s, sc, rubric)) return;
+    const row = rows.get(s.model);
+    row.completed++;
+    const values = [];
+    [null, ...s.rounds.keys()].forEach(t => {
+      if (t !== null && isComparisonRound(s.rounds[t])) return;
+      Object.entries(trainingScores(sc, rubric, t, t === null ? scoreTypeOverall : scoreTypeTurn)).forEach(([key, v]) => {
+        const k = `${t === null ? "overall" : "turn"}:${key}`;
+        (row.criteria[k] = row.criteria[k] || []).push(v);
+        values.push(v);
+      });
+      if (t !== null) {
+        row.turns++;
+        if (isTrainingTurnHarmful(sc, t)) row.harmful++;
+      }
+    });
+    if (!values.length) return;
+    if (!samples.has(s.sampleId)) samples.set(s.sampleId, []);
+    samples.get(s.sampleId).push({ model: s.model, score: values.reduce((a, v) => a + v, 0) / values.length });
+  });
+  samples.forEach(entries => entries.forEach(a => entries.forEach(b => {
+    if (a === b) return;
+    const row = rows.get(a.model);
+    const versus = row.versus[b.model] = row.versus[b.model] || { wins: 0, ties: 0, n: 0 };
+    versus.n++;
+    row.comparisons++;
+    if (Math.abs(a.score - b.score) < 1e-9) { versus.ties++; row.ties++; }
+    else if (a.score > b.score) { versus.wins++; row.wins++; }
+  })));
+  return { models, rows: [...rows.values()], samples: samples.size };
+}
+
+// ---- 工具函数：训练数据导出（格式、列与筛选条件与 index.html 相同） ----
+const LS_TRAINING_EXPORT_KEY = "rlhf_training_export_v1"; // { format, formats: { [格式]: { filters, columns: { [字段]: { name, enabled } } } } }
+const TRAINING_PREVIEW_ROWS = 3;
+const TRAINING_DEFAULT_FILTERS = { completedOnly: false, excludeHarmful: false, metaKey: "", metaValue: "", minScore: null, scoreCriterion: "" };
+const TRAINING_SCORE_COLUMNS = [
+  ["id", "样本 id"],
+  ["scope", "overall（整体）或 turn（轮次）"],
+  ["turn", "轮次下标（从 0 开始，整体为空）"],
+  ["criterion", "维度 id"],
+  ["criterion_name", "维度名称"],
+  ["score", "原始分数"],
+  ["scale", "分数所用量表（continuous / categorical）"],
+  ["normalized", "归一化到 0–1 的分数（有害计 0）"],
+  ["harmful", "该轮（或整体）是否有害"],
+  ["harm_categories", "有害类别（; 分隔）"],
+  ["annotator", "标注者"],
+  ["completed", "样本是否已打完"],
+  ["rubric_version", "评分标准版本"],
+  ["meta", "元信息（JSON）"],
+];
+const TRAINING_FORMATS = {
+  csv: {
+    label: "CSV：每个样本 / 轮次 / 维度一行", ext: "csv", type: "text/csv;charset=utf-8", threshold: true,
+    hint: "只包含已打分的维度；比较轮次没有分数，不产生行。分数阈值作用于该行所在的轮次（或整体）。",
+    columns: TRAINING_SCORE_COLUMNS, filters: {},
+  },
+  tsv: {
+    label: "TSV：同 CSV，以制表符分隔", ext: "tsv", type: "text/tab-separated-values;charset=utf-8", threshold: true,
+    hint: "单元格中的制表符与换行转义为 \\t、\\n。",
+    columns: TRAINING_SCORE_COLUMNS, filters: {},
+  },
+  turns: {
+    label: "JSONL：每轮一条，含完整对话前缀与归一化分数", ext: "jsonl", type: "application/x-ndjson", threshold: true,
+    hint: "每行字段与类型固定（未打分为 null / 空对象），可直接用 pandas / pyarrow 读取后写成 Parquet。",
+    columns: [
+      ["id", "样本 id"],
+      ["turn", "轮次下标（从 0 开始）"],
+      ["messages", "对话前缀：system（上下文）与各轮 user / assistant，最后一条为本轮回答"],
+      ["prompt", "纯文本的对话前缀（到本轮问题为止）"],
+      ["response", "本轮回答（比较轮次为排名第一的候选）"],
+      ["scores", "本轮各维度归一化到 0–1 的分数"],
+      ["raw_scores", "本轮原始分数"],
+      ["score_mean", "本轮归一化分数的平均值"],
+      ["revision", "标注者修订后的回答（未修订为 null）"],
+      ["overall_scores", "整体归一化分数"],
+      ["harmful", "本轮是否有害"],
+      ["harm_categories", "有害类别"],
+      ["preference", "比较轮次的排序 { ranking, tie, margin }"],
+      ["annotator", "标注者"],
+      ["rubric_version", "评分标准版本"],
+      ["meta", "元信息"],
+    ],
+    filters: { completedOnly: true },
+  },
+  sft: {
+    label: "SFT JSONL：无害且达到分数阈值的回答", ext: "jsonl", type: "application/x-ndjson", threshold: true,
+    hint: "每个普通轮次一条（比较轮次见 DPO）；默认只保留已打完样本中无害、平均分不低于 0.7 的轮次。修订过的轮次使用修订后的回答，不受有害与分数筛选影响。",
+    columns: [
+      ["id", "样本 id"],
+      ["turn", "轮次下标（从 0 开始）"],
+      ["messages", "对话前缀，最后一条为本轮回答"],
+      ["prompt", "纯文本的对话前缀（到本轮问题为止）"],
+      ["response", "本轮回答（有修订时为修订后的回答）"],
+      ["revised", "回答是否经过标注者修订"],
+      ["score_mean", "本轮归一化分数的平均值"],
+      ["annotator", "标注者"],
+      ["rubric_version", "评分标准版本"],
+      ["meta", "元信息"],
+    ],
+    filters: { completedOnly: true, excludeHarmful: true, minScore: 0.7 },
+  },
+  dpo: {
+    label: "DPO JSONL：比较轮次与修订回答的偏好对 (prompt, chosen, rejected)", ext: "jsonl", type: "application/x-ndjson", threshold: false,
+    hint: "多候选排序展开为所有两两组合，持平不产生记录；修订过的轮次以修订后的回答为 chosen、原回答为 rejected，不受有害筛选影响。",
+    columns: [
+      ["id", "样本 id"],
+      ["turn", "轮次下标（从 0 开始）"],
+      ["source", "来源：preference（比较轮次）或 revision（修订回答）"],
+      ["prompt", "纯文本的对话前缀（到本轮问题为止）"],
+      ["messages", "对话前缀消息（不含本轮回答）"],
+      ["chosen", "更好的回答"],
+      ["rejected", "较差的回答"],
+      ["margin", "差距程度（权重）"],
+      ["chosen_model", "更好回答的模型"],
+      ["rejected_model", "较差回答的模型"],
+      ["annotator", "标注者"],
+      ["rubric_version", "评分标准版本"],
+      ["meta", "元信息"],
+    ],
+    filters: { completedOnly: true, excludeHarmful: true },
+  },
+};
+
+// 保存的导出设置：{ settings, error }，内容损坏时 error 为提示文字
+function loadTrainingExportSettings() {
+  const { value: saved, error } = readStoredJSON(LS_TRAINING_EXPORT_KEY, "训练数据导出设置");
+  const settings = saved?.formats && typeof saved.formats === "object"
+    ? { format: TRAINING_FORMATS[saved.format] ? saved.format : "csv", formats: saved.formats }
+    : { format: "csv", formats: {} };
+  return { settings, error };
+}
+
+// 某格式的筛选条件与列（默认值 + 保存的修改）
+function trainingFormatSettings(settings, format) {
+  const spec = TRAINING_FORMATS[format], saved = settings.formats[format] || {};
+  return {
+    filters: { ...TRAINING_DEFAULT_FILTERS, ...spec.filters, ...saved.filters },
+    columns: spec.columns.map(([field, description]) => ({
+      field, description,
+      name: saved.columns?.[field]?.name || field,
+      enabled: saved.columns?.[field]?.enabled ?? true,
+    })),
+  };
+}
+
+// 分数归一化到 [0, 1]：有害 (-1) 记为 0
+function normalizeTrainingScore(dim, v, type) {
+  if (v === -1) return 0;
+  const options = dim.scale.options.filter(o => o >= 0);
+  const [low, high] = type === "categorical" ? [Math.min(...options), Math.max(...options)] : [Math.max(dim.scale.min, 0), dim.scale.max];
+  return Math.round((high > low ? clamp((v - low) / (high - low), 0, 1) : 0) * 10000) / 10000;
+}
+
+function meanTrainingScore(normalized) {
+  const values = Object.values(normalized);
+  return values.length ? Math.round(values.reduce((a, v) => a + v, 0) / values.length * 10000) / 10000 : null;
+}
+
+// 整体（t 为 null）或某轮各维度的归一化分数，未打分的不计
+function trainingScores(sc, rubric, t, fallbackType) {
+  const group = t === null ? sc?.overall : sc?.turns?.[t];
+  return Object.fromEntries(criteriaFor(rubric, t === null ? "overall" : "turn")
+    .filter(d => typeof group?.criteria?.[d.key] === "number")
+    .map(d => [d.key, normalizeTrainingScore(d, group.criteria[d.key], d.scale.type || group.type || fallbackType)]));
+}
+
+// 某轮是否有害：安全评估标记为有害，或任一分数为 -1（t 为 null 时只看整体分数）
+function isTrainingTurnHarmful(sc, t) {
+  if (t === null) return Object.values(sc?.overall?.criteria || {}).includes(-1);
+  return !!sc?.safety?.[t]?.harmful || Object.values(sc?.turns?.[t]?.criteria || {}).includes(-1);
+}
+
+// 本轮回答；比较轮次取排名第一的候选
+function turnResponse(sample, t, sc) {
+  const r = sample.rounds[t], cands = getCandidates(r);
+  return r.assistant ?? (cands.find(c => c.key === sc?.preferences?.[t]?.ranking?.[0]) || cands[0])?.text ?? "";
+}
+
+// 对话前缀消息：system（meta.context）+ 之前各轮的问答 + 本轮问题，includeAnswer 时再加上本轮回答
+function buildTurnMessages(sample, turnIndex, sc, includeAnswer = true) {
+  const messages = sample.meta?.context ? [{ role: "system", content: sample.meta.context }] : [];
+  sample.rounds.slice(0, turnIndex + 1).forEach((r, t) => {
+    const images = getImages(r);
+    messages.push({ role: "user", content: r.user, ...(images.length ? { images } : {}) });
+    if (t < turnIndex || includeAnswer) messages.push({ role: "assistant", content: turnResponse(sample, t, sc) });
+  });
+  return messages;
+}
+
+// 按格式与筛选条件生成训练数据记录（字段为默认列名，导出前再按列映射重命名）
+function collectTrainingRecords(format, filters, { dataset, scores, rubric, excludeGold, annotator, scoreTypeOverall, scoreTypeTurn }) {
+  const minScore = TRAINING_FORMATS[format].threshold ? filters.minScore : null;
+  const harmName = (id) => rubric.harmCategories.find(h => h.id === id)?.name || id;
+  const records = [];
+  dataset.forEach((s, i) => {
+    const id = s.id ?? String(s._idx ?? i);
+    const sc = scores[id];
+    if (!sc || (excludeGold && s.gold)) return;
+    const completed = isSampleComplete(s, sc, rubric);
+    if (filters.completedOnly && !completed) return;
+    if (filters.metaKey && !(s.meta && String(s.meta[filters.metaKey] ?? "") === filters.metaValue)) return;
+
+    const scoresOf = (t) => trainingScores(sc, rubric, t, t === null ? scoreTypeOverall : scoreTypeTurn);
+    // 修订后的回答由标注者改写，不受原回答的有害与分数筛选影响
+    const keepTurn = (t, revised = false) => {
+      if (t !== null && isTurnFlagged(sc, t)) return false;
+      if (revised) return true;
+      if (filters.excludeHarmful && isTrainingTurnHarmful(sc, t)) return false;
+      if (minScore === null || minScore === undefined) return true;
+      const normalized = scoresOf(t);
+      const score = filters.scoreCriterion ? normalized[filters.scoreCriterion] : meanTrainingScore(normalized);
+      return typeof score === "number" && score >= minScore;
+    };
+    const rounds = (s.rounds || []).map((r, t) => ({ r, t }));
+    const common = { annotator: sc.annotator || annotator || null, rubric_version: sc.rubricVersion || rubric.version, meta: s.meta || null };
+
+    if (format === "csv" || format === "tsv") {
+      [null, ...rounds.filter(({ r }) => !isComparisonRound(r)).map(({ t }) => t)].filter(keepTurn).forEach(t => {
+        const group = t === null ? sc.overall : sc.turns?.[t];
+        criteriaFor(rubric, t === null ? "overall" : "turn").forEach(d => {
+          const score = group?.criteria?.[d.key];
+          if (typeof score !== "number") return;
+          const scale = d.scale.type || group.type || (t === null ? scoreTypeOverall : scoreTypeTurn);
+          records.push({
+            id, scope: t === null ? "overall" : "turn", turn: t, criterion: d.key, criterion_name: d.label,
+            score, scale, normalized: normalizeTrainingScore(d, score, scale),
+            harmful: isTrainingTurnHarmful(sc, t),
+            harm_categories: (t === null ? [] : sc.safety?.[t]?.categories || []).map(harmName).join("; "),
+            annotator: common.annotator, completed, rubric_version: common.rubric_version, meta: common.meta,
+          });
+        });
+      });
+    } else if (format === "turns") {
+      const overall = scoresOf(null);
+      rounds.filter(({ t }) => keepTurn(t)).forEach(({ r, t }) => {
+        const comparison = isComparisonRound(r);
+        const normalized = comparison ? {} : scoresOf(t);
+        const pref = sc.preferences?.[t];
+        records.push({
+          id, turn: t,
+          messages: buildTurnMessages(s, t, sc),
+          prompt: buildTurnPrompt(s, t, sc),
+          response: turnResponse(s, t, sc),
+          scores: normalized,
+          raw_scores: comparison ? {} : { ...(sc.turns?.[t]?.criteria || {}) },
+          score_mean: meanTrainingScore(normalized),
+          revision: revisionText(sc, t),
+          overall_scores: overall,
+          harmful: isTrainingTurnHarmful(sc, t),
+          harm_categories: (sc.safety?.[t]?.categories || []).map(harmName),
+          preference: comparison && pref?.ranking ? { ranking: pref.ranking, tie: !!pref.tie, margin: pref.margin ?? null } : null,
+          ...common,
+        });
+      });
+    } else if (format === "sft") {
+      const response = (t) => revisionText(sc, t) ?? turnResponse(s, t, sc);
+      rounds.filter(({ r, t }) => !isComparisonRound(r) && keepTurn(t, revisionText(sc, t) !== null) && response(t)).forEach(({ t }) => records.push({
+        id, turn: t,
+        messages: [...buildTurnMessages(s, t, sc, false), { role: "assistant", content: response(t) }],
+        prompt: buildTurnPrompt(s, t, sc),
+        response: response(t),
+        revised: revisionText(sc, t) !== null,
+        score_mean: meanTrainingScore(scoresOf(t)),
+        ...common,
+      }));
+    } else if (format === "dpo") {
+      buildPreferencePairs(s, sc).filter(pair => keepTurn(pair.turn, pair.source === "revision")).forEach(pair => records.push({
+        id, turn: pair.turn, source: pair.source, prompt: pair.prompt,
+        messages: buildTurnMessages(s, pair.turn, sc, false),
+        chosen: pair.chosen, rejected: pair.rejected, margin: pair.margin,
+        chosen_model: pair.chosen_model, rejected_model: pair.rejected_model,
+        ...common,
+      }));
+    }
+  });
+  return records;
+}
+
+// 按列映射重命名并序列化；CSV 按 RFC 4180 加引号，TSV 把制表符与换行转义为 \t、\n
+function serializeTrainingRecords(format, records, columns) {
+  const enabled = columns.filter(c => c.enabled);
+  if (TRAINING_FORMATS[format].ext === "jsonl") {
+    return records.map(rec => JSON.stringify(Object.fromEntries(enabled.map(c => [c.name, rec[c.field] ?? null])))).join("\n");
+  }
+  const delimiter = format === "tsv" ? "\t" : ",";
+  const cell = (value) => {
+    let text = value === null || value === undefined ? "" : typeof value === "object" ? JSON.stringify(value) : String(value);
+    if (typeof value !== "number" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`; // 防止 Excel 把模型文本当作公式执行
+    if (format === "tsv") return text.replace(/\\/g, "\\\\").replace(/\t/g, "\\t").replace(/\r?\n/g, "\\n");
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [enabled.map(c => cell(c.name)).join(delimiter), ...records.map(rec => enabled.map(c => cell(rec[c.field])).join(delimiter))].join("\n");
+}
+
+// 列映射有误时返回提示
+function validateTrainingColumns(columns) {
+  const names = columns.filter(c => c.enabled).map(c => c.name);
+  if (!names.length) return "请至少选择一列";
+  const duplicates = names.filter((n, i) => names.indexOf(n) !== i);
+  return duplicates.length ? `列名重复：${[...new Set(duplicates)].join("、")}` : null;
+}
+
+// ---- 工具函数：导入结果 ----
+// 维度 id 匹配；兼容 index.html 默认维度 1..4 与本组件默认维度 c1..c4
+function matchDim(key, dims) {
+  const exact = dims.find(d => d.key === String(key));
+  if (exact) return exact;
+  const m = String(key).match(/^c?(\d+)$/);
+  return m ? dims.find(d => d.key.replace(/^c/, "") === m[1]) || null : null;
+}
+
+function inScale(dim, v) {
+  const inRange = typeof v === "number" && v >= dim.scale.min && v <= dim.scale.max;
+  const inOptions = dim.scale.options.includes(v);
+  return dim.scale.type === "continuous" ? inRange : dim.scale.type === "categorical" ? inOptions : inRange || inOptions;
+}
+
+// 把两种导出格式统一为 [{ id, turns, overall, turnScores: [{...}], preferences, type }]
+function parseExport(data) {
+  if (Array.isArray(data) && data.length && data.every(x => x?.scores?.overallScores)) {
+    return {
+      position: null,
+      versions: [...new Set(data.map(x => x.scores.rubricVersion).filter(Boolean))],
+      entries: data.map(x => ({
+        id: x.id ?? x.scores.id, turns: (x.turns || []).length, type: recordedType(x.scores.overallScales, x.scores.overallScores),
+        overall: x.scores.overallScores, turnScores: x.scores.turnScores || [], preferences: x.scores.preferences || [],
+        turnTypes: (x.scores.turnScores || []).map((ts, t) => recordedType(x.scores.turnScales?.[t], ts)),
+        safety: x.scores.safety || [], revisions: x.scores.revisions || [], questionFlags: x.scores.questionFlags || [],
+        regions: x.scores.regions || [], judge: x.scores.judge ?? null, annotator: x.scores.annotator ?? null,
+        scored: true, activity: splitActivity(x.scores).activity,
+      })),
+    };
+  }
+  if (data?.config && Array.isArray(data.data)) {
+    return {
+      position: typeof data.position === "number" ? data.position : null,
+      versions: data.config.rubricVersion ? [data.config.rubricVersion] : [],
+      entries: data.data.filter(x => x.scores).map(x => {
+        const n = Math.max(x.turns ?? 0, ...Object.keys(x.scores.turns || {}).map(t => Number(t) + 1));
+        return {
+          id: x.id, turns: x.turns ?? n, type: x.scores.overall?.type ?? null,
+          overall: x.scores.overall?.criteria || {},
+          turnScores: Array.from({ length: n }, (_, t) => x.scores.turns?.[t]?.criteria || {}),
+          turnTypes: Array.from({ length: n }, (_, t) => x.scores.turns?.[t]?.type ?? null),
+          preferences: Array.from({ length: n }, (_, t) => x.scores.preferences?.[t] ?? null),
+          safety: Array.from({ length: n }, (_, t) => x.scores.safety?.[t] ?? null),
+          revisions: x.scores.revisions || {}, questionFlags: x.scores.questionFlags || {},
+          regions: x.scores.regions || [], judge: x.scores.judge ?? null, annotator: x.scores.annotator || data.config.annotator || null,
+          scored: !!splitActivity(x.scores).scores, activity: splitActivity(x.scores).activity,
+        };
+      }),
+    };
+  }
+  return null;
+}
+
+// index.html 按分数记录量表（overallScales / turnScales）；本组件每组分数只有一个类型，已打分数的量表全部一致时采用
+function recordedType(scales, values) {
+  const types = [...new Set(Object.keys(values || {}).filter(k => values[k] !== null).map(k => scales?.[k]))];
+  return types.length === 1 && ["continuous", "categorical"].includes(types[0]) ? types[0] : null;
+}
+
+// 未记录分数类型的旧结果：全部落在单选选项内时视为单选
+function inferType(values) {
+  const vs = values.filter(v => typeof v === "number");
+  return vs.length && vs.every(v => Number.isInteger(v) && CATEGORICAL_OPTIONS.includes(v)) ? "categorical" : "continuous";
+}
+
+function mergeImportedScores(data, dataset, scores, rubric, activity = {}, judgements = {}) {
+  const parsed = parseExport(data);
+  if (!parsed) return { next: scores, nextActivity: activity, nextJudgements: judgements, report: null };
+  const report = {
+    position: parsed.position, matched: 0, missingIds: [], turnMismatches: [], unknownKeys: new Set(), outOfScale: [],
+    versions: parsed.versions.filter(v => v !== rubric.version),
+  };
+  const byId = new Map();
+  dataset.forEach((s, i) => { const id = s.id ?? String(s._idx ?? i); if (!byId.has(String(id))) byId.set(String(id), s); });
+  const copy = (src, dims, where) => {
+    const out = {};
+    Object.entries(src || {}).forEach(([k, v]) => {
+      if (v === null || v === undefined) return;
+      const d = matchDim(k, dims);
+      if (!d) { report.unknownKeys.add(k); return; }
+      if (!inScale(d, v)) report.outOfScale.push(`${where} · ${d.label} = ${v}`);
+      out[d.key] = v;
+    });
+    return out;
+  };
+
+  const next = { ...scores };
+  const nextActivity = { ...activity };
+  const nextJudgements = { ...judgements };
+  parsed.entries.forEach(entry => {
+    const sample = byId.get(String(entry.id));
+    if (!sample) { report.missingIds.push(entry.id); return; }
+    const id = sample.id ?? String(sample._idx);
+    if (entry.activity) nextActivity[id] = entry.activity;
+    const judge = normalizeJudge(entry.judge, sample, rubric);
+    if (judge) nextJudgements[id] = judge;
+    if (!entry.scored) return; // 只有编辑历史或建议（看过但未打分）
+    const rounds = sample.rounds || [];
+    if (entry.turns !== rounds.length) report.turnMismatches.push(`${entry.id}：数据集 ${rounds.length} 轮，文件 ${entry.turns} 轮`);
+    const overall = copy(entry.overall, criteriaFor(rubric, "overall"), `${entry.id} overall`);
+    const turns = {}, preferences = {}, safety = {}, revisions = {}, questionFlags = {};
+    rounds.forEach((r, t) => {
+      const rv = isComparisonRound(r) ? null : normalizeRevision(entry.revisions?.[t]);
+      if (rv) revisions[t] = rv;
+      const flag = normalizeQuestionFlag(entry.questionFlags?.[t]);
+      if (flag) questionFlags[t] = flag;
+    });
+    for (let t = 0; t < Math.min(rounds.length, entry.turnScores.length); t++) {
+      if (isComparisonRound(rounds[t])) {
+        const keys = getCandidates(rounds[t]).map(c => c.key);
+        const pref = entry.preferences[t];
+        if (pref?.ranking?.every(k => keys.includes(k))) preferences[t] = pref;
+        continue;
+      }
+      const crit = copy(entry.turnScores[t], criteriaFor(rubric, "turn"), `${entry.id} round ${t + 1}`);
+      if (Object.keys(crit).length) turns[t] = { type: entry.turnTypes?.[t] ?? inferType(Object.values(crit)), criteria: crit };
+      const sf = normalizeSafety(entry.safety?.[t]);
+      if (sf) safety[t] = sf;
+    }
+    next[id] = {
+      overall: { type: entry.type ?? inferType(Object.values(overall)), criteria: overall }, turns, preferences, safety, revisions, questionFlags,
+      regions: normalizeRegions(entry.regions, sample), ...(entry.annotator ? { annotator: entry.annotator } : {}),
+    };
+    report.matched += 1;
+  });
+  return { next, nextActivity, nextJudgements, report };
+}
+
+// 导入的区域标注：坐标限制在 0–1，按图片路径找到所在轮次（index.html 的样本级图片在本组件中位于第一轮），找不到的框丢弃
+function normalizeRegions(raw, sample) {
+  if (!Array.isArray(raw)) return [];
+  const rounds = sample.rounds || [];
+  const clamp01 = (v) => clamp(v, 0, 1);
+  return raw.flatMap((rg, i) => {
+    if (!rg || ![rg.x, rg.y, rg.width, rg.height].every(Number.isFinite)) return [];
+    const matches = (t) => getImages(rounds[t]).findIndex(p => p === rg.image || p === `Figures/${rg.image}`);
+    let turnIndex = Number.isInteger(rg.turnIndex) ? rg.turnIndex : -1;
+    let imageIndex = rg.image ? matches(turnIndex) : -1;
+    if (imageIndex < 0 && rg.image) {
+      turnIndex = rounds.findIndex((_, t) => matches(t) >= 0);
+      imageIndex = turnIndex >= 0 ? matches(turnIndex) : -1;
+    }
+    if (imageIndex < 0 && Number.isInteger(rg.imageIndex) && getImages(rounds[turnIndex])[rg.imageIndex]) imageIndex = rg.imageIndex;
+    if (imageIndex < 0) return [];
+    const x = clamp01(rg.x), y = clamp01(rg.y);
+    return [{
+      id: String(rg.id ?? `region-${i + 1}`), turnIndex, imageIndex, image: getImages(rounds[turnIndex])[imageIndex],
+      x, y, width: Number(Math.min(clamp01(rg.width), 1 - x).toFixed(4)), height: Number(Math.min(clamp01(rg.height), 1 - y).toFixed(4)),
+      imageWidth: Number.isFinite(rg.imageWidth) ? rg.imageWidth : null, imageHeight: Number.isFinite(rg.imageHeight) ? rg.imageHeight : null,
+      comment: typeof rg.comment === "string" ? rg.comment : "", hallucination: !!rg.hallucination,
+    }];
+  });
+}
+
+function formatImportReport(report, rubric) {
+  const lines = [`已导入 ${report.matched} 条打分结果。`];
+  const list = (title, items) => {
+    if (!items.length) return;
+    lines.push("", `${title}（${items.length}）：`, ...items.slice(0, 10).map(x => `- ${x}`));
+    if (items.length > 10) lines.push(`- 等共 ${items.length} 项`);
+  };
+  list("评分标准版本不一致", report.versions.map(v => `文件 ${v} / 当前 ${rubric.version}`));
+  list("数据集中不存在的样本 id（已跳过）", report.missingIds.map(String));
+  list("轮次数量不一致（仅导入重叠轮次）", report.turnMismatches);
+  list("当前评分标准中不存在的维度（已跳过）", [...report.unknownKeys]);
+  list("超出当前量表的分数（已导入，请复核）", report.outOfScale);
+  return lines.join("\n");
+}
+
+// ---- 工具函数：拆分批次、抽样、去重与合并结果（与 index.html 相同） ----
+const DEDUP_SHINGLE_SIZE = 3; // 按内容去重时比较的字符 n-gram 长度
+const DEDUP_GROUP_LIST_SIZE = 50; // 去重结果中列出的重复组数
+const MERGE_CONFLICT_LIST_SIZE = 50; // 合并结果中列出的冲突样本数
+
+// 可复现的伪随机数（mulberry32），种子字符串先经 FNV-1a 哈希
+function createSeededRandom(seed) {
+  let state = hashText(String(seed));
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function createToolsSeed() {
+  return Math.random().toString(36).slice(2, 10);
+}
+
+function seededShuffle(list, random) {
+  const shuffled = [...list];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+// 分层依据："" 不分层，"turns" 按轮数，"meta:<字段>" 按元信息字段的值
+function toolsStratum(sample, strategy) {
+  if (strategy === "turns") return `${(sample.rounds || []).length} 轮`;
+  if (!strategy.startsWith("meta:")) return "全部";
+  const v = sample.meta && typeof sample.meta === "object" ? sample.meta[strategy.slice(5)] : undefined;
+  return v === undefined || v === null || v === "" ? "（无）" : typeof v === "object" ? JSON.stringify(v) : String(v);
+}
+
+// 各层按名称排序，保证同一种子得到相同结果
+function toolsStrata(dataset, indices, strategy) {
+  const byValue = new Map();
+  indices.forEach(i => {
+    const label = toolsStratum(dataset[i], strategy);
+    if (!byValue.has(label)) byValue.set(label, []);
+    byValue.get(label).push(i);
+  });
+  return [...byValue].sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true })).map(([label, members]) => ({ label, indices: members }));
+}
+
+function toolsStratifyBy(strategy) {
+  return strategy === "turns" ? "turns" : strategy.startsWith("meta:") ? `meta.${strategy.slice(5)}` : null;
+}
+
+function toolsBaseName(source) {
+  return (source || "dataset").replace(/\.(jsonl?|zip)$/i, "").replace(/[\\/:*?"<>|\s]+/g, "_") || "dataset";
+}
+
+// 输出的样本去掉内部下标，在 meta.provenance 中记录来源；已有来源记录（如从某一批中再抽样）时保留为 parent
+function withProvenance(sample, provenance) {
+  const { _idx, ...rest } = sample;
+  const meta = sample.meta && typeof sample.meta === "object" && !Array.isArray(sample.meta) ? sample.meta
+    : sample.meta === undefined || sample.meta === null ? {} : { value: sample.meta };
+  return { ...rest, meta: { ...meta, provenance: meta.provenance ? { ...provenance, parent: meta.provenance } : provenance } };
+}
+
+// 拆分为 count 批：各层分别打乱后依次轮流分入各批，使每批大小与各层比例都尽量一致；goldEveryBatch 时金标准题放入每一批。
+// 返回 zip 中的文件：每批一个 JSON，manifest.json 记录种子、分配方式与各批样本 id
+function splitIntoBatches(dataset, { count, strategy, seed, goldEveryBatch, source }) {
+  const pool = dataset.map((_, i) => i).filter(i => !(goldEveryBatch && dataset[i].gold));
+  const random = createSeededRandom(seed);
+  const batches = Array.from({ length: count }, () => []);
+  let next = 0;
+  toolsStrata(dataset, pool, strategy).forEach(st => seededShuffle(st.indices, random).forEach(i => { batches[next++ % count].push(i); }));
+  const gold = goldEveryBatch ? dataset.map((s, i) => (s.gold ? i : -1)).filter(i => i >= 0) : [];
+  const base = toolsBaseName(source);
+  const width = Math.max(2, String(count).length);
+  const createdAt = new Date().toISOString();
+  const stratifyBy = toolsStratifyBy(strategy);
+  const manifest = { source: source || null, seed, batches: count, stratifyBy, goldInEveryBatch: goldEveryBatch, createdAt, files: [] };
+  const files = batches.map((indices, b) => {
+    const path = `${base}_batch_${String(b + 1).padStart(width, "0")}-of-${String(count).padStart(width, "0")}.json`;
+    const items = [...indices, ...gold].sort((x, y) => x - y)
+      .map(i => withProvenance(dataset[i], { source: source || null, seed, batch: b + 1, batches: count, stratifyBy, createdAt }));
+    const strata = {};
+    indices.forEach(i => { const label = toolsStratum(dataset[i], strategy); strata[label] = (strata[label] || 0) + 1; });
+    manifest.files.push({ file: path, batch: b + 1, items: items.length, gold: gold.length, strata, ids: items.map(s => s.id ?? null) });
+    return { path, blob: new Blob([JSON.stringify(items, null, 2)], { type: "application/json" }) };
+  });
+  files.push({ path: "manifest.json", blob: new Blob([JSON.stringify(manifest, null, 2)], { type: "application/json" }) });
+  return { manifest, files };
+}
+
+// 按各层数据量比例分配抽样数量（最大余数法），总数恰好为 n
+function allocateSampleQuotas(sizes, n) {
+  const total = sizes.reduce((sum, size) => sum + size, 0);
+  const exact = sizes.map(size => size * n / total);
+  const quotas = exact.map(v => Math.floor(v));
+  const rest = n - quotas.reduce((sum, q) => sum + q, 0);
+  exact.map((v, i) => ({ i, fraction: v - quotas[i] }))
+    .sort((a, b) => b.fraction - a.fraction || a.i - b.i)
+    .slice(0, rest)
+    .forEach(({ i }) => { quotas[i]++; });
+  return quotas;
+}
+
+// 可复现的随机抽样，用于质检复核；金标准题不参与抽样，结果按原顺序排列
+function drawSample(dataset, { size, strategy, seed, source }) {
+  const pool = dataset.map((_, i) => i).filter(i => !dataset[i].gold);
+  const n = Math.min(size, pool.length);
+  const random = createSeededRandom(seed);
+  const strata = toolsStrata(dataset, pool, strategy);
+  const quotas = allocateSampleQuotas(strata.map(st => st.indices.length), n);
+  const picked = strata.flatMap((st, k) => seededShuffle(st.indices, random).slice(0, quotas[k])).sort((a, b) => a - b);
+  const provenance = { source: source || null, seed, sampleSize: n, population: pool.length, stratifyBy: toolsStratifyBy(strategy), createdAt: new Date().toISOString() };
+  return { items: picked.map(i => withProvenance(dataset[i], provenance)), size: n, population: pool.length };
+}
+
+// 去重比较的文本：上下文、问题、回答与图片路径，统一宽度与大小写并去掉空白和标点
+function dedupText(sample) {
+  const parts = [sample.meta?.context, ...(sample.rounds || []).flatMap(r => {
+    const candidates = getCandidates(r);
+    return [r.user, ...(candidates.length ? candidates.map(c => c.text) : [r.assistant]), ...getImages(r)];
+  })];
+  return parts.map(p => (typeof p === "string" ? p : p === undefined || p === null ? "" : JSON.stringify(p)))
+    .join("\n").normalize("NFKC").toLowerCase().replace(/[\s\p{P}\p{S}]+/gu, "");
+}
+
+function textShingles(text) {
+  const shingles = new Set();
+  if (text.length <= DEDUP_SHINGLE_SIZE) shingles.add(text);
+  for (let i = 0; i + DEDUP_SHINGLE_SIZE <= text.length; i++) shingles.add(text.slice(i, i + DEDUP_SHINGLE_SIZE));
+  return shingles;
+}
+
+// 查找重复：按 id，或按内容（规范化后相同，或字符 n-gram 的 Jaccard 相似度不低于阈值）。
+// 相互重复的样本合并为一组，每组保留第一条（组内有金标准题时保留金标准题）
+function findDuplicateGroups(dataset, mode, threshold) {
+  const parent = dataset.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const similarity = new Map(); // 组内首项下标 → 组内配对的最低相似度
+  const union = (a, b, value) => {
+    const [ra, rb] = [find(a), find(b)];
+    const root = Math.min(ra, rb);
+    const lowest = Math.min(value, similarity.get(ra) ?? 1, similarity.get(rb) ?? 1);
+    parent[Math.max(ra, rb)] = root;
+    similarity.set(root, lowest);
+  };
+  if (mode === "id") {
+    // 加载时重复的 id 已被追加"#序号"，去掉序号后与原 id 比较
+    const ids = new Set(dataset.map(s => String(s.id)));
+    const firstById = new Map();
+    dataset.forEach((s, i) => {
+      if (s.id === undefined || s.id === null || s.id === "") return;
+      const suffixed = String(s.id).match(/^(.+)#\d+$/);
+      const id = suffixed && ids.has(suffixed[1]) ? suffixed[1] : String(s.id);
+      if (firstById.has(id)) union(firstById.get(id), i, 1);
+      else firstById.set(id, i);
+    });
+  } else {
+    const texts = dataset.map(dedupText);
+    const firstByText = new Map();
+    texts.forEach((text, i) => {
+      if (!text) return;
+      if (firstByText.has(text)) union(firstByText.get(text), i, 1);
+      else firstByText.set(text, i);
+    });
+    if (threshold < 1) {
+      // 按 n-gram 数从少到多比较；Jaccard 不超过两者数量之比，比值低于阈值后不必再比
+      const shingles = texts.map(textShingles);
+      const order = [...firstByText.values()].sort((a, b) => shingles[a].size - shingles[b].size);
+      order.forEach((a, k) => {
+        for (let j = k + 1; j < order.length; j++) {
+          const b = order[j];
+          if (shingles[a].size / shingles[b].size < threshold) break;
+          let shared = 0;
+          shingles[a].forEach(sh => { if (shingles[b].has(sh)) shared++; });
+          const jaccard = shared / (shingles[a].size + shingles[b].size - shared);
+          if (jaccard >= threshold) union(a, b, jaccard);
+        }
+      });
+    }
+  }
+  const members = new Map();
+  dataset.forEach((_, i) => {
+    const root = find(i);
+    if (!members.has(root)) members.set(root, []);
+    members.get(root).push(i);
+  });
+  return [...members].filter(([, indices]) => indices.length > 1).map(([root, indices]) => {
+    const keep = indices.find(i => dataset[i].gold) ?? indices[0];
+    return { keep, removed: indices.filter(i => i !== keep), similarity: similarity.get(root) ?? 1 };
+  });
+}
+
+// 某样本评分中各字段的取值，用于比较同一样本在不同文件中的结果
+function flattenMergeScores(sample, sc, rubric) {
+  const fields = {};
+  const put = (field, value) => { if (value !== null && value !== undefined) fields[field] = value; };
+  const dimLabel = (key) => rubric.dimensions.find(d => d.key === key)?.label || key;
+  put("完成状态", isSampleComplete(sample, sc, rubric) ? "已完成" : "未完成");
+  Object.entries(sc.overall?.criteria || {}).forEach(([k, v]) => put(`整体 · ${dimLabel(k)}`, v));
+  Object.entries(sc.turns || {}).forEach(([t, turn]) => {
+    Object.entries(turn?.criteria || {}).forEach(([k, v]) => put(`轮次${Number(t) + 1} · ${dimLabel(k)}`, v));
+  });
+  Object.entries(sc.preferences || {}).forEach(([t, pref]) => {
+    if (pref?.ranking) put(`轮次${Number(t) + 1} · 偏好`, pref.tie ? "持平" : pref.ranking.join(" > "));
+  });
+  Object.entries(sc.safety || {}).forEach(([t, sf]) => {
+    if (sf?.harmful) put(`轮次${Number(t) + 1} · 有害`, ["有害", ...(sf.categories || [])].join("、"));
+  });
+  Object.entries(sc.revisions || {}).forEach(([t, rv]) => put(`轮次${Number(t) + 1} · 修订`, rv?.text));
+  Object.entries(sc.questionFlags || {}).forEach(([t, flag]) => {
+    if (flag?.reason) put(`轮次${Number(t) + 1} · 问题标记`, QUESTION_FLAG_REASONS.find(r => r.value === flag.reason)?.label || flag.reason);
+  });
+  return fields;
+}
+
+// 合并各批次导出的结果：每个文件先按 id 转为当前评分标准下的评分（同"导入结果"）；同一样本出现在多个文件中时，
+// 优先采用已完成的结果，其次是打分项更多的结果，仍相同时采用后添加的文件，取值不同的字段记入冲突报告。
+// 输出与"导出 JSON 结果"格式相同
+function mergeResultSets(sets, dataset, rubric) {
+  const report = {
+    createdAt: new Date().toISOString(), files: sets.map(s => s.fileName),
+    rubricVersions: [...new Set(sets.flatMap(s => s.versions))], merged: 0, identical: 0, conflicts: [], missingIds: [],
+  };
+  const keyed = dataset.map((s, i) => [String(s.id ?? s._idx ?? i), s]);
+  const byId = new Map(keyed);
+  const candidates = new Map();
+  sets.forEach(set => {
+    const { next, nextActivity, nextJudgements, report: imported } = mergeImportedScores(set.data, dataset, {}, rubric);
+    imported.missingIds.forEach(id => report.missingIds.push({ file: set.fileName, id }));
+    Object.entries(next).forEach(([id, sc]) => {
+      if (!candidates.has(id)) candidates.set(id, []);
+      candidates.get(id).push({ file: set.fileName, sc, activity: nextActivity[id], judge: nextJudgements[id], fields: flattenMergeScores(byId.get(id), sc, rubric) });
+    });
+  });
+  const rank = (c) => [c.fields["完成状态"] === "已完成" ? 1 : 0, Object.keys(c.fields).length];
+  const data = keyed.filter(([id]) => candidates.has(id)).map(([id, s]) => {
+    const list = candidates.get(id);
+    const chosen = list.reduce((best, c) => {
+      const [a, b] = [rank(c), rank(best)];
+      return a[0] > b[0] || (a[0] === b[0] && a[1] >= b[1]) ? c : best;
+    });
+    if (list.length > 1) {
+      const names = [...new Set(list.flatMap(c => Object.keys(c.fields)))];
+      const fields = names
+        .map(field => ({ field, values: list.map(c => ({ file: c.file, value: c.fields[field] ?? null })) }))
+        .filter(({ values }) => new Set(values.map(v => JSON.stringify(v.value))).size > 1);
+      if (fields.length) report.conflicts.push({ id, chosen: chosen.file, fields });
+      else report.identical++;
+    }
+    return {
+      id, meta: s.meta || null, turns: s.rounds?.length ?? 0,
+      scores: withActivity(chosen.sc, chosen.activity, chosen.judge),
+      preferencePairs: buildPreferencePairs(s, chosen.sc),
+    };
+  });
+  report.merged = data.length;
+  const payload = {
+    exportedAt: report.createdAt,
+    position: null,
+    config: {
+      annotator: null,
+      rubric: { name: rubric.name, version: rubric.version, dimensions: rubric.dimensions, harmCategories: rubric.harmCategories },
+      rubricVersion: rubric.version,
+      criteria: rubric.dimensions.map(c => c.key),
+      categoricalOptions: [...CATEGORICAL_OPTIONS],
+      continuousRange: [CONTINUOUS_MIN, CONTINUOUS_MAX],
+      mergedFrom: report.files,
+    },
+    data,
+  };
+  return { payload, report };
+}
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// ---- 评审模型预打分 ----
+// 样本发给 OpenAI 兼容的 chat/completions 接口，返回的分数作为建议按样本 id 与评分分开保存，导出时写入 scores[id].judge；
+// 提示词、回答解析与一致性口径与 index.html 相同，接口配置共用
+const LS_JUDGE_CONFIG_KEY = "rlhf_judge_config"; // 与 index.html 共用
+const LS_JUDGE_CACHE_KEY = "rlhf_judge_cache_v1"; // { [sampleId]: 建议 }
+const JUDGE_RETRY_BASE_MS = 1000; // 重试前的等待时间，每次重试加倍
+const JUDGE_AGREEMENT_TOLERANCE = 0.1; // 无极量表上人工与模型的分数相差不超过满量程的该比例视为一致
+const JUDGE_ERROR_LIST_SIZE = 20; // 进度中列出的失败样本数
+const JUDGE_TOP_ITEMS = 20; // 一致性统计中列出的分差最大的样本数
+const JUDGE_DEFAULT_TEMPLATE = `你是对话质量评审员，请按评分标准（{{rubric}}）为下面对话中助手的回答打分。
+
+评判标准：
+{{criteria}}
+
+{{dialogue}}
+
+只输出一个 JSON 对象，不要输出其他内容。分数必须取自对应评判标准的量表，rationale 用一两句话说明打分理由：
+{{format}}`;
+const JUDGE_DEFAULT_CONFIG = {
+  endpoint: "http://localhost:8000/v1/chat/completions",
+  model: "",
+  apiKey: "",
+  temperature: 0,
+  concurrency: 2,
+  retries: 2,
+  timeoutSec: 60,
+  sendImages: false,
+  template: JUDGE_DEFAULT_TEMPLATE,
+};
+// 数字配置的取值范围（与 index.html 的表单一致）
+const JUDGE_NUMBER_FIELDS = [
+  { key: "temperature", label: "temperature", min: 0, max: 2, step: 0.1 },
+  { key: "concurrency", label: "并发数", min: 1, max: 16, step: 1 },
+  { key: "retries", label: "失败重试次数", min: 0, max: 10, step: 1 },
+  { key: "timeoutSec", label: "单次超时（秒）", min: 5, max: 600, step: 5 },
+];
+
+// 保存的接口配置：{ config, error }，内容损坏时 error 为提示文字
+function loadJudgeConfig() {
+  const { value: saved, error } = readStoredJSON(LS_JUDGE_CONFIG_KEY, "预打分接口配置");
+  return { config: { ...JUDGE_DEFAULT_CONFIG, ...(saved && typeof saved === "object" ? saved : {}) }, error };
+}
+
+// 预打分的样本：按设置跳过已完成或已有建议的样本。金标准题与其他样本一样预打分，以免没有建议的样本暴露金标准题
+function judgeTargets(indices, dataset, scores, judgements, rubric, { skipCompleted, overwrite }) {
+  return indices.filter(i => {
+    const s = dataset[i], id = s.id ?? String(s._idx ?? i);
+    return !(skipCompleted && isSampleComplete(s, scores[id], rubric)) && !(!overwrite && judgements[id]);
+  });
+}
+
+// 给一个样本预打分，返回建议：{ model, createdAt, overall: {type, criteria}, turns: { [t]: {type, criteria} }, rationale, warnings }
+async function judgeSample(sample, sc, rubric, config, types, bundle, signal) {
+  const plan = buildJudgePrompt(sample, sc, rubric, config, types);
+  const images = config.sendImages ? await collectJudgeImages(sample, bundle) : [];
+  const reply = await requestJudge(config, plan.prompt, images, signal);
+  return { ...parseJudgeReply(reply.text, sample, rubric, plan), model: reply.model };
+}
+
+// 按模板生成提示词，同时返回需要打分的轮次与两种作用范围的评分类型（用于校验回答）
+function buildJudgePrompt(sample, sc, rubric, config, { scoreTypeOverall, scoreTypeTurn }) {
+  const rounds = sample.rounds || [];
+  const turns = rounds.map((_, t) => t).filter(t => !isComparisonRound(rounds[t]) && !isTurnFlagged(sc, t));
+  const overallDims = criteriaFor(rubric, "overall");
+  const turnDims = turns.length ? criteriaFor(rubric, "turn") : [];
+  const types = { overall: scoreTypeOverall, turn: scoreTypeTurn };
+
+  const criteriaText = rubric.dimensions.filter(d => overallDims.includes(d) || turnDims.includes(d)).map(d => {
+    const scopes = [["overall", "整体", overallDims], ["turn", "每轮", turnDims]].filter(([, , dims]) => dims.includes(d));
+    const rangeOf = (type) => {
+      const range = type === "continuous" ? `${d.scale.min === -1 ? 0 : d.scale.min}–${d.scale.max} 的整数` : `从 ${d.scale.options.filter(o => o !== -1).join(" / ")} 中选一个`;
+      const harmful = type === "continuous" ? d.scale.min === -1 : d.scale.options.includes(-1);
+      return `${range}${harmful ? "；回答有害时打 -1" : ""}`;
+    };
+    const scaleTypes = scopes.map(([scope, label]) => [label, d.scale.type || types[scope]]);
+    const range = new Set(scaleTypes.map(([, type]) => type)).size === 1
+      ? rangeOf(scaleTypes[0][1])
+      : scaleTypes.map(([label, type]) => `${label}${rangeOf(type)}`).join("；");
+    const anchors = Object.entries(d.anchors).map(([level, text]) => `${level}=${text}`).join("；");
+    return [
+      `- ${d.key}：${d.label}（${scopes.map(([, label]) => label).join("、")}）${d.description ? `，${d.description}` : ""}`,
+      `  量表：${range}`,
+      anchors ? `  锚点：${anchors}` : "",
+    ].filter(Boolean).join("\n");
+  }).join("\n");
+
+  const lines = sample.meta?.context ? [`背景：${sample.meta.context}`, ""] : [];
+  rounds.forEach((r, t) => {
+    const note = isComparisonRound(r) ? "（多个候选回答，不需要打分）" : turns.includes(t) ? "" : "（不需要打分）";
+    lines.push(`### 轮次 ${t + 1}${note}`, `用户：${r.user ?? ""}`);
+    if (getImages(r).length) lines.push(`[附带 ${getImages(r).length} 张图片]`);
+    if (isComparisonRound(r)) getCandidates(r).forEach(c => lines.push(`候选 ${c.key}：${c.text}`));
+    else lines.push(`助手：${r.assistant ?? ""}`);
+    lines.push("");
+  });
+
+  const fieldsOf = (dims) => `{ ${dims.map(d => `"${d.key}": <分数>`).join(", ")} }`;
+  const format = [
+    "{",
+    overallDims.length ? `  "overall": ${fieldsOf(overallDims)},` : "",
+    turnDims.length ? `  "turns": { ${turns.map(t => `"${t + 1}": ${fieldsOf(turnDims)}`).join(", ")} },` : "",
+    '  "rationale": "<打分理由>"',
+    "}",
+  ].filter(Boolean).join("\n");
+
+  const values = { rubric: `${rubric.name} ${rubric.version}`, criteria: criteriaText, dialogue: lines.join("\n").trim(), format, id: sample.id ?? "" };
+  return {
+    prompt: config.template.replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? String(values[key]) : match)),
+    turns,
+    types,
+  };
+}
+
+// 多模态请求用的图片：网络地址与 data URI 原样发送，其余（数据包、相对路径）读取后转为 data URI，读取失败的跳过
+async function collectJudgeImages(sample, bundle) {
+  const paths = (sample.rounds || []).flatMap(r => getImages(r));
+  const urls = await Promise.all(paths.map(p => {
+    const src = resolveImage(p, bundle);
+    if (/^(https?:|data:)/i.test(src)) return src;
+    return fetch(src)
+      .then(response => response.ok ? response.blob() : Promise.reject(new Error(response.status)))
+      .then(blob => new Promise(resolve => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => resolve(null);
+        reader.readAsDataURL(blob);
+      }))
+      .catch(() => null);
+  }));
+  return urls.filter(Boolean);
+}
+
+// 调用 chat/completions 接口；网络错误、超时、429 与 5xx 按指数退避重试（有 Retry-After 时按其等待），取消时抛出 AbortError
+async function requestJudge(config, prompt, images, signal) {
+  const content = images.length
+    ? [{ type: "text", text: prompt }, ...images.map(url => ({ type: "image_url", image_url: { url } }))]
+    : prompt;
+  const body = JSON.stringify({
+    ...(config.model ? { model: config.model } : {}),
+    temperature: config.temperature,
+    messages: [{ role: "user", content }],
+  });
+  const headers = { "Content-Type": "application/json", ...(config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {}) };
+
+  for (let attempt = 0; ; attempt++) {
+    let response = null, error = null;
+    let delay = JUDGE_RETRY_BASE_MS * 2 ** attempt;
+    try {
+      response = await fetchJudge(config, body, headers, signal);
+    } catch (e) {
+      if (signal.aborted) throw e;
+      error = new Error(e.name === "AbortError" ? `请求超时（${config.timeoutSec} 秒）` : `无法连接接口：${e.message}`);
+    }
+    if (response?.ok) return readJudgeResponse(await response.json(), config);
+    if (response) {
+      const detail = await response.text().catch(() => "");
+      error = new Error(`接口返回 ${response.status}${detail ? `：${detail.slice(0, 200)}` : ""}`);
+      if (response.status !== 429 && response.status < 500) throw error;
+      const retryAfter = Number(response.headers.get("Retry-After"));
+      if (retryAfter > 0) delay = retryAfter * 1000;
+    }
+    if (attempt >= config.retries) throw error;
+    await waitForJudgeRetry(delay, signal);
+  }
+}
+
+// 单次请求：取消或超时都会中止
+function fetchJudge(config, body, headers, signal) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  const timer = setTimeout(abort, config.timeoutSec * 1000);
+  if (signal.aborted) abort();
+  signal.addEventListener("abort", abort);
+  return fetch(config.endpoint, { method: "POST", headers, body, signal: controller.signal })
+    .finally(() => {
+      clearTimeout(timer);
+      signal.removeEventListener("abort", abort);
+    });
+}
+
+function waitForJudgeRetry(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const cancel = () => {
+      clearTimeout(timer);
+      reject(new DOMException("已取消", "AbortError"));
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener("abort", cancel);
+      resolve();
+    }, ms);
+    if (signal.aborted) cancel();
+    else signal.addEventListener("abort", cancel, { once: true });
+  });
+}
+
+// 取回答文本（content 也可能是分段数组）
+function readJudgeResponse(data, config) {
+  const content = data?.choices?.[0]?.message?.content;
+  const text = Array.isArray(content) ? content.map(part => part?.text ?? "").join("") : content;
+  if (typeof text !== "string" || !text.trim()) throw new Error("接口返回中没有 choices[0].message.content");
+  return { text, model: data.model || config.model || null };
+}
+
+// 去掉推理过程与代码块标记后，取第一个 { 到最后一个 } 之间的 JSON
+function extractJudgeJSON(text) {
+  const cleaned = text.replace(/<think>[\s\S]*?<\/think>/gi, "").replace(/```(?:json)?/gi, "");
+  const start = cleaned.indexOf("{"), end = cleaned.lastIndexOf("}");
+  if (start < 0 || end <= start) return null;
+  try {
+    const parsed = JSON.parse(cleaned.slice(start, end + 1));
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+// 分数可以是数字、数字字符串或 { score }；无极量表四舍五入到整数，不在量表内时返回 null
+function readJudgeScore(raw, dim, type) {
+  const source = raw && typeof raw === "object" ? (raw.score ?? raw.value) : raw;
+  let v = typeof source === "string" && source.trim() !== "" ? Number(source) : source;
+  if (typeof v !== "number" || !Number.isFinite(v)) return null;
+  if (type === "continuous") v = Math.round(v);
+  return inScale({ ...dim, scale: { ...dim.scale, type } }, v) ? v : null;
+}
+
+// 解析模型的回答：维度按 id（或名称）匹配，轮次为从 1 开始的编号；不合法的分数不采用，记入 warnings
+function parseJudgeReply(text, sample, rubric, plan) {
+  const parsed = extractJudgeJSON(text);
+  if (!parsed) throw new Error(`回答中没有可解析的 JSON：${text.trim().slice(0, 100)}`);
+
+  const warnings = [];
+  const rationale = [typeof parsed.rationale === "string" ? parsed.rationale.trim() : ""];
+  const pick = (src, scope, where) => {
+    const dims = criteriaFor(rubric, scope), criteria = {};
+    Object.entries(src && typeof src === "object" ? src : {}).forEach(([k, raw]) => {
+      const d = matchDim(k, dims) || dims.find(x => x.label === k);
+      if (!d) return;
+      const v = readJudgeScore(raw, d, d.scale.type || plan.types[scope]);
+      if (v === null) warnings.push(`${where} · ${d.label}：${JSON.stringify(raw)} 不在量表内`);
+      else criteria[d.key] = v;
+    });
+    return criteria;
+  };
+
+  const judge = {
+    model: null,
+    createdAt: new Date().toISOString(),
+    overall: { type: plan.types.overall, criteria: pick(parsed.overall, "overall", "整体") },
+    turns: {},
+    rationale: "",
+    warnings,
+  };
+  const turnEntries = Array.isArray(parsed.turns)
+    ? parsed.turns.map((entry, i) => [entry?.turn ?? i + 1, entry])
+    : Object.entries(parsed.turns && typeof parsed.turns === "object" ? parsed.turns : {});
+  turnEntries.forEach(([key, entry]) => {
+    const t = Number(key) - 1;
+    if (!plan.turns.includes(t)) return;
+    const criteria = pick(entry?.scores ?? entry, "turn", `轮次 ${t + 1}`);
+    if (Object.keys(criteria).length) judge.turns[t] = { type: plan.types.turn, criteria };
+    if (typeof entry?.rationale === "string" && entry.rationale.trim()) rationale.push(`轮次 ${t + 1}：${entry.rationale.trim()}`);
+  });
+
+  const count = Object.keys(judge.overall.criteria).length + Object.values(judge.turns).reduce((sum, g) => sum + Object.keys(g.criteria).length, 0);
+  if (!count) throw new Error(warnings.length ? `没有可用的分数（${warnings[0]}）` : "回答中没有可用的分数");
+  judge.rationale = rationale.filter(Boolean).join("\n");
+  return judge;
+}
+
+// 导入 / 服务器中的建议：兼容 index.html 的 overallScores / turnScores 格式，只保留当前评分标准中的维度与样本中存在的轮次
+function normalizeJudge(raw, sample, rubric) {
+  if (!raw || typeof raw !== "object") return null;
+  const fromHTML = "overallScores" in raw || "turnScores" in raw;
+  const group = (values, type, scope) => {
+    const criteria = {};
+    Object.entries(values && typeof values === "object" ? values : {}).forEach(([k, v]) => {
+      const d = matchDim(k, criteriaFor(rubric, scope));
+      if (d && typeof v === "number") criteria[d.key] = v;
+    });
+    return { type: ["continuous", "categorical"].includes(type) ? type : inferType(Object.values(criteria)), criteria };
+  };
+  const turns = {};
+  (sample.rounds || []).forEach((r, t) => {
+    if (isComparisonRound(r)) return;
+    const g = fromHTML
+      ? group(raw.turnScores?.[t], recordedType(raw.turnScales?.[t], raw.turnScores?.[t]), "turn")
+      : group(raw.turns?.[t]?.criteria, raw.turns?.[t]?.type, "turn");
+    if (Object.keys(g.criteria).length) turns[t] = g;
+  });
+  return {
+    model: typeof raw.model === "string" ? raw.model : null,
+    createdAt: raw.createdAt || null,
+    overall: fromHTML
+      ? group(raw.overallScores, recordedType(raw.overallScales, raw.overallScores), "overall")
+      : group(raw.overall?.criteria, raw.overall?.type, "overall"),
+    turns,
+    rationale: typeof raw.rationale === "string" ? raw.rationale : "",
+    warnings: Array.isArray(raw.warnings) ? raw.warnings.map(String) : [],
+  };
+}
+
+// 某项的建议分数，按该项当前的评分类型换算；没有建议时为 null
+function judgeSuggestion(dim, group, type) {
+  const v = group?.criteria?.[dim.key];
+  return typeof v === "number" ? convertGoldScore(dim, v, dim.scale.type || group.type, type) : null;
+}
+
+// 人工与模型都打了分的项目，按维度与作用范围统计：分数各自按所用量表归一化到 0–1 后比较；
+// 人工用单选量表时要求模型分数换算后选项相同，无极量表相差不超过容差视为一致，有害（-1）须双方一致
+function computeJudgeAgreement(dataset, scores, judgements, rubric, { scoreTypeOverall, scoreTypeTurn }) {
+  const rows = new Map(), items = [];
+  let judgedItems = 0;
+  dataset.forEach((s, i) => {
+    const id = s.id ?? String(s._idx ?? i), sc = scores[id], judge = judgements[id];
+    if (!judge) return;
+    judgedItems += 1;
+
+    const diffs = [];
+    const fields = [
+      ...criteriaFor(rubric, "overall").map(d => [d, null]),
+      ...(s.rounds || []).flatMap((r, t) => (isComparisonRound(r) || isTurnFlagged(sc, t) ? [] : criteriaFor(rubric, "turn").map(d => [d, t]))),
+    ];
+    fields.forEach(([d, t]) => {
+      const human = t === null ? sc?.overall : sc?.turns?.[t], suggested = t === null ? judge.overall : judge.turns?.[t];
+      const h = human?.criteria?.[d.key], j = suggested?.criteria?.[d.key];
+      if (typeof h !== "number" || typeof j !== "number") return;
+      const fallback = t === null ? scoreTypeOverall : scoreTypeTurn;
+      const humanType = d.scale.type || human.type || fallback, judgeType = d.scale.type || suggested.type || fallback;
+      const hn = normalizeTrainingScore(d, h, humanType), jn = normalizeTrainingScore(d, j, judgeType);
+      const agree = h === -1 || j === -1 ? h === j
+        : humanType === "categorical" ? convertGoldScore(d, j, judgeType, humanType) === h
+        : Math.abs(hn - jn) <= JUDGE_AGREEMENT_TOLERANCE;
+
+      const key = `${t === null ? "overall" : "turn"}:${d.key}`;
+      if (!rows.has(key)) rows.set(key, { dim: d, scope: t === null ? "overall" : "turn", human: [], judge: [], agreed: 0 });
+      const row = rows.get(key);
+      row.human.push(hn);
+      row.judge.push(jn);
+      if (agree) row.agreed += 1;
+      diffs.push(Math.abs(hn - jn));
+    });
+    if (diffs.length) items.push({ index: i, id, diff: diffs.reduce((a, v) => a + v, 0) / diffs.length });
+  });
+
+  const order = (row) => (row.scope === "overall" ? 0 : rubric.dimensions.length) + rubric.dimensions.indexOf(row.dim);
+  return {
+    judgedItems,
+    comparedItems: items.length,
+    rows: [...rows.values()].sort((a, b) => order(a) - order(b)),
+    items: items.filter(x => x.diff > 0).sort((a, b) => b.diff - a.diff).slice(0, JUDGE_TOP_ITEMS),
+  };
+}
+
+// ---- 报告 ----
+// 报告模型与渲染（renderReportHTML 及 report* 辅助函数）与 index.html 保持一致，两个界面导出相同的报告
+
+function buildReportModel(dataset, scores, rubric, { scoreTypeOverall, scoreTypeTurn, annotator, source }) {
+  const idOf = (s, i) => s.id ?? String(s._idx ?? i);
+  const maxTurns = Math.max(0, ...dataset.map(s => (s.rounds || []).length));
+  const overallDims = criteriaFor(rubric, "overall");
+  const turnDims = criteriaFor(rubric, "turn");
+  const completed = dataset.filter((s, i) => isSampleComplete(s, scores[idOf(s, i)], rubric)).length;
+  const inProgress = dataset.filter((s, i) => scores[idOf(s, i)] && !isSampleComplete(s, scores[idOf(s, i)], rubric)).length;
+
+  const stats = rubric.dimensions.map(d => {
+    const scopes = [overallDims.includes(d) && "overall", turnDims.includes(d) && "turn"].filter(Boolean);
+    const overallValues = scopes.includes("overall") ? dataset.map((s, i) => scores[idOf(s, i)]?.overall?.criteria?.[d.key]).filter(isReportValue) : [];
+    const turnValues = Array.from({ length: maxTurns }, (_, t) => scopes.includes("turn")
+      ? dataset.map((s, i) => scores[idOf(s, i)]?.turns?.[t]?.criteria?.[d.key]).filter(isReportValue)
+      : []);
+    return buildReportCriterion(
+      { id: d.key, name: d.label, scope: d.scope, type: d.scale.type || scoreTypeOverall, min: d.scale.min, max: d.scale.max, options: d.scale.options },
+      scopes, overallValues, turnValues, d.scale.type || scoreTypeTurn,
+    );
+  });
+  const statOf = (key, scope) => {
+    const stat = stats.find(s => s.id === key);
+    return scope === "turn" ? { ...stat, type: stat.distributions.find(x => x.scope === "turn")?.type || stat.type } : stat;
+  };
+
+  // 样本得分：整体维度归一化均值（无整体分时用逐轮分），有害计 0
+  const scored = dataset.map((s, i) => {
+    const sc = scores[idOf(s, i)];
+    if (!sc) return null;
+    const normalized = overallDims.map(d => sc.overall?.criteria?.[d.key]).map((v, k) => isReportValue(v) ? normalizeReportScore(v, statOf(overallDims[k].key, "overall")) : null).filter(v => v !== null);
+    let turn = 0, lowestTurn = Infinity;
+    (s.rounds || []).forEach((_, t) => {
+      const vals = turnDims.map(d => [sc.turns?.[t]?.criteria?.[d.key], d]).filter(([v]) => isReportValue(v)).map(([v, d]) => normalizeReportScore(v, statOf(d.key, "turn")));
+      if (!vals.length) return;
+      const mean = vals.reduce((a, v) => a + v, 0) / vals.length;
+      if (mean < lowestTurn) { lowestTurn = mean; turn = t; }
+      if (!overallDims.length) normalized.push(mean);
+    });
+    return normalized.length ? { s, i, score: normalized.reduce((a, v) => a + v, 0) / normalized.length, turn } : null;
+  }).filter(Boolean);
+  const lowest = [...scored].sort((a, b) => a.score - b.score).slice(0, REPORT_LIST_SIZE)
+    .map(({ s, i, score, turn }) => ({ id: idOf(s, i), score, ...reportExcerpt(s, turn) }));
+
+  const harmfulItems = [];
+  dataset.forEach((s, i) => {
+    const sc = scores[idOf(s, i)];
+    if (!sc) return;
+    const where = overallDims.filter(d => sc.overall?.criteria?.[d.key] === -1).map(d => `整体 · ${d.label}`);
+    let firstTurn = null;
+    (s.rounds || []).forEach((_, t) => turnDims.forEach(d => {
+      if (sc.turns?.[t]?.criteria?.[d.key] !== -1) return;
+      where.push(`轮次 ${t + 1} · ${d.label}`);
+      if (firstTurn === null) firstTurn = t;
+    }));
+    if (where.length) harmfulItems.push({ id: idOf(s, i), where, ...reportExcerpt(s, firstTurn ?? 0) });
+  });
+
+  const typeName = (t) => (t === "continuous" ? "无极" : "单选");
+  return {
+    title: "RLHF 多轮图文数据集打分报告",
+    generatedAt: new Date().toISOString(),
+    source,
+    annotator,
+    config: [
+      ["评分标准", `${rubric.name}（版本 ${rubric.version}）`],
+      ["默认评分方式", `整体 ${typeName(scoreTypeOverall)} / 逐轮 ${typeName(scoreTypeTurn)}`],
+      ["样本数", String(dataset.length)],
+      ["最大轮次数", String(maxTurns)],
+    ],
+    rubric: {
+      name: rubric.name,
+      version: rubric.version,
+      dimensions: rubric.dimensions.map(d => ({
+        id: d.key,
+        name: d.label,
+        description: d.description,
+        scope: d.scope,
+        scale: d.scale.type === "continuous" ? `无极：${d.scale.min} ~ ${d.scale.max}`
+          : d.scale.type === "categorical" ? `单选：${d.scale.options.join(" / ")}`
+          : `跟随评分类型（无极 ${d.scale.min} ~ ${d.scale.max} / 单选 ${d.scale.options.join(" / ")}）`,
+        anchors: Object.entries(d.anchors).sort((a, b) => Number(a[0]) - Number(b[0])),
+      })),
+    },
+    completion: { total: dataset.length, completed, inProgress, pending: dataset.length - completed - inProgress },
+    maxTurns,
+    criteria: stats,
+    lowest,
+    harmfulItems: harmfulItems.slice(0, REPORT_LIST_SIZE),
+    harmfulItemCount: harmfulItems.length,
+  };
+}
+
+// 报告中的对话摘录：上下文、某轮问答与图片
+function reportExcerpt(sample, turnIndex) {
+  const round = (sample.rounds || [])[turnIndex] || {};
+  return {
+    turn: turnIndex,
+    context: sample.meta?.context || "",
+    question: round.user || "",
+    answer: round.assistant ?? getCandidates(round).map(c => `[${c.key}] ${c.text}`).join("\n"),
+    image: getImages(round)[0] || (sample.rounds || []).flatMap(getImages)[0] || null,
+  };
+}
+
+const REPORT_LIST_SIZE = 10; // 最低分 / 有害数据项列表的条数
+const REPORT_COLORS = ['#165DFF', '#00B42A', '#FF7D00', '#722ED1', '#36CFC9', '#F53F3F', '#EB2F96', '#86909C'];
+
+// 将报告中的图片转为 data URI，使 HTML 文件自包含；读取失败时保留原路径
+function inlineReportImages(model) {
+  const entries = [...model.lowest, ...model.harmfulItems].filter(entry => entry.image && !entry.image.startsWith('data:'));
+  const cache = new Map();
+  return Promise.all(entries.map(entry => {
+    if (!cache.has(entry.image)) {
+      cache.set(entry.image, fetch(entry.image)
+        .then(response => response.ok ? response.blob() : Promise.reject(new Error(response.status)))
+        .then(blob => new Promise(resolve => {
+          const reader = new FileReader();
+          reader.onload = () => resolve(reader.result);
+          reader.onerror = () => resolve(null);
+          reader.readAsDataURL(blob);
+        }))
+        .catch(() => null));
+    }
+    return cache.get(entry.image).then(dataURI => {
+      if (dataURI) entry.image = dataURI;
+    });
+  }));
+}
+
+function isReportValue(value) {
+  return typeof value === 'number' && !Number.isNaN(value);
+}
+
+// 报告分段：单选按选项；无极为 -1 单独一段，其余区间等分为 10 段
+function reportBins(stat, values) {
+  if (stat.type === 'categorical') {
+    return [...stat.options].sort((a, b) => a - b).map(option => ({
+      label: String(option),
+      count: values.filter(v => v === option).length,
+      color: option === -1 ? '#F53F3F' : '#165DFF'
+    }));
+  }
+  const bins = [];
+  if (stat.min <= -1) bins.push({ label: '-1', count: values.filter(v => v === -1).length, color: '#F53F3F' });
+  const low = Math.max(stat.min, 0);
+  const step = (stat.max - low) / 10;
+  for (let i = 0; i < 10; i++) {
+    const from = low + step * i;
+    const to = i === 9 ? stat.max : low + step * (i + 1);
+    bins.push({
+      label: `${Math.round(from)}`,
+      count: values.filter(v => v !== -1 && v >= from && (i === 9 ? v <= to : v < to)).length,
+      color: '#165DFF'
+    });
+  }
+  return bins;
+}
+
+// 分数归一化到 [0, 1]：有害 (-1) 记为 0
+function normalizeReportScore(value, stat) {
+  if (value === -1) return 0;
+  const low = stat.type === 'categorical' ? Math.min(...stat.options.filter(o => o >= 0)) : Math.max(stat.min, 0);
+  const high = stat.type === 'categorical' ? Math.max(...stat.options) : stat.max;
+  return high > low ? Math.min(1, Math.max(0, (value - low) / (high - low))) : 0;
+}
+
+// 单个维度的分布、有害率与逐轮均值；turnType 为逐轮评分的量表类型（默认与整体相同）
+function buildReportCriterion(stat, scopes, overallValues, turnValues, turnType = stat.type) {
+  const turnStat = { ...stat, type: turnType };
+  const harmful = values => ({ count: values.filter(v => v === -1).length, n: values.length });
+  const mean = values => {
+    const valid = values.filter(v => v !== -1);
+    return valid.length ? valid.reduce((a, v) => a + normalizeReportScore(v, turnStat), 0) / valid.length * 100 : null;
+  };
+  const allTurnValues = turnValues.flat();
+  return {
+    ...stat,
+    scopes,
+    distributions: [
+      ...(scopes.includes('overall') ? [{ scope: 'overall', type: stat.type, n: overallValues.length, bins: reportBins(stat, overallValues) }] : []),
+      ...(scopes.includes('turn') ? [{ scope: 'turn', type: turnType, n: allTurnValues.length, bins: reportBins(turnStat, allTurnValues) }] : [])
+    ],
+    harmful: { overall: scopes.includes('overall') ? harmful(overallValues) : null, turns: turnValues.map(harmful) },
+    turnMeans: turnValues.map(mean)
+  };
+}
+
+function reportEscape(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function reportPercent(count, n) {
+  return n ? `${(count / n * 100).toFixed(1)}%` : '—';
+}
+
+function reportTruncate(text, length) {
+  const value = String(text ?? '');
+  return value.length > length ? `${value.slice(0, length)}…` : value;
+}
+
+// SVG 环形图
+function reportDoughnut(segments) {
+  const total = segments.reduce((a, s) => a + s.value, 0);
+  const radius = 60;
+  const circumference = 2 * Math.PI * radius;
+  let offset = 0;
+  const arcs = total === 0
+    ? `<circle cx="80" cy="80" r="${radius}" fill="none" stroke="#E5E6EB" stroke-width="24"/>`
+    : segments.filter(s => s.value > 0).map(s => {
+      const length = s.value / total * circumference;
+      const arc = `<circle cx="80" cy="80" r="${radius}" fill="none" stroke="${s.color}" stroke-width="24" stroke-dasharray="${length} ${circumference - length}" stroke-dashoffset="${-offset}" transform="rotate(-90 80 80)"/>`;
+      offset += length;
+      return arc;
+    }).join('');
+  const legend = segments.map(s => `<div class="legend"><span class="dot" style="background:${s.color}"></span>${reportEscape(s.label)}：${s.value}（${reportPercent(s.value, total)}）</div>`).join('');
+  return `<div class="doughnut"><svg width="160" height="160" viewBox="0 0 160 160">${arcs}<text x="80" y="86" text-anchor="middle" font-size="18" font-weight="600">${reportPercent(segments[0].value, total)}</text></svg><div>${legend}</div></div>`;
+}
+
+// SVG 柱状图；bars: [{ label, value, color }]
+function reportBarChart(bars, options = {}) {
+  const width = options.width || 360;
+  const height = 140;
+  const top = 14;
+  const bottom = 22;
+  const max = options.max ?? Math.max(1, ...bars.map(b => b.value));
+  const slot = width / Math.max(bars.length, 1);
+  const format = options.format || (v => String(v));
+  const rects = bars.map((b, i) => {
+    const h = max ? b.value / max * (height - top - bottom) : 0;
+    const x = i * slot + slot * 0.15;
+    const y = height - bottom - h;
+    return `<rect x="${x}" y="${y}" width="${slot * 0.7}" height="${h}" fill="${b.color || '#165DFF'}" rx="2"/>` +
+      `<text x="${x + slot * 0.35}" y="${y - 3}" text-anchor="middle" font-size="9" fill="#4E5969">${b.value ? format(b.value) : ''}</text>` +
+      `<text x="${x + slot * 0.35}" y="${height - 8}" text-anchor="middle" font-size="9" fill="#86909C">${reportEscape(b.label)}</text>`;
+  }).join('');
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"><line x1="0" y1="${height - bottom}" x2="${width}" y2="${height - bottom}" stroke="#C9CDD4"/>${rects}</svg>`;
+}
+
+// SVG 折线图；series: [{ name, color, points: [值或 null] }]，纵轴 0~100
+function reportLineChart(series, labels) {
+  const width = 560;
+  const height = 200;
+  const left = 32;
+  const bottom = 22;
+  const top = 10;
+  const plotWidth = width - left - 10;
+  const plotHeight = height - top - bottom;
+  const x = i => left + (labels.length > 1 ? i / (labels.length - 1) * plotWidth : plotWidth / 2);
+  const y = v => top + (1 - v / 100) * plotHeight;
+  const grid = [0, 25, 50, 75, 100].map(v => `<line x1="${left}" y1="${y(v)}" x2="${width - 10}" y2="${y(v)}" stroke="#E5E6EB"/><text x="${left - 4}" y="${y(v) + 3}" text-anchor="end" font-size="9" fill="#86909C">${v}</text>`).join('');
+  const xLabels = labels.map((label, i) => `<text x="${x(i)}" y="${height - 6}" text-anchor="middle" font-size="9" fill="#86909C">${reportEscape(label)}</text>`).join('');
+  const lines = series.map(s => {
+    const points = s.points.map((v, i) => v === null ? null : [x(i), y(v)]);
+    const path = points.reduce((d, p, i) => !p ? d : `${d}${d && points[i - 1] ? 'L' : 'M'}${p[0].toFixed(1)},${p[1].toFixed(1)} `, '');
+    const dots = points.filter(Boolean).map(p => `<circle cx="${p[0]}" cy="${p[1]}" r="2.5" fill="${s.color}"/>`).join('');
+    return `<path d="${path}" fill="none" stroke="${s.color}" stroke-width="2"/>${dots}`;
+  }).join('');
+  const legend = series.map(s => `<span class="legend"><span class="dot" style="background:${s.color}"></span>${reportEscape(s.name)}</span>`).join('');
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${grid}${xLabels}${lines}</svg><div>${legend}</div>`;
+}
+
+// 报告条目：摘录与图片
+function reportItemCard(entry, extra) {
+  return `
+    <div class="item">
+      <div class="item-head"><strong>${reportEscape(entry.id)}</strong>${extra}</div>
+      <div class="item-body">
+        ${entry.image ? `<img src="${reportEscape(entry.image)}" alt="">` : ''}
+        <div>
+          ${entry.context ? `<p><span class="muted">上下文：</span>${reportEscape(reportTruncate(entry.context, 160))}</p>` : ''}
+          <p><span class="muted">轮次 ${entry.turn + 1} 问题：</span>${reportEscape(reportTruncate(entry.question, 200))}</p>
+          <p><span class="muted">回答：</span>${reportEscape(reportTruncate(entry.answer, 300))}</p>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+// 渲染自包含的 HTML 报告（内联样式与 SVG 图表，可直接打印为 PDF）
+function renderReportHTML(model) {
+  const turnLabels = Array.from({ length: model.maxTurns }, (_, t) => `轮次 ${t + 1}`);
+  const scopeName = scope => scope === 'overall' ? '整体' : '逐轮';
+
+  const distributions = model.criteria.map(c => `
+    <div class="card">
+      <h3>${reportEscape(c.name)}</h3>
+      ${c.distributions.map(d => `
+        <div class="chart"><div class="muted">${scopeName(d.scope)} · ${d.type === 'continuous' ? '无极' : '单选'}（n=${d.n}）</div>${reportBarChart(d.bins.map(b => ({ label: b.label, value: b.count, color: b.color })))}</div>
+      `).join('')}
+    </div>
+  `).join('');
+
+  const harmfulRows = model.criteria.map(c => `
+    <tr>
+      <td>${reportEscape(c.name)}</td>
+      <td>${c.harmful.overall?.n ? `${reportPercent(c.harmful.overall.count, c.harmful.overall.n)} <span class="muted">(${c.harmful.overall.count}/${c.harmful.overall.n})</span>` : '—'}</td>
+      ${c.harmful.turns.map(h => `<td>${h.n ? `${reportPercent(h.count, h.n)} <span class="muted">(${h.count}/${h.n})</span>` : '—'}</td>`).join('')}
+    </tr>
+  `).join('');
+  const turnHarmful = turnLabels.map((label, t) => {
+    const count = model.criteria.reduce((a, c) => a + c.harmful.turns[t].count, 0);
+    const n = model.criteria.reduce((a, c) => a + c.harmful.turns[t].n, 0);
+    return { label, value: n ? count / n * 100 : 0, color: '#F53F3F' };
+  });
+
+  const trendSeries = model.criteria
+    .filter(c => c.scopes.includes('turn'))
+    .map((c, i) => ({ name: c.name, color: REPORT_COLORS[i % REPORT_COLORS.length], points: c.turnMeans }));
+
+  const rubricRows = model.rubric.dimensions.map(d => `
+    <tr>
+      <td><strong>${reportEscape(d.name)}</strong><div class="muted">${reportEscape(d.description)}</div></td>
+      <td>${d.scope === 'overall' ? '仅整体' : d.scope === 'turn' ? '仅逐轮' : '整体 + 逐轮'}</td>
+      <td>${reportEscape(d.scale)}</td>
+      <td>${d.anchors.length ? d.anchors.map(([score, text]) => `<div><strong>${reportEscape(score)}</strong>：${reportEscape(text)}</div>`).join('') : '—'}</td>
+    </tr>
+  `).join('');
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8">
+<title>${reportEscape(model.title)}</title>
+<style>
+body { font-family: -apple-system, "PingFang SC", "Microsoft YaHei", sans-serif; color: #1D2129; margin: 0; background: #F2F3F5; }
+main { max-width: 1000px; margin: 0 auto; padding: 24px; }
+h1 { font-size: 24px; margin: 0 0 4px; }
+h2 { font-size: 18px; margin: 28px 0 12px; padding-bottom: 6px; border-bottom: 2px solid #165DFF; }
+h3 { font-size: 14px; margin: 0 0 8px; }
+.muted { color: #86909C; font-size: 12px; font-weight: normal; }
+.grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(420px, 1fr)); gap: 12px; }
+.card { background: #fff; border-radius: 8px; padding: 12px 16px; box-shadow: 0 1px 2px rgba(0,0,0,0.05); break-inside: avoid; }
+.summary { display: flex; gap: 12px; flex-wrap: wrap; }
+.summary .card { flex: 1; min-width: 140px; }
+.summary .value { font-size: 22px; font-weight: 600; }
+.doughnut { display: flex; align-items: center; gap: 24px; }
+.legend { display: inline-flex; align-items: center; margin-right: 12px; font-size: 12px; line-height: 22px; }
+.dot { width: 10px; height: 10px; border-radius: 50%; display: inline-block; margin-right: 6px; }
+table { width: 100%; border-collapse: collapse; font-size: 12px; background: #fff; }
+th, td { border-bottom: 1px solid #E5E6EB; padding: 6px 8px; text-align: left; vertical-align: top; }
+th { background: #F2F3F5; }
+.item { background: #fff; border-radius: 8px; padding: 10px 14px; margin-bottom: 10px; font-size: 13px; break-inside: avoid; }
+.item-head { margin-bottom: 6px; }
+.item-head .tag { margin-left: 8px; font-size: 12px; color: #F53F3F; }
+.item-body { display: flex; gap: 12px; }
+.item-body img { max-width: 180px; max-height: 140px; object-fit: contain; border-radius: 4px; }
+.item-body p { margin: 2px 0; white-space: pre-wrap; }
+@media print { body { background: #fff; } main { padding: 0; } h2 { break-after: avoid; } }
+</style>
+</head>
+<body>
+<main>
+<h1>${reportEscape(model.title)}</h1>
+<div class="muted">数据集：${reportEscape(model.source)}${model.annotator ? ` · 标注者：${reportEscape(model.annotator)}` : ''} · 生成时间：${new Date(model.generatedAt).toLocaleString()}</div>
+
+<h2>完成情况</h2>
+<div class="summary">
+<div class="card"><div class="muted">样本总数</div><div class="value">${model.completion.total}</div></div>
+<div class="card"><div class="muted">已完成</div><div class="value">${model.completion.completed}</div></div>
+<div class="card"><div class="muted">进行中</div><div class="value">${model.completion.inProgress}</div></div>
+<div class="card"><div class="muted">含有害评分的数据项</div><div class="value">${model.harmfulItemCount}</div></div>
+</div>
+<div class="card" style="margin-top:12px">${reportDoughnut([
+{ label: '已完成', value: model.completion.completed, color: '#00B42A' },
+{ label: '进行中', value: model.completion.inProgress, color: '#FF7D00' },
+{ label: '未开始', value: model.completion.pending, color: '#86909C' }
+])}</div>
+
+<h2>各评判标准分数分布</h2>
+<div class="grid">${distributions}</div>
+
+<h2>有害率（-1）</h2>
+<table>
+<tr><th>评判标准</th><th>整体</th>${turnLabels.map(label => `<th>${label}</th>`).join('')}</tr>
+${harmfulRows}
+</table>
+${model.maxTurns > 0 ? `<div class="card" style="margin-top:12px"><h3>各轮次有害率（全部逐轮维度）</h3>${reportBarChart(turnHarmful, { width: Math.max(240, model.maxTurns * 60), max: Math.max(1, ...turnHarmful.map(b => b.value)), format: v => `${v.toFixed(1)}%` })}</div>` : ''}
+
+<h2>分数随轮次位置的变化</h2>
+<div class="card">
+${trendSeries.length && model.maxTurns > 0
+  ? `${reportLineChart(trendSeries, turnLabels)}<div class="muted">纵轴为平均分占量表的百分比（不含有害评分）。</div>`
+  : '<div class="muted">没有逐轮评分</div>'}
+</div>
+
+<h2>得分最低的数据项</h2>
+${model.lowest.length ? model.lowest.map(entry => reportItemCard(entry, `<span class="tag">综合得分 ${(entry.score * 100).toFixed(1)}%</span>`)).join('') : '<div class="muted">暂无已打分的数据项</div>'}
+
+<h2>含有害评分的数据项${model.harmfulItemCount > model.harmfulItems.length ? `（前 ${model.harmfulItems.length} / ${model.harmfulItemCount} 条）` : ''}</h2>
+${model.harmfulItems.length ? model.harmfulItems.map(entry => reportItemCard(entry, `<span class="tag">${entry.where.map(reportEscape).join('；')}</span>`)).join('') : '<div class="muted">没有有害评分</div>'}
+
+<h2>评分标准与配置</h2>
+<table>
+${model.config.map(([label, value]) => `<tr><th style="width:160px">${reportEscape(label)}</th><td>${reportEscape(value)}</td></tr>`).join('')}
+</table>
+<table style="margin-top:12px">
+<tr><th>维度</th><th>作用范围</th><th>量表</th><th>分数锚点</th></tr>
+${rubricRows}
+</table>
+</main>
+</body>
+</html>`;
+}
+
+// ---- 工具函数：统计学 ----
+
+// 用时与编辑次数：只统计有用时记录的样本；已完成但用时低于 RUSHED_SAMPLE_MS 的样本单独列出
+// ---- 金标准质检（与 index.html 相同的 gold 字段） ----
+// { overall: { 维度: 分数或 [最低, 最高] }, turns: { 轮次下标: {...} }, harmful: true/false/[轮次下标], scale, note }
+function normalizeGoldSpec(raw, roundCount) {
+  if (typeof raw !== "object" || Array.isArray(raw)) return { gold: null, errors: ["gold 应为对象"] };
+  const errors = [];
+  const ranges = (source, where) => {
+    const out = {};
+    if (source === undefined || source === null) return out;
+    if (typeof source !== "object" || Array.isArray(source)) { errors.push(`${where} 应为 { 维度: 分数或 [最低, 最高] }`); return out; }
+    Object.entries(source).forEach(([key, v]) => {
+      const range = typeof v === "number" ? [v, v] : v;
+      if (!Array.isArray(range) || range.length !== 2 || !range.every(Number.isFinite) || range[0] > range[1]) { errors.push(`${where}.${key} 应为分数或 [最低, 最高]`); return; }
+      out[key] = range;
+    });
+    return out;
+  };
+  const overall = ranges(raw.overall, "gold.overall");
+  const turns = {};
+  (Array.isArray(raw.turns) ? raw.turns.map((v, t) => [t, v]) : Object.entries(raw.turns || {})).forEach(([key, v]) => {
+    if (v === null || v === undefined) return;
+    const t = Number(key);
+    if (!Number.isInteger(t) || t < 0 || t >= roundCount) { errors.push(`gold.turns 中的轮次 ${key} 不存在（轮次下标从 0 开始）`); return; }
+    const out = ranges(v, `gold.turns[${t}]`);
+    if (Object.keys(out).length) turns[t] = out;
+  });
+  let harmful = null;
+  if (typeof raw.harmful === "boolean") harmful = raw.harmful;
+  else if (Array.isArray(raw.harmful) && raw.harmful.every(t => Number.isInteger(t) && t >= 0 && t < roundCount)) harmful = [...new Set(raw.harmful)].sort((a, b) => a - b);
+  else if (raw.harmful !== undefined && raw.harmful !== null) errors.push("gold.harmful 应为 true / false 或轮次下标数组");
+  if (raw.scale !== undefined && raw.scale !== null && !["continuous", "categorical"].includes(raw.scale)) errors.push("gold.scale 应为 continuous / categorical");
+  if (!Object.keys(overall).length && !Object.keys(turns).length && harmful === null) errors.push("gold 中没有期望分数或有害标记");
+  return { gold: { overall, turns, harmful, scale: raw.scale || null, note: typeof raw.note === "string" ? raw.note : "" }, errors };
+}
+
+// FNV-1a 哈希（32 位无符号整数）
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) { hash ^= text.charCodeAt(i); hash = Math.imul(hash, 0x01000193) >>> 0; }
+  return hash;
+}
+
+// 把金标准题打散混入队列：按 id 的哈希落在均分的区段内，同一数据集每次顺序相同
+function mixGoldItems(items) {
+  const gold = items.filter(s => s.gold), regular = items.filter(s => !s.gold);
+  if (!gold.length || !regular.length) return items;
+  const segment = regular.length / gold.length;
+  const mixed = [...regular];
+  gold
+    .map((s, k) => ({ s, pos: Math.floor(k * segment) + hashText(String(s.id)) % Math.max(1, Math.ceil(segment)) }))
+    .sort((a, b) => b.pos - a.pos)
+    .forEach(({ s, pos }) => mixed.splice(Math.min(pos, regular.length), 0, s));
+  return mixed;
+}
+
+// 按比例把分数换算到期望分数所用的量表（有害 -1 保留，单选取最接近的选项）
+function convertGoldScore(dim, v, from, to) {
+  if (v === -1 || from === to) return v;
+  const options = dim.scale.options.filter(o => o !== -1);
+  const range = (t) => (t === "continuous" ? [dim.scale.min === -1 ? 0 : dim.scale.min, dim.scale.max] : [Math.min(...options), Math.max(...options)]);
+  const [a, b] = range(from), [lo, hi] = range(to);
+  const target = lo + (b > a ? clamp((v - a) / (b - a), 0, 1) : 1) * (hi - lo);
+  return to === "continuous" ? Math.round(target) : options.reduce((best, o) => (Math.abs(o - target) < Math.abs(best - target) ? o : best));
+}
+
+// 按金标准检查一个样本的评分，返回每项检查的期望、实际与是否通过；评分标准中不存在的维度跳过
+function evaluateGold(sample, sc, rubric) {
+  const gold = sample.gold, checks = [];
+  const checkRanges = (ranges, group, scope, t) => Object.entries(ranges).forEach(([key, [min, max]]) => {
+    const dims = criteriaFor(rubric, scope);
+    const dim = matchDim(key, dims) || dims.find(d => d.label === key);
+    if (!dim) return;
+    const raw = group?.criteria?.[dim.key];
+    const v = typeof raw === "number" ? convertGoldScore(dim, raw, group.type || "continuous", gold.scale || dim.scale.type || "categorical") : null;
+    checks.push({ label: `${t === null ? "整体" : `轮次 ${t + 1}`} · ${dim.label}`, expected: min === max ? String(min) : `${min}–${max}`, actual: v === null ? "未打分" : String(v), pass: v !== null && v >= min && v <= max });
+  });
+  checkRanges(gold.overall, sc?.overall, "overall", null);
+  Object.entries(gold.turns).forEach(([t, ranges]) => { if (!isComparisonRound(sample.rounds[t])) checkRanges(ranges, sc?.turns?.[t], "turn", Number(t)); });
+  const turnHarmful = (t) => !!sc?.safety?.[t]?.harmful || Object.values(sc?.turns?.[t]?.criteria || {}).includes(-1);
+  if (typeof gold.harmful === "boolean") {
+    const actual = Object.values(sc?.overall?.criteria || {}).includes(-1) || (sample.rounds || []).some((_, t) => turnHarmful(t));
+    checks.push({ label: "有害标记", expected: gold.harmful ? "有害" : "无害", actual: actual ? "有害" : "无害", pass: actual === gold.harmful });
+  } else if (Array.isArray(gold.harmful)) {
+    gold.harmful.forEach(t => checks.push({ label: `轮次 ${t + 1} · 有害标记`, expected: "有害", actual: turnHarmful(t) ? "有害" : "未标记", pass: turnHarmful(t) }));
+  }
+  return { checks, passed: checks.length > 0 && checks.every(c => c.pass) };
+}
+
+// 各标注者在已完成的金标准题上的表现
+function computeGoldQC(dataset, scores, rubric, fallbackAnnotator) {
+  const rows = new Map();
+  let goldCount = 0;
+  dataset.forEach((s, i) => {
+    if (!s.gold) return;
+    goldCount++;
+    const id = s.id ?? String(s._idx ?? i);
+    if (!isSampleComplete(s, scores[id], rubric)) return;
+    const { checks, passed } = evaluateGold(s, scores[id], rubric);
+    if (!checks.length) return;
+    const name = scores[id].annotator || fallbackAnnotator || "当前标注者";
+    if (!rows.has(name)) rows.set(name, { annotator: name, answered: 0, passed: 0, items: [] });
+    const row = rows.get(name);
+    row.answered++;
+    if (passed) row.passed++;
+    row.items.push({ id, index: i, passed, checks });
+  });
+  return { goldCount, annotators: [...rows.values()] };
+}
+
+function computeTimingStats(dataset, scores, activity, rubric) {
+  const rows = dataset.map((s, i) => {
+    const id = s.id ?? String(s._idx ?? i);
+    return { id, index: i, act: activity[id], done: isSampleComplete(s, scores[id], rubric) };
+  }).filter(r => r.act?.timeSpentMs > 0);
+  const times = rows.filter(r => r.done).map(r => r.act.timeSpentMs).sort((a, b) => a - b);
+  const mid = Math.floor(times.length / 2);
+  return {
+    timed: rows.length,
+    totalMs: rows.reduce((sum, r) => sum + r.act.timeSpentMs, 0),
+    meanMs: times.length ? times.reduce((a, b) => a + b, 0) / times.length : null,
+    medianMs: times.length ? (times.length % 2 ? times[mid] : (times[mid - 1] + times[mid]) / 2) : null,
+    meanEdits: rows.length ? rows.reduce((sum, r) => sum + (r.act.editCount || 0), 0) / rows.length : 0,
+    rushed: rows.filter(r => r.done && r.act.timeSpentMs < RUSHED_SAMPLE_MS).map(r => ({ id: r.id, index: r.index, ms: r.act.timeSpentMs })),
+  };
+}
+
+function computeStats(dataset, scores, rubric) {
+  const res = {
+    completedSamples: 0,
+    harmfulRate: 0,
+    overall: {},
+    turn: {},
+    safety: { turns: 0, harmfulTurns: 0, categories: [] },
+  };
+  const overallDims = criteriaFor(rubric, "overall");
+  const turnDims = criteriaFor(rubric, "turn");
+  for (const c of overallDims) res.overall[c.key] = emptyCritStats();
+  for (const c of turnDims) res.turn[c.key] = emptyCritStats();
+
+  let harmfulCount = 0;
+  let harmfulDen = 0;
+  // 安全评估：分母为已评分样本中的非比较轮次
+  const harmCounts = Object.fromEntries(rubric.harmCategories.map(h => [h.id, 0]));
+  let safetyTurns = 0;
+  let harmfulTurns = 0;
+
+  dataset.forEach((s, i) => {
+    const id = s.id ?? String(s._idx ?? i);
+    const sc = scores[id];
+    if (!sc) return;
+    res.completedSamples += 1;
+
+    // overall
+    for (const c of overallDims) {
+      const v = sc.overall?.criteria?.[c.key];
+      if (typeof v !== "undefined") addValue(res.overall[c.key], v, c.scale.type || sc.overall?.type, c.scale.options);
+      if (v === -1) harmfulCount += 1;
+      harmfulDen += 1;
+    }
+
+    // per-turn
+    (s.rounds || []).forEach((r, t) => {
+      if (!isComparisonRound(r)) {
+        safetyTurns += 1;
+        const safety = sc.safety?.[t];
+        if (safety?.harmful) {
+          harmfulTurns += 1;
+          safety.categories.forEach(id => { harmCounts[id] = (harmCounts[id] || 0) + 1; });
+        }
+      }
+      const vset = sc.turns?.[t]?.criteria || {};
+      for (const c of turnDims) {
+        const v = vset[c.key];
+        if (typeof v !== "undefined") addValue(res.turn[c.key], v, c.scale.type || sc.turns?.[t]?.type, c.scale.options);
+        if (v === -1) harmfulCount += 1;
+        harmfulDen += 1;
+      }
+    });
+  });
+
+  res.harmfulRate = harmfulDen ? harmfulCount / harmfulDen : 0;
+  res.safety = {
+    turns: safetyTurns,
+    harmfulTurns,
+    categories: Object.entries(harmCounts).map(([id, count]) => ({
+      id, name: rubric.harmCategories.find(h => h.id === id)?.name || id, count, rate: safetyTurns ? count / safetyTurns : 0,
+    })),
+  };
+
+  // 计算均值/中位数/众数
+  for (const c of overallDims) finalizeStats(res.overall[c.key], c);
+  for (const c of turnDims) finalizeStats(res.turn[c.key], c);
+
+  return res;
+}
+
+function emptyCritStats() {
+  return {
+    continuous: { values: [], hist: [], mean: NaN, median: NaN, n: 0 },
+    categorical: { counts: new Map(), mode: null },
+  };
+}
+
+function addValue(stat, value, type, options = CATEGORICAL_OPTIONS) {
+  if (valueType(value, type, options) === "continuous") {
     stat.continuous.values.push(Number(value));
-  } else if (type === "categorical") {
+  } else {
     const k = String(value);
     stat.categorical.counts.set(k, (stat.categorical.counts.get(k) || 0) + 1);
-  } else {
-    // 兼容：未知类型时尝试判断
-    if (typeof value === "number" && Number.isInteger(value) && [-1,0,1,2,3].includes(value)) {
-      const k = String(value);
-      stat.categorical.counts.set(k, (stat.categorical.counts.get(k) || 0) + 1);
-    } else {
-      stat.continuous.values.push(Number(value));
-    }
   }
 }
 
-function finalizeStats(stat) {
+function finalizeStats(stat, dim) {
   // continuous
   const vals = stat.continuous.values.slice().filter(v => Number.isFinite(v));
   vals.sort((a,b) => a-b);
   stat.continuous.n = vals.length;
   stat.continuous.mean = vals.length ? vals.reduce((a,b)=>a+b,0)/vals.length : NaN;
   stat.continuous.median = vals.length ? (vals.length%2? vals[(vals.length-1)/2] : (vals[vals.length/2-1]+vals[vals.length/2])/2) : NaN;
-  stat.continuous.hist = binContinuous(vals, CONTINUOUS_MIN, CONTINUOUS_MAX, 20);
+  stat.continuous.hist = binContinuous(vals, dim.scale.min, dim.scale.max, CONTINUOUS_BINS);
 
   // categorical mode
   let best = null, bestC = -1;
@@ -537,45 +5426,574 @@ function finalizeStats(stat) {
   stat.categorical.mode = best !== null ? Number(best) : null;
 }
 
+const CONTINUOUS_BINS = 20;
+
 function binContinuous(values, min, max, bins) {
   if (!values.length) return [];
   const step = (max - min) / bins;
   const arr = new Array(bins).fill(0);
-  for (const v of values) {
-    let b = Math.floor((v - min) / step);
-    if (b < 0) b = 0; if (b >= bins) b = bins - 1;
-    arr[b] += 1;
-  }
+  for (const v of values) arr[continuousBinOf(v, min, max, bins)] += 1;
   return arr.map((count, i) => ({ name: `${Math.round(min + i*step)}`, value: count }));
 }
 
-function toBarData(map) {
-  const order = [-1,0,1,2,3].map(String);
-  return order.map(k => ({ name: k, value: map.get(k) || 0 }));
+function continuousBinOf(v, min, max, bins) {
+  return clamp(Math.floor((v - min) / ((max - min) / bins)), 0, bins - 1);
 }
 
-function toLineData(arr) { return arr; }
-
 function fmt(x) { return Number.isFinite(x) ? x.toFixed(2) : "NA"; }
 function fmtPct(x) { return Number.isFinite(x) ? x.toFixed(1) : "NA"; }
 
+// ---- 统计分析：按元信息分组、轮次趋势、整体与逐轮对比、相关性（与 index.html 相同） ----
+const ANALYTICS_MAX_GROUPS = 8; // 按元信息分组时单独列出的组数，其余合并为"其他"
+
+function metaKeysOf(dataset) {
+  return [...new Set(dataset.flatMap(s => (s.meta && typeof s.meta === "object" && !Array.isArray(s.meta) ? Object.keys(s.meta) : [])))].sort();
+}
+
+// 按 meta[key] 的值把样本分组（按数量从多到少）；key 为空时只有"全部"一组
+function groupSamples(dataset, key) {
+  if (!key) return [{ label: "全部", indices: dataset.map((_, i) => i) }];
+  const byValue = new Map();
+  dataset.forEach((s, i) => {
+    const v = s.meta && typeof s.meta === "object" ? s.meta[key] : undefined;
+    const label = v === undefined || v === null || v === "" ? "（无）" : typeof v === "object" ? JSON.stringify(v) : String(v);
+    if (!byValue.has(label)) byValue.set(label, []);
+    byValue.get(label).push(i);
+  });
+  const groups = [...byValue].map(([label, indices]) => ({ label, indices })).sort((a, b) => b.indices.length - a.indices.length);
+  if (groups.length <= ANALYTICS_MAX_GROUPS) return groups;
+  const rest = groups.slice(ANALYTICS_MAX_GROUPS - 1);
+  return [...groups.slice(0, ANALYTICS_MAX_GROUPS - 1), { label: `其他（${rest.length} 组）`, indices: rest.flatMap(g => g.indices) }];
+}
+
+// 分数计入哪种分布：维度或评分记录的类型，未知时按是否为选项判断（与 computeStats 相同）
+function valueType(value, type, options = CATEGORICAL_OPTIONS) {
+  if (type === "continuous" || type === "categorical") return type;
+  return typeof value === "number" && Number.isInteger(value) && options.includes(value) ? "categorical" : "continuous";
+}
+
+// 样本在某维度、某范围（overall / turn）上的全部分数及其分布类型
+function sampleDimValues(sample, sc, dim, scope) {
+  const groups = scope === "overall" ? [sc?.overall] : (sample.rounds || []).map((r, t) => (isComparisonRound(r) ? null : sc?.turns?.[t]));
+  return groups.filter(g => typeof g?.criteria?.[dim.key] === "number")
+    .map(g => ({ value: g.criteria[dim.key], type: valueType(g.criteria[dim.key], dim.scale.type || g.type, dim.scale.options) }));
+}
+
+// 趋势与对比所用的分数：所选维度的归一化分数，未选时取各维度的平均；没有分数时返回 null
+function analyticsScore(sc, rubric, t, dimKey, fallbackType) {
+  const normalized = trainingScores(sc, rubric, t, fallbackType);
+  return dimKey ? normalized[dimKey] ?? null : meanTrainingScore(normalized);
+}
+
+// 按轮次下标的平均分：rows 供折线图使用（每组一列），indices[组][轮] 为参与平均的样本
+function computeTurnTrend(dataset, scores, rubric, groups, dimKey, turnType) {
+  const turnCount = Math.max(0, ...dataset.map(s => (s.rounds || []).length));
+  const indices = groups.map(() => []);
+  const rows = Array.from({ length: turnCount }, (_, t) => {
+    const row = { name: `第 ${t + 1} 轮` };
+    groups.forEach((g, gi) => {
+      const entries = g.indices
+        .filter(i => t < (dataset[i].rounds || []).length && !isComparisonRound(dataset[i].rounds[t]))
+        .map(i => [i, analyticsScore(scores[dataset[i].id ?? String(dataset[i]._idx ?? i)], rubric, t, dimKey, turnType)])
+        .filter(([, v]) => v !== null);
+      indices[gi][t] = entries.map(([i]) => i);
+      row[g.label] = entries.length ? Math.round(entries.reduce((a, [, v]) => a + v, 0) / entries.length * 10000) / 10000 : null;
+    });
+    return row;
+  });
+  return { rows, indices };
+}
+
+// 每个样本一个点：x 为各普通轮次分数的平均，y 为整体分数
+function computeOverallVsTurn(dataset, scores, rubric, groups, dimKey, { scoreTypeOverall, scoreTypeTurn }) {
+  const points = groups.map(g => g.indices.map(i => {
+    const s = dataset[i], sc = scores[s.id ?? String(s._idx ?? i)];
+    const overall = analyticsScore(sc, rubric, null, dimKey, scoreTypeOverall);
+    const turns = (s.rounds || []).map((r, t) => (isComparisonRound(r) ? null : analyticsScore(sc, rubric, t, dimKey, scoreTypeTurn))).filter(v => v !== null);
+    if (overall === null || !turns.length) return null;
+    return { x: Math.round(turns.reduce((a, v) => a + v, 0) / turns.length * 10000) / 10000, y: overall, index: i, id: s.id ?? String(i + 1) };
+  }).filter(Boolean));
+  const all = points.flat();
+  return {
+    points,
+    n: all.length,
+    r: pearson(all.map(p => p.x), all.map(p => p.y)),
+    diff: all.length ? all.reduce((a, p) => a + p.y - p.x, 0) / all.length : 0,
+  };
+}
+
+// 维度两两之间的 Pearson 相关系数：整体分数与每个普通轮次各算一个观测，归一化后计算
+function computeCorrelations(dataset, scores, rubric, indices, { scoreTypeOverall, scoreTypeTurn }) {
+  const observations = indices.flatMap(i => {
+    const s = dataset[i], sc = scores[s.id ?? String(s._idx ?? i)];
+    const turns = (s.rounds || []).map((r, t) => (isComparisonRound(r) ? null : t)).filter(t => t !== null);
+    return [trainingScores(sc, rubric, null, scoreTypeOverall), ...turns.map(t => trainingScores(sc, rubric, t, scoreTypeTurn))]
+      .filter(o => Object.keys(o).length > 1);
+  });
+  return rubric.dimensions.map(a => rubric.dimensions.map(b => {
+    const pairs = observations.filter(o => o[a.key] !== undefined && o[b.key] !== undefined);
+    return { r: a === b ? 1 : pearson(pairs.map(o => o[a.key]), pairs.map(o => o[b.key])), n: pairs.length };
+  }));
+}
+
+// Pearson 相关系数；少于 3 对或任一方没有变化时返回 null
+function pearson(xs, ys) {
+  const n = xs.length;
+  if (n < 3) return null;
+  const mx = xs.reduce((a, v) => a + v, 0) / n, my = ys.reduce((a, v) => a + v, 0) / n;
+  let sxy = 0, sxx = 0, syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+// ---- 数据格式适配 ----
+// 各种输入格式统一为本组件的 { id, meta, rounds: [{ user, assistant | assistants, image }] }，上下文放在 meta.context
+
+// 解析文件文本：JSON 数组 / { rubric, items } / 单个对象 / JSONL（每行一个样本）
+function parseDatasetText(text, fileName) {
+  const parsed = { records: [], errors: [], container: "JSON", rubric: null, fatal: null };
+  const trimmed = text.replace(/^\uFEFF/, "").trim();
+  if (!trimmed) return { ...parsed, fatal: "文件为空" };
+  const isJsonl = /\.jsonl$/i.test(fileName);
+  if (!isJsonl) {
+    try {
+      let data = JSON.parse(trimmed);
+      if (data && !Array.isArray(data) && Array.isArray(data.items)) {
+        parsed.rubric = data.rubric || null;
+        data = data.items;
+      }
+      if (!Array.isArray(data)) data = [data];
+      parsed.records = data.map((value, i) => ({ value, location: `第 ${i + 1} 条` }));
+      return parsed;
+    } catch (err) {
+      if (!trimmed.includes("\n")) return { ...parsed, fatal: `JSON 解析失败：${err.message}` };
+    }
+  }
+  parsed.container = "JSONL";
+  trimmed.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    const location = `第 ${i + 1} 行`;
+    try { parsed.records.push({ value: JSON.parse(line), location }); }
+    catch (err) { parsed.errors.push({ location, message: `JSON 解析失败：${err.message}` }); }
+  });
+  if (!parsed.records.length && parsed.errors.length && !isJsonl) parsed.fatal = "JSON 解析失败，请检查文件格式。";
+  return parsed;
+}
+
+// ShareGPT / LLaVA 的 conversations 配对为轮次
+function conversationsToRounds(conversations, stripImage) {
+  const rounds = [];
+  const errors = [];
+  let context = "";
+  conversations.forEach((m, i) => {
+    const role = String(m?.from ?? m?.role ?? "").toLowerCase();
+    let value = typeof m?.value === "string" ? m.value : m?.content;
+    if (typeof value !== "string") { errors.push(`conversations[${i}] 缺少 value`); return; }
+    if (stripImage) value = value.replace(/\n?<image>\n?/g, "").trim();
+    if (role === "system") context = value;
+    else if (["human", "user"].includes(role)) {
+      const last = rounds[rounds.length - 1];
+      if (last && last.assistant === undefined) errors.push(`conversations[${i}] 前一条用户消息没有回答`);
+      rounds.push({ user: value, assistant: undefined });
+    } else if (["gpt", "assistant", "model", "bot"].includes(role)) {
+      const last = rounds[rounds.length - 1];
+      if (!last || last.assistant !== undefined) { errors.push(`conversations[${i}] 回答之前缺少用户消息`); return; }
+      last.assistant = value;
+    } else errors.push(`conversations[${i}] 未知角色 "${role || "(空)"}"`);
+  });
+  if (rounds.length && rounds[rounds.length - 1].assistant === undefined) {
+    errors.push("最后一条用户消息没有回答");
+    rounds.pop();
+  }
+  return { rounds, context, errors };
+}
+
+function validateRounds(rounds, field) {
+  const errors = [];
+  if (!rounds.length) errors.push(`${field} 为空`);
+  rounds.forEach((r, i) => {
+    if (typeof r.user !== "string" || !r.user.trim()) errors.push(`${field}[${i}] 缺少问题`);
+    if (typeof r.assistant !== "string" && !(Array.isArray(r.assistants) && r.assistants.length)) errors.push(`${field}[${i}] 缺少回答`);
+  });
+  return errors;
+}
+
+const withContext = (meta, context) => (context ? { ...(meta || {}), context } : (meta || null));
+
+const DATASET_ADAPTERS = [
+  {
+    key: "rounds",
+    label: "本组件格式（rounds）",
+    mapping: [["id", "id"], ["meta", "meta"], ["rounds[].user", "user"], ["rounds[].assistant / assistants", "assistant / assistants"], ["rounds[].image", "image"]],
+    detect: (r) => Array.isArray(r.rounds),
+    normalize: (r) => {
+      const rounds = r.rounds.map(x => ({ ...x }));
+      return { item: { ...r, rounds }, errors: validateRounds(rounds, "rounds") };
+    },
+  },
+  {
+    key: "turns",
+    label: "index.html 格式（turns）",
+    mapping: [["id", "id"], ["context", "meta.context"], ["image", "rounds[0].image"], ["turns[].question", "user"], ["turns[].answer / answers", "assistant / assistants"]],
+    detect: (r) => Array.isArray(r.turns),
+    normalize: (r) => {
+      const rounds = r.turns.map((t, i) => {
+        const round = { user: t.question, assistant: t.answer };
+        if (Array.isArray(t.answers)) round.assistants = t.answers;
+        const images = [...getImages(t), ...(i === 0 ? getImages(r) : [])]
+          .map(p => (p.includes("/") || /^data:|^https?:/.test(p) || sniffBase64Image(p) ? p : `Figures/${p}`));
+        if (images.length) round.image = images.length === 1 ? images[0] : images;
+        return round;
+      });
+      return { item: { id: r.id, meta: withContext(r.meta, r.context), rounds }, errors: validateRounds(rounds, "turns") };
+    },
+  },
+  {
+    key: "llava",
+    label: "LLaVA 格式（<image> 占位）",
+    mapping: [["id", "id"], ["image", "rounds[0].image"], ["conversations[human].value（去除 <image>）", "user"], ["conversations[gpt].value", "assistant"]],
+    detect: (r) => Array.isArray(r.conversations) && r.conversations.some(m => typeof m?.value === "string" && m.value.includes("<image>")),
+    normalize: (r) => {
+      const { rounds, context, errors } = conversationsToRounds(r.conversations, true);
+      if (r.image && rounds.length) rounds[0].image = r.image;
+      return { item: { id: r.id, meta: withContext(r.meta, context), rounds }, errors: [...errors, ...validateRounds(rounds, "conversations")] };
+    },
+  },
+  {
+    key: "sharegpt",
+    label: "ShareGPT 格式（conversations）",
+    mapping: [["id", "id"], ["conversations[system].value", "meta.context"], ["conversations[human].value", "user"], ["conversations[gpt].value", "assistant"]],
+    detect: (r) => Array.isArray(r.conversations),
+    normalize: (r) => {
+      const { rounds, context, errors } = conversationsToRounds(r.conversations, false);
+      if (r.image && rounds.length) rounds[0].image = r.image;
+      return { item: { id: r.id, meta: withContext(r.meta, context), rounds }, errors: [...errors, ...validateRounds(rounds, "conversations")] };
+    },
+  },
+];
+
+// 逐条识别格式并转换；无效记录收集到 errors（位置 + 原因）
+function adaptRecords(parsed) {
+  const adapted = { items: [], errors: [...parsed.errors], formats: {}, container: parsed.container, rubric: parsed.rubric, total: parsed.records.length + parsed.errors.length };
+  const used = new Set();
+  parsed.records.forEach(({ value, location }) => {
+    if (!value || typeof value !== "object" || Array.isArray(value)) { adapted.errors.push({ location, message: "记录应为 JSON 对象" }); return; }
+    const adapter = DATASET_ADAPTERS.find(a => a.detect(value));
+    if (!adapter) { adapted.errors.push({ location, message: "无法识别格式：缺少 rounds / turns / conversations 字段" }); return; }
+    const { item, errors } = adapter.normalize(value);
+    if (errors.length) { adapted.errors.push({ location, id: value.id, message: errors.join("；") }); return; }
+    // 缺少 id 时按位置生成，重复 id 追加序号
+    let id = item.id !== undefined && item.id !== null && item.id !== "" ? String(item.id) : `sample-${adapted.items.length + 1}`;
+    if (used.has(id)) { let n = 2; while (used.has(`${id}#${n}`)) n++; id = `${id}#${n}`; }
+    used.add(id);
+    // 金标准题：校验期望答案，维度在评估时再按当前评分标准匹配
+    const { gold: _rawGold, ...rest } = item;
+    let gold = null;
+    if (value.gold !== undefined && value.gold !== null && value.gold !== false) {
+      const checked = normalizeGoldSpec(value.gold, item.rounds.length);
+      if (checked.errors.length) { adapted.errors.push({ location, id, message: checked.errors.join("；") }); return; }
+      gold = checked.gold;
+    }
+    adapted.items.push({ ...rest, id, ...(gold ? { gold } : {}) });
+    adapted.formats[adapter.key] = (adapted.formats[adapter.key] || 0) + 1;
+  });
+  return adapted;
+}
+
 // ---- 文件加载 ----
-async function handleLoadJSON(e, setDataset) {
+async function handleLoadJSON(e, setPendingImport) {
+  const file = e.target.files?.[0];
+  e.target.value = "";
+  if (file) await loadDatasetFile(file, setPendingImport);
+}
+
+// JSON / JSONL 数据文件，或 zip 数据包
+async function loadDatasetFile(file, setPendingImport) {
+  if (/\.zip$/i.test(file.name) || file.type === "application/zip") {
+    try {
+      const { files, skipped } = await readZip(file);
+      await openBundle(createBundle(file.name, files, skipped), setPendingImport);
+    } catch (err) {
+      alert(`读取 zip 失败：${err.message}`);
+    }
+    return;
+  }
+  const parsed = parseDatasetText(await file.text(), file.name);
+  if (parsed.fatal) { alert(parsed.fatal); return; }
+  setPendingImport({ fileName: file.name, adapted: adaptRecords(parsed), bundle: null });
+}
+
+// 选择文件夹：webkitRelativePath 以所选文件夹名开头
+async function handleLoadFolder(e, setPendingImport) {
+  const files = [...(e.target.files || [])];
+  e.target.value = "";
+  if (!files.length) return;
+  const name = (files[0].webkitRelativePath || files[0].name).split("/")[0];
+  await openBundle(createBundle(name, files.map(f => ({ path: f.webkitRelativePath || f.name, blob: f }))), setPendingImport);
+}
+
+// 拖入页面：单个 JSON / JSONL / zip 按文件加载，文件夹或多个文件作为数据包
+async function handleDropFiles(e, setPendingImport) {
+  const entries = [...(e.dataTransfer.items || [])].filter(it => it.kind === "file").map(it => it.webkitGetAsEntry?.()).filter(Boolean);
+  const files = [...e.dataTransfer.files];
+  if (!entries.length || (entries.length === 1 && entries[0].isFile)) {
+    if (files.length === 1) await loadDatasetFile(files[0], setPendingImport);
+    return;
+  }
+  try {
+    const lists = await Promise.all(entries.map(entry => readDroppedEntry(entry, "")));
+    await openBundle(createBundle(entries.length === 1 ? entries[0].name : `${files[0]?.name || "拖入的文件"} 等`, lists.flat()), setPendingImport);
+  } catch (err) {
+    alert(`读取文件夹失败：${err.message}`);
+  }
+}
+
+// 递归读取拖入的文件夹；readEntries 每次只返回一部分，需读到空为止
+async function readDroppedEntry(entry, prefix) {
+  const path = prefix ? `${prefix}/${entry.name}` : entry.name;
+  if (entry.isFile) return [{ path, blob: await new Promise((resolve, reject) => entry.file(resolve, reject)) }];
+  const reader = entry.createReader();
+  const children = [];
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (!batch.length) break;
+    children.push(...batch);
+  }
+  return (await Promise.all(children.map(child => readDroppedEntry(child, path)))).flat();
+}
+
+async function handleLoadRubric(e, applyRubric) {
   const file = e.target.files?.[0];
   if (!file) return;
-  const text = await file.text();
-  let data = [];
   try {
-    data = JSON.parse(text);
+    applyRubric(JSON.parse(await file.text()));
   } catch (err) {
-    alert("JSON 解析失败，请检查文件格式。");
-    return;
+    alert("评分标准 JSON 解析失败，请检查文件格式。");
   }
-  if (!Array.isArray(data)) {
-    alert("顶层应为数组[ ... ]");
-    return;
+  e.target.value = "";
+}
+
+// ---- 数据包：文件夹与 zip（与 index.html 相同） ----
+// 图片路径先按数据文件所在目录解析，其次按数据包根目录、Figures/ 与唯一的同名文件查找，解析为 object URL；
+// 导出的数据包包含 dataset.json、results.json 与引用的图片（按原路径存放），重新打开即可继续标注
+const BUNDLE_IMAGE_TYPES = { png: "image/png", jpg: "image/jpeg", jpeg: "image/jpeg", gif: "image/gif", webp: "image/webp", svg: "image/svg+xml", bmp: "image/bmp" };
+const BUNDLE_DATASET_NAMES = ["dataset.json", "dataset.jsonl", "data.json", "data.jsonl", "results.json"];
+const BASE64_IMAGE_SIGNATURES = [["iVBORw0KGgo", "image/png"], ["/9j/", "image/jpeg"], ["R0lGOD", "image/gif"], ["UklGR", "image/webp"], ["PHN2Zy", "image/svg+xml"]];
+const IMAGE_CHECK_TIMEOUT_MS = 15000;
+const IMAGE_CHECK_CONCURRENCY = 6;
+const IMAGE_REPORT_LIST_SIZE = 50;
+let crcTable = null;
+
+// 路径统一为 "/" 分隔，去掉 "."、空段并处理 ".."
+function normalizeBundlePath(path) {
+  const parts = [];
+  String(path).replace(/\\/g, "/").split("/").forEach(part => {
+    if (part === "..") parts.pop();
+    else if (part && part !== ".") parts.push(part);
+  });
+  return parts.join("/");
+}
+
+function isHiddenBundlePath(path) {
+  return path.split("/").some(part => part.startsWith(".") || part === "__MACOSX");
+}
+
+// 整理数据包文件；所有文件都在同一个顶层文件夹中时去掉这一层
+function createBundle(name, entries, skipped = []) {
+  let files = entries.map(({ path, blob }) => ({ path: normalizeBundlePath(path), blob })).filter(({ path }) => path && !isHiddenBundlePath(path));
+  const roots = new Set(files.map(({ path }) => path.split("/")[0]));
+  if (roots.size === 1 && files.every(({ path }) => path.includes("/"))) {
+    files = files.map(({ path, blob }) => ({ path: path.slice(path.indexOf("/") + 1), blob }));
+  }
+  const bundle = { name, files: new Map(), baseDir: "", datasetPath: null, urls: new Map(), basenames: new Map(), skipped, results: null };
+  files.forEach(({ path, blob }) => {
+    const type = BUNDLE_IMAGE_TYPES[path.split(".").pop().toLowerCase()];
+    bundle.files.set(path, type && blob.type !== type ? new Blob([blob], { type }) : blob);
+    const base = path.split("/").pop().toLowerCase();
+    bundle.basenames.set(base, [...(bundle.basenames.get(base) || []), path]);
+  });
+  return bundle;
+}
+
+// 数据包中的数据文件：层级最浅，其次优先常用文件名，再按名称排序
+function pickBundleDataset(bundle) {
+  const rank = (p) => { const i = BUNDLE_DATASET_NAMES.indexOf(p.split("/").pop().toLowerCase()); return i < 0 ? BUNDLE_DATASET_NAMES.length : i; };
+  const depth = (p) => p.split("/").length;
+  return [...bundle.files.keys()]
+    .filter(p => /\.jsonl?$/i.test(p) && !/(^|\/)rubric\.json$/i.test(p))
+    .sort((a, b) => depth(a) - depth(b) || rank(a) - rank(b) || a.localeCompare(b))[0] || null;
+}
+
+// 读取数据包中的数据文件并进入导入预览；同目录的 results.json（或数据文件本身即 index.html 导出的结果）在确认后一并导入
+async function openBundle(bundle, setPendingImport) {
+  const datasetPath = pickBundleDataset(bundle);
+  if (!datasetPath) { alert(`${bundle.name} 中没有找到 JSON 或 JSONL 数据文件。`); return; }
+  bundle.datasetPath = datasetPath;
+  bundle.baseDir = datasetPath.includes("/") ? datasetPath.slice(0, datasetPath.lastIndexOf("/")) : "";
+  const parsed = parseDatasetText(await bundle.files.get(datasetPath).text(), datasetPath);
+  if (parsed.fatal) { alert(`${datasetPath}：${parsed.fatal}`); return; }
+  const resultsPath = normalizeBundlePath(`${bundle.baseDir}/results.json`);
+  if (resultsPath === datasetPath) {
+    const values = parsed.records.map(r => r.value);
+    if (parseExport(values)) bundle.results = values;
+  } else if (bundle.files.has(resultsPath)) {
+    try {
+      const data = JSON.parse(await bundle.files.get(resultsPath).text());
+      if (parseExport(data)) bundle.results = data;
+    } catch (err) {
+      console.error("数据包中的 results.json 解析失败:", err);
+    }
+  }
+  setPendingImport({ fileName: bundle.name, adapted: adaptRecords(parsed), bundle });
+}
+
+function releaseBundle(bundle) {
+  if (!bundle) return;
+  bundle.urls.forEach(url => URL.revokeObjectURL(url));
+  bundle.urls.clear();
+}
+
+function findBundleFile(bundle, path) {
+  const normalized = normalizeBundlePath(path);
+  const found = [normalizeBundlePath(`${bundle.baseDir}/${path}`), normalized, normalizeBundlePath(`${bundle.baseDir}/Figures/${path}`), `Figures/${normalized}`]
+    .find(p => bundle.files.has(p));
+  if (found) return found;
+  const sameName = bundle.basenames.get(normalized.split("/").pop().toLowerCase()) || [];
+  return sameName.length === 1 ? sameName[0] : null;
+}
+
+// 不带 data: 前缀的 base64 图片：按开头的文件签名判断类型
+function sniffBase64Image(value) {
+  if (typeof value !== "string" || value.length < 64) return null;
+  const compact = value.replace(/\s/g, "");
+  if (!/^[A-Za-z0-9+/]+=*$/.test(compact)) return null;
+  const signature = BASE64_IMAGE_SIGNATURES.find(([prefix]) => compact.startsWith(prefix));
+  return signature ? `data:${signature[1]};base64,${compact}` : null;
+}
+
+// 图片地址：URL 与 data URI 原样使用，base64 转为 data URI，打开了数据包时在包内查找，否则按相对路径加载
+function resolveImage(path, bundle) {
+  if (/^(data:|blob:|https?:)/.test(path)) return path;
+  const dataURI = sniffBase64Image(path);
+  if (dataURI) return dataURI;
+  const file = bundle && findBundleFile(bundle, path);
+  if (!file) return path;
+  if (!bundle.urls.has(file)) bundle.urls.set(file, URL.createObjectURL(bundle.files.get(file)));
+  return bundle.urls.get(file);
+}
+
+// 检查样本引用的全部图片：未能加载的记为缺失；来自数据包或内嵌在 JSON 中却无法显示的记为无法解码
+async function checkDatasetImages(samples, bundle) {
+  const usage = new Map(); // 图片路径 → 引用它的样本 id
+  samples.forEach(s => (s.rounds || []).forEach(r => getImages(r).forEach(p => {
+    if (!usage.has(p)) usage.set(p, new Set());
+    usage.get(p).add(String(s.id));
+  })));
+  const paths = [...usage.keys()];
+  const report = { total: paths.length, missing: [], undecodable: [] };
+  let next = 0;
+  const worker = async () => {
+    while (next < paths.length) {
+      const p = paths[next++];
+      const src = resolveImage(p, bundle);
+      if (!(await canDecodeImage(src))) (/^(data:|blob:)/.test(src) ? report.undecodable : report.missing).push({ path: p, ids: [...usage.get(p)] });
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(IMAGE_CHECK_CONCURRENCY, paths.length) }, worker));
+  return report;
+}
+
+function canDecodeImage(src) {
+  return new Promise(resolve => {
+    const img = new Image();
+    const finish = (ok) => { clearTimeout(timer); img.onload = img.onerror = null; resolve(ok); };
+    const timer = setTimeout(() => finish(false), IMAGE_CHECK_TIMEOUT_MS);
+    img.onload = () => finish(img.naturalWidth > 0);
+    img.onerror = () => finish(false);
+    img.src = src;
+  });
+}
+
+// 读取 zip：支持不压缩与 deflate（浏览器内置的 DecompressionStream），不支持 ZIP64 与加密
+async function readZip(blob) {
+  const tail = new DataView(await blob.slice(Math.max(0, blob.size - 65557)).arrayBuffer());
+  let end = -1;
+  for (let i = tail.byteLength - 22; i >= 0; i--) if (tail.getUint32(i, true) === 0x06054b50) { end = i; break; }
+  if (end < 0) throw new Error("不是有效的 zip 文件");
+  const count = tail.getUint16(end + 10, true), dirSize = tail.getUint32(end + 12, true), dirOffset = tail.getUint32(end + 16, true);
+  if (count === 0xFFFF || dirOffset === 0xFFFFFFFF) throw new Error("不支持 ZIP64 格式，请解压后以文件夹方式打开");
+  const dir = new DataView(await blob.slice(dirOffset, dirOffset + dirSize).arrayBuffer());
+  const files = [], skipped = [];
+  let p = 0;
+  for (let k = 0; k < count; k++) {
+    if (p + 46 > dir.byteLength || dir.getUint32(p, true) !== 0x02014b50) throw new Error("zip 目录已损坏");
+    const flags = dir.getUint16(p + 8, true), method = dir.getUint16(p + 10, true);
+    const compressedSize = dir.getUint32(p + 20, true), nameLength = dir.getUint16(p + 28, true), localOffset = dir.getUint32(p + 42, true);
+    const path = decodeZipName(new Uint8Array(dir.buffer, dir.byteOffset + p + 46, nameLength), flags);
+    p += 46 + nameLength + dir.getUint16(p + 30, true) + dir.getUint16(p + 32, true);
+    if (path.endsWith("/") || isHiddenBundlePath(normalizeBundlePath(path))) continue;
+    if (flags & 1) { skipped.push({ path, reason: "已加密" }); continue; }
+    const header = new DataView(await blob.slice(localOffset, localOffset + 30).arrayBuffer());
+    if (header.byteLength < 30 || header.getUint32(0, true) !== 0x04034b50) { skipped.push({ path, reason: "文件头损坏" }); continue; }
+    const start = localOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+    const data = blob.slice(start, start + compressedSize);
+    if (method === 0) files.push({ path, blob: data });
+    else if (method === 8) {
+      if (typeof DecompressionStream === "undefined") throw new Error("当前浏览器不支持解压 zip，请解压后以文件夹方式打开");
+      try { files.push({ path, blob: await new Response(data.stream().pipeThrough(new DecompressionStream("deflate-raw"))).blob() }); }
+      catch { skipped.push({ path, reason: "解压失败" }); }
+    } else skipped.push({ path, reason: `不支持的压缩方式 ${method}` });
+  }
+  return { files, skipped };
+}
+
+// 文件名：标记为 UTF-8 时按 UTF-8 解码，否则先试 UTF-8，再按 Windows 中文系统常用的 GBK
+function decodeZipName(bytes, flags) {
+  if (flags & 0x800) return new TextDecoder().decode(bytes);
+  try { return new TextDecoder("utf-8", { fatal: true }).decode(bytes); } catch { return new TextDecoder("gbk").decode(bytes); }
+}
+
+// 生成不压缩的 zip（图片本身已压缩），文件名按 UTF-8 记录
+async function createZip(files) {
+  if (files.length > 0xFFFF) throw new Error("数据包文件数超过 65535");
+  const parts = [], directory = [];
+  const now = new Date();
+  const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  const write = (view, fields) => fields.forEach(([at, value, size]) => size === 4 ? view.setUint32(at, value, true) : view.setUint16(at, value, true));
+  let offset = 0;
+  for (const { path, blob } of files) {
+    const name = new TextEncoder().encode(path);
+    const data = new Uint8Array(await blob.arrayBuffer());
+    const crc = crc32(data);
+    const header = new DataView(new ArrayBuffer(30));
+    write(header, [[0, 0x04034b50, 4], [4, 20, 2], [6, 0x800, 2], [10, time, 2], [12, date, 2], [14, crc, 4], [18, data.length, 4], [22, data.length, 4], [26, name.length, 2]]);
+    const entry = new DataView(new ArrayBuffer(46));
+    write(entry, [[0, 0x02014b50, 4], [4, 20, 2], [6, 20, 2], [8, 0x800, 2], [12, time, 2], [14, date, 2], [16, crc, 4], [20, data.length, 4], [24, data.length, 4], [28, name.length, 2], [42, offset, 4]]);
+    parts.push(header, name, data);
+    directory.push(entry, name);
+    offset += 30 + name.length + data.length;
+    if (offset > 0xFFFFFFFF) throw new Error("数据包超过 4 GB");
+  }
+  const end = new DataView(new ArrayBuffer(22));
+  write(end, [[0, 0x06054b50, 4], [8, files.length, 2], [10, files.length, 2], [12, directory.reduce((sum, d) => sum + d.byteLength, 0), 4], [16, offset, 4]]);
+  return new Blob([...parts, ...directory, end], { type: "application/zip" });
+}
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
   }
-  // 补充 _idx，方便作为回退 ID
-  data = data.map((d, i) => ({ ...d, _idx: i }));
-  setDataset(data);
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
 }
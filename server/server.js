@@ -0,0 +1,216 @@
+// RLHF 打分系统的本地多人标注服务器（仅依赖 Node 内置模块）
+// 启动：node server/server.js   环境变量：PORT（默认 8787）、RLHF_DATA_DIR（默认 server/data）
+//
+// REST API：
+//   GET    /api/health                                        服务器探测
+//   GET    /api/datasets                                      数据集列表
+//   GET    /api/datasets/:name                                数据集原始文件
+//   GET    /api/datasets/:name/assignments?annotator=         已分配给标注者的数据项 id
+//   POST   /api/datasets/:name/assignments  { annotator, size } 领取下一批
+//   POST   /api/datasets/:name/items/:id/lock   { annotator }  加锁 / 续期（未分配给该标注者时 403，被他人锁定时 409）
+//   DELETE /api/datasets/:name/items/:id/lock?annotator=      释放锁
+//   GET    /api/datasets/:name/results?annotator=             标注者的全部结果
+//   PUT    /api/datasets/:name/results/:id  { annotator, result, format, completed }  保存一条结果（同上 403 / 409）
+//   GET    /api/progress                                      各标注者进度
+// 其余路径按静态文件提供仓库根目录（index.html、Figures/ 等），/dashboard 为进度面板。
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { createStore, StoreError } = require('./store');
+
+const PORT = Number(process.env.PORT) || 8787;
+const ROOT_DIR = path.resolve(__dirname, '..');
+const DATA_DIR = path.resolve(process.env.RLHF_DATA_DIR || path.join(__dirname, 'data'));
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.jsonl': 'application/x-ndjson; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml'
+};
+
+const store = createStore(DATA_DIR);
+
+// 路由表：[方法, 路径正则, 处理函数(params, query, body)]
+const routes = [
+    ['GET', /^\/api\/health$/, () => ({ ok: true })],
+    ['GET', /^\/api\/datasets$/, () => store.listDatasets()],
+    ['GET', /^\/api\/datasets\/([^/]+)$/, ([name]) => ({
+        raw: store.readDatasetText(name),
+        type: MIME_TYPES[path.extname(name).toLowerCase()]
+    })],
+    ['GET', /^\/api\/datasets\/([^/]+)\/assignments$/, ([name], query) => ({
+        items: store.getAssignment(name, requireAnnotator(query.annotator))
+    })],
+    ['POST', /^\/api\/datasets\/([^/]+)\/assignments$/, ([name], query, body) =>
+        store.assignBatch(name, requireAnnotator(body.annotator), body.size)],
+    ['POST', /^\/api\/datasets\/([^/]+)\/items\/([^/]+)\/lock$/, ([name, id], query, body) =>
+        store.lockItem(name, id, requireAnnotator(body.annotator))],
+    ['DELETE', /^\/api\/datasets\/([^/]+)\/items\/([^/]+)\/lock$/, ([name, id], query) => {
+        store.unlockItem(name, id, requireAnnotator(query.annotator));
+        return { ok: true };
+    }],
+    ['GET', /^\/api\/datasets\/([^/]+)\/results$/, ([name], query) =>
+        store.readResults(name, requireAnnotator(query.annotator))],
+    ['PUT', /^\/api\/datasets\/([^/]+)\/results\/([^/]+)$/, ([name, id], query, body) =>
+        store.saveResult(name, id, requireAnnotator(body.annotator), body)],
+    ['GET', /^\/api\/progress$/, () => store.progress()]
+];
+
+function requireAnnotator(annotator) {
+    if (typeof annotator !== 'string' || !annotator.trim()) throw new StoreError(400, '缺少 annotator');
+    return annotator.trim();
+}
+
+function sendJSON(res, status, value) {
+    res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'], 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(value));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new StoreError(413, '请求体过大'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            if (!text) return resolve({});
+            let body;
+            try {
+                body = JSON.parse(text);
+            } catch (error) {
+                reject(new StoreError(400, '请求体不是有效的 JSON'));
+                return;
+            }
+            // 各接口按字段读取请求体，null、数组等非对象的 JSON 直接拒绝
+            if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                reject(new StoreError(400, '请求体应为 JSON 对象'));
+                return;
+            }
+            resolve(body);
+        });
+        req.on('error', reject);
+    });
+}
+
+async function handleApi(req, res, url) {
+    const route = routes.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+    if (!route) {
+        sendJSON(res, 404, { error: '接口不存在' });
+        return;
+    }
+    const [, pattern, handler] = route;
+    let params;
+    try {
+        params = url.pathname.match(pattern).slice(1).map(decodeURIComponent);
+    } catch (error) {
+        throw new StoreError(400, '路径编码无效');
+    }
+    const query = Object.fromEntries(url.searchParams);
+    const body = ['POST', 'PUT'].includes(req.method) ? await readBody(req) : {};
+    const result = handler(params, query, body);
+
+    // 数据集原样返回文件内容，前端按本地加载相同的方式解析
+    if (result && typeof result.raw === 'string') {
+        res.writeHead(200, { 'Content-Type': result.type || MIME_TYPES['.json'], 'Cache-Control': 'no-store' });
+        res.end(result.raw);
+        return;
+    }
+    sendJSON(res, 200, result);
+}
+
+// 静态文件：仓库根目录下的页面与图片，不对外提供 server/ 目录
+function serveStatic(req, res, url) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(url.pathname);
+    } catch (error) {
+        sendJSON(res, 400, { error: '路径编码无效' });
+        return;
+    }
+    if (pathname === '/') pathname = '/index.html';
+    if (pathname === '/dashboard') pathname = '/server/dashboard.html';
+
+    const file = path.normalize(path.join(ROOT_DIR, pathname));
+    const isDashboard = file === path.join(ROOT_DIR, 'server', 'dashboard.html');
+    const insideRoot = file.startsWith(ROOT_DIR + path.sep);
+    const hidden = file.startsWith(path.join(ROOT_DIR, 'server') + path.sep) || file.startsWith(DATA_DIR) ||
+        path.relative(ROOT_DIR, file).split(path.sep).some(part => part.startsWith('.'));
+    if (!insideRoot || (hidden && !isDashboard)) {
+        sendJSON(res, 404, { error: '文件不存在' });
+        return;
+    }
+
+    fs.stat(file, (error, stat) => {
+        if (error || !stat.isFile()) {
+            sendJSON(res, 404, { error: '文件不存在' });
+            return;
+        }
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+            'Content-Length': stat.size
+        });
+        fs.createReadStream(file).pipe(res);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    // 请求路径无法解析（如以 // 开头）时直接拒绝，不能让异常终止整个服务器
+    let url;
+    try {
+        url = new URL(req.url, 'http://localhost');
+    } catch (error) {
+        sendJSON(res, 400, { error: '请求路径无效' });
+        return;
+    }
+
+    // 允许 React 版等其他来源的页面调用 API
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    if (!url.pathname.startsWith('/api/')) {
+        serveStatic(req, res, url);
+        return;
+    }
+    handleApi(req, res, url).catch(error => {
+        if (error instanceof StoreError) {
+            sendJSON(res, error.status, { error: error.message, ...error.details });
+        } else {
+            console.error('请求处理失败:', error);
+            sendJSON(res, 500, { error: '服务器内部错误' });
+        }
+    });
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`RLHF 打分服务器已启动：http://localhost:${PORT}`);
+        console.log(`进度面板：http://localhost:${PORT}/dashboard`);
+        console.log(`数据目录：${DATA_DIR}（数据集放在 datasets/ 子目录）`);
+    });
+}
+
+module.exports = { server };
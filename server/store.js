@@ -0,0 +1,267 @@
+// 本地 JSON 文件存储：数据集、任务分配、锁与打分结果
+// 目录结构（默认 server/data，可用环境变量 RLHF_DATA_DIR 修改）：
+//   datasets/<名称>.json|.jsonl   管理员放入的数据集文件
+//   state.json                    任务分配与锁
+//   results/<数据集>/<标注者>.json  每位标注者的打分结果 { [itemId]: { result, format, completed, savedAt } }
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCK_TTL_MS = 10 * 60 * 1000; // 锁超过 10 分钟未续期即失效
+const DEFAULT_BATCH_SIZE = 20;
+const GOLD_BATCH_RATIO = 0.1; // 每批按新分配数量的该比例混入金标准题
+
+class StoreError extends Error {
+    constructor(status, message, details = {}) {
+        super(message);
+        this.status = status;
+        this.details = details;
+    }
+}
+
+function createStore(dataDir) {
+    const datasetsDir = path.join(dataDir, 'datasets');
+    const resultsDir = path.join(dataDir, 'results');
+    const statePath = path.join(dataDir, 'state.json');
+    fs.mkdirSync(datasetsDir, { recursive: true });
+    fs.mkdirSync(resultsDir, { recursive: true });
+
+    const state = readJSON(statePath, { assignments: {}, locks: {} });
+    const idCache = new Map(); // 数据集名称 → { mtimeMs, ids, goldIds, skipped }
+
+    // 写入临时文件后改名，避免中途崩溃留下半个文件
+    function writeJSON(file, value) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(value, null, 2));
+        fs.renameSync(tmp, file);
+    }
+
+    function saveState() {
+        writeJSON(statePath, state);
+    }
+
+    // 名称只允许出现在单层目录内，防止路径穿越
+    function checkName(name, what) {
+        if (typeof name !== 'string' || !name.trim() || /[\\/]|^\.\.?$/.test(name) || name.length > 200) {
+            throw new StoreError(400, `${what}名称无效`);
+        }
+        return name.trim();
+    }
+
+    function datasetPath(name) {
+        const file = path.join(datasetsDir, checkName(name, '数据集'));
+        if (!/\.jsonl?$/i.test(file) || !fs.existsSync(file)) throw new StoreError(404, `数据集不存在：${name}`);
+        return file;
+    }
+
+    function listDatasets() {
+        return fs.readdirSync(datasetsDir)
+            .filter(name => /\.jsonl?$/i.test(name))
+            .sort()
+            .map(name => {
+                const { ids, goldIds, skipped } = getItemIds(name);
+                return { name, items: ids.length, gold: goldIds.length, skipped };
+            });
+    }
+
+    function readDatasetText(name) {
+        return fs.readFileSync(datasetPath(name), 'utf8');
+    }
+
+    // 取数据集中带 id 的记录；没有 id 的记录无法分配，只计数。带 gold 字段的是金标准题
+    function getItemIds(name) {
+        const file = datasetPath(name);
+        const { mtimeMs } = fs.statSync(file);
+        const cached = idCache.get(name);
+        if (cached && cached.mtimeMs === mtimeMs) return cached;
+
+        const records = parseRecords(fs.readFileSync(file, 'utf8'), name);
+        const ids = [];
+        const goldIds = [];
+        const seen = new Set();
+        let skipped = 0;
+        records.forEach(record => {
+            const id = record && typeof record === 'object' && record.id !== undefined && record.id !== null && record.id !== ''
+                ? String(record.id) : null;
+            if (id === null || seen.has(id)) {
+                skipped++;
+                return;
+            }
+            seen.add(id);
+            ids.push(id);
+            if (record.gold) goldIds.push(id);
+        });
+        const entry = { mtimeMs, ids, goldIds, skipped };
+        idCache.set(name, entry);
+        return entry;
+    }
+
+    function readResults(dataset, annotator) {
+        return readJSON(path.join(resultsDir, checkName(dataset, '数据集'), `${checkName(annotator, '标注者')}.json`), {});
+    }
+
+    function listAnnotators(dataset) {
+        const dir = path.join(resultsDir, checkName(dataset, '数据集'));
+        const fromResults = fs.existsSync(dir)
+            ? fs.readdirSync(dir).filter(f => f.endsWith('.json')).map(f => f.slice(0, -5))
+            : [];
+        return [...new Set([...Object.keys(state.assignments[dataset] || {}), ...fromResults])].sort();
+    }
+
+    function getAssignment(dataset, annotator) {
+        return state.assignments[dataset]?.[annotator] || [];
+    }
+
+    // 分配下一批：先返回尚未完成的已分配项，全部完成后再从未分配的数据项中取 size 条；
+    // 金标准题发给每位标注者，按比例混入各批中该标注者尚未做过的金标准题
+    function assignBatch(dataset, annotator, size = DEFAULT_BATCH_SIZE) {
+        annotator = checkName(annotator, '标注者');
+        const { ids, goldIds } = getItemIds(dataset);
+        const assigned = getAssignment(dataset, annotator);
+        const results = readResults(dataset, annotator);
+        const open = assigned.filter(id => !results[id]?.completed);
+        if (open.length > 0) return { items: assigned, added: [] };
+
+        const taken = new Set(Object.values(state.assignments[dataset] || {}).flat());
+        const batchSize = Math.max(1, Math.min(Number(size) || DEFAULT_BATCH_SIZE, 1000));
+        const gold = new Set(goldIds);
+        const added = ids.filter(id => !gold.has(id) && !taken.has(id)).slice(0, batchSize);
+        if (added.length > 0) {
+            const goldCount = Math.max(1, Math.round(added.length * GOLD_BATCH_RATIO));
+            added.push(...goldIds.filter(id => !assigned.includes(id)).slice(0, goldCount));
+        }
+        state.assignments[dataset] = state.assignments[dataset] || {};
+        state.assignments[dataset][annotator] = [...assigned, ...added];
+        saveState();
+        return { items: state.assignments[dataset][annotator], added };
+    }
+
+    function activeLock(dataset, itemId) {
+        const lock = state.locks[dataset]?.[itemId];
+        return lock && lock.expiresAt > Date.now() ? lock : null;
+    }
+
+    // 加锁或续期；未分配给该标注者时返回 403（混入的金标准题也在分配列表中），被他人锁定时返回 409
+    function lockItem(dataset, itemId, annotator) {
+        annotator = checkName(annotator, '标注者');
+        const { ids, goldIds } = getItemIds(dataset);
+        if (!ids.includes(String(itemId))) throw new StoreError(404, `数据项不存在：${itemId}`);
+        if (!getAssignment(dataset, annotator).includes(String(itemId))) {
+            throw new StoreError(403, `数据项 ${itemId} 未分配给 ${annotator}`);
+        }
+        // 金标准题同时发给多位标注者，不加排他锁
+        if (goldIds.includes(String(itemId))) return { annotator, expiresAt: Date.now() + LOCK_TTL_MS };
+        const lock = activeLock(dataset, itemId);
+        if (lock && lock.annotator !== annotator) {
+            throw new StoreError(409, `该数据项正由 ${lock.annotator} 标注`, { lockedBy: lock.annotator, expiresAt: lock.expiresAt });
+        }
+        state.locks[dataset] = state.locks[dataset] || {};
+        state.locks[dataset][itemId] = { annotator, expiresAt: Date.now() + LOCK_TTL_MS };
+        saveState();
+        return state.locks[dataset][itemId];
+    }
+
+    function unlockItem(dataset, itemId, annotator) {
+        const lock = activeLock(dataset, itemId);
+        if (lock && lock.annotator === annotator) {
+            delete state.locks[dataset][itemId];
+            saveState();
+        }
+    }
+
+    // 保存一条打分结果（同时续期锁，只能保存分配给自己的数据项）
+    function saveResult(dataset, itemId, annotator, payload) {
+        annotator = checkName(annotator, '标注者');
+        lockItem(dataset, itemId, annotator);
+        if (!payload || typeof payload.result !== 'object' || payload.result === null) {
+            throw new StoreError(400, '缺少 result');
+        }
+        const file = path.join(resultsDir, checkName(dataset, '数据集'), `${annotator}.json`);
+        const results = readJSON(file, {});
+        results[itemId] = {
+            result: payload.result,
+            format: payload.format === 'react' ? 'react' : 'html',
+            completed: !!payload.completed,
+            savedAt: new Date().toISOString()
+        };
+        writeJSON(file, results);
+        return results[itemId];
+    }
+
+    // 各数据集、各标注者的进度
+    function progress() {
+        return listDatasets().map(({ name, items, gold, skipped }) => {
+            const assigned = new Set(Object.values(state.assignments[name] || {}).flat());
+            const goldIds = new Set(getItemIds(name).goldIds);
+            return {
+                name,
+                items,
+                gold,
+                skipped,
+                unassigned: items - gold - [...assigned].filter(id => !goldIds.has(id)).length,
+                annotators: listAnnotators(name).map(annotator => {
+                    const results = readResults(name, annotator);
+                    const entries = Object.values(results);
+                    const lastSavedAt = entries.reduce((latest, e) => (e.savedAt > latest ? e.savedAt : latest), '');
+                    return {
+                        annotator,
+                        assigned: getAssignment(name, annotator).length,
+                        scored: entries.length,
+                        completed: entries.filter(e => e.completed).length,
+                        locked: Object.entries(state.locks[name] || {})
+                            .filter(([id]) => activeLock(name, id)?.annotator === annotator)
+                            .map(([id]) => id),
+                        lastSavedAt: lastSavedAt || null
+                    };
+                })
+            };
+        });
+    }
+
+    return {
+        listDatasets,
+        readDatasetText,
+        getItemIds,
+        getAssignment,
+        assignBatch,
+        lockItem,
+        unlockItem,
+        readResults,
+        saveResult,
+        progress
+    };
+}
+
+function readJSON(file, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error(`读取 ${file} 失败:`, error.message);
+        return fallback;
+    }
+}
+
+// 数据集记录：JSON 数组 / { rubric, items } / 单个对象 / JSONL
+function parseRecords(text, name) {
+    const trimmed = text.replace(/^\uFEFF/, '').trim();
+    if (!trimmed) return [];
+    if (!/\.jsonl$/i.test(name)) {
+        try {
+            let data = JSON.parse(trimmed);
+            if (data && !Array.isArray(data) && Array.isArray(data.items)) data = data.items;
+            return Array.isArray(data) ? data : [data];
+        } catch (error) {
+            // 继续按 JSONL 解析
+        }
+    }
+    return trimmed.split(/\r?\n/).flatMap(line => {
+        try {
+            return line.trim() ? [JSON.parse(line)] : [];
+        } catch (error) {
+            return [];
+        }
+    });
+}
+
+module.exports = { createStore, StoreError, LOCK_TTL_MS, DEFAULT_BATCH_SIZE, GOLD_BATCH_RATIO };